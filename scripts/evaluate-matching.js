@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Evaluate Matching Strategies
+ * Replays labelled payment-note lines through fuzzy, vector, OpenAI and merged search
+ * and prints precision@1/@3, recall, coverage and latency per strategy and threshold
+ *
+ * Usage:
+ *   node scripts/evaluate-matching.js [cases.json] [--thresholds 80,85,90] [--fuzzy 0.7,0.8,0.9] [--fields BO1] [--limit 100] [--json] [--in-memory]
+ *
+ * cases.json: [{ "lineText": "...", "expectedHistoricalID": "...", "expectedGlAccount": "...", "amount": 100, "currency": "USD" }]
+ * Without a file, clerk-confirmed statement lines are replayed.
+ * --in-memory (SQLite only): evaluate against a fresh in-memory database with the Historical CSV data
+ */
+
+const fs = require('fs');
+const cds = require('@sap/cds');
+const matchEvaluation = require('../srv/lib/match-evaluation');
+
+function parseArgs(argv) {
+  const args = { file: null, thresholds: null, fuzzyLevels: null, searchFields: null, limit: null, json: false, inMemory: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--thresholds') args.thresholds = argv[++i]?.split(',');
+    else if (arg === '--fuzzy') args.fuzzyLevels = argv[++i]?.split(',');
+    else if (arg === '--fields') args.searchFields = argv[++i]?.split(',');
+    else if (arg === '--limit') args.limit = Number(argv[++i]);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--in-memory') args.inMemory = true;
+    else if (!arg.startsWith('--')) args.file = arg;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return args;
+}
+
+async function evaluateMatching(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  const cases = args.file ? JSON.parse(fs.readFileSync(args.file, 'utf8')) : null;
+
+  if (args.inMemory) {
+    if (cds.env.requires.db?.kind !== 'sqlite') throw new Error('--in-memory requires the SQLite (development) profile');
+    cds.env.requires.db.credentials = { url: ':memory:' };
+    cds.env.requires.db.pool = { min: 1, max: 1 };  // One connection = one in-memory database
+  }
+
+  const db = await cds.connect.to('db');
+
+  // In-memory SQLite starts empty - deploy the model with its CSV data
+  if (args.inMemory) {
+    console.log('ℹ️  In-memory database - deploying model and Historical CSV data\n');
+    await cds.deploy('*').to(db);
+  }
+
+  const report = await matchEvaluation.evaluateMatching(db, {
+    cases,
+    thresholds: args.thresholds,
+    fuzzyLevels: args.fuzzyLevels,
+    searchFields: args.searchFields,
+    limit: args.limit
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report;
+  }
+
+  console.log('\n╔═══════════════════════════════════════════════════════════════╗');
+  console.log('║        MATCHING EVALUATION                                    ║');
+  console.log('╚═══════════════════════════════════════════════════════════════╝\n');
+  console.log(`   Cases: ${report.casesEvaluated} (${report.source})`);
+  console.log(`   Current MIN_CONFIDENCE: ${report.minConfidence}%, FUZZY level: ${report.fuzzyLevel}`);
+  console.log(`   Search fields: ${report.searchFields ? report.searchFields.join(', ') : 'whole line'}\n`);
+
+  const columns = ['strategy', 'fuzzyLevel', 'threshold', 'answered', 'precisionAt1', 'precisionAt3', 'recall', 'coverage', 'avgLatencyMs', 'p95LatencyMs'];
+  const rows = report.results.map(r => columns.map(c => r[c] == null ? '-' : String(r[c])));
+  const widths = columns.map((c, i) => Math.max(c.length, ...rows.map(row => row[i].length)));
+  const format = row => '   ' + row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+
+  console.log(format(columns));
+  console.log(format(widths.map(w => '-'.repeat(w))));
+  rows.forEach(row => console.log(format(row)));
+  console.log('');
+
+  return report;
+}
+
+// Run if called directly
+if (require.main === module) {
+  evaluateMatching()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('\n❌ EVALUATION FAILED:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { evaluateMatching };
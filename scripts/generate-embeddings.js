@@ -68,7 +68,7 @@ async function generateEmbeddings() {
     const emailUpdateSQL = `
       UPDATE RECONCILIATION_EMAILCACHE
       SET embedding = VECTOR_EMBEDDING(
-        subject || ' ' || COALESCE(bodyPreview, '') || ' ' || COALESCE(bodyText, ''),
+        subject || ' ' || COALESCE(newMessageText, bodyText, '') || ' ' || COALESCE(attachmentText, '') || ' ' || COALESCE(quotedText, ''),
         'DOCUMENT',
         'SAP_GXY.20250407'
       )
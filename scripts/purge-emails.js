@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Purge Cached Emails
+ * Applies the EmailRetentionRules and redacts emails of mailboxes with redactBodies -
+ * the scheduled counterpart of the purgeEmails action, e.g. as a daily Cloud Foundry task:
+ *   cf run-task hd-recon-v3-srv --command "npm run purge-emails" --name purge-emails
+ *
+ * Usage:
+ *   node scripts/purge-emails.js [--dry-run] [--json]
+ *
+ * --dry-run: only count what would be deleted, stripped and redacted
+ */
+
+const cds = require('@sap/cds');
+const emailRetention = require('../srv/lib/email-retention');
+
+function parseArgs(argv) {
+  const args = { dryRun: false, json: false };
+
+  for (const arg of argv) {
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--json') args.json = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return args;
+}
+
+async function purgeEmails(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  const db = await cds.connect.to('db');
+  const result = await emailRetention.purgeEmails(db, { dryRun: args.dryRun });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  console.log('\n╔═══════════════════════════════════════════════════════════════╗');
+  console.log('║        EMAIL PURGE                                            ║');
+  console.log('╚═══════════════════════════════════════════════════════════════╝\n');
+  if (result.dryRun) console.log('   Dry run - nothing was changed\n');
+  console.log(`   Rules applied:         ${result.rulesApplied}`);
+  console.log(`   Emails deleted:        ${result.emailsDeleted}`);
+  console.log(`   Emails stripped:       ${result.emailsStripped}`);
+  console.log(`   Emails redacted:       ${result.emailsRedacted}`);
+  console.log(`   Attachments deleted:   ${result.attachmentsDeleted}`);
+  console.log(`   Open matches deleted:  ${result.emailMatchesDeleted}\n`);
+
+  return result;
+}
+
+// Run if called directly
+if (require.main === module) {
+  purgeEmails()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('\n❌ EMAIL PURGE FAILED:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { purgeEmails };
@@ -0,0 +1,212 @@
+/**
+ * Amount Parser - Money Amounts with Their Currency
+ *
+ * Finds amounts in payment notes and emails regardless of locale, so company
+ * codes outside the US (CAD, MXN, EUR, ...) can use amount evidence too:
+ * - Currency symbols and ISO codes before or after the number ("€ 1.234,56", "1 234,56 EUR", "MX$12,500.00", "CAD 980.00")
+ * - US and European grouping ("1,234.56", "1.234,56", "1'234.56", "1 234,56" with a currency)
+ * - Negative and credit notation ("-1,234.56", "(1,234.56)", "1,234.56-", "1,234.56 CR")
+ *
+ * A bare "$" is ambiguous (USD, CAD, MXN, ...): it takes the caller's default
+ * currency when that is a dollar/peso currency, otherwise the currency stays
+ * open and amountsMatch() accepts any dollar currency for it.
+ * Numbers without a currency count as amounts only with exactly 2 decimals.
+ *
+ * USAGE:
+ * const amountParser = require('./lib/amount-parser');
+ * amountParser.parseAmounts('Zahlung 1.234,56 EUR');  // [{ amount: 1234.56, currency: 'EUR', symbol: null, text: '1.234,56 EUR' }]
+ * amountParser.amountsMatch(email.extractedAmounts, 1234.56, 'EUR');  // true
+ */
+
+// ISO codes recognized next to a number (uppercase only - "eur" in a sentence is no currency)
+const CURRENCY_CODES = [
+  'USD', 'CAD', 'MXN', 'EUR', 'GBP', 'CHF', 'JPY', 'AUD', 'NZD', 'SEK', 'NOK', 'DKK',
+  'PLN', 'CZK', 'HUF', 'CNY', 'INR', 'BRL', 'ZAR', 'SGD', 'HKD'
+];
+
+// Symbols → currency (null = "$" without country prefix, see DOLLAR_CURRENCIES)
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD',
+  'USD$': 'USD',
+  'CA$': 'CAD',
+  'CAD$': 'CAD',
+  'C$': 'CAD',
+  'MX$': 'MXN',
+  'MXN$': 'MXN',
+  'MEX$': 'MXN',
+  'AU$': 'AUD',
+  'A$': 'AUD',
+  'NZ$': 'NZD',
+  'S$': 'SGD',
+  'HK$': 'HKD',
+  'R$': 'BRL',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '$': null
+};
+
+// Currencies written with a bare "$"
+const DOLLAR_CURRENCIES = new Set(['USD', 'CAD', 'MXN', 'AUD', 'NZD', 'SGD', 'HKD']);
+
+const MAX_AMOUNTS = 10;
+
+const escape = (text) => text.replace(/[$().]/g, '\\$&');
+const CODES = CURRENCY_CODES.join('|');
+const SYMBOLS = Object.keys(CURRENCY_SYMBOLS).sort((a, b) => b.length - a.length).map(escape).join('|');
+
+// Grouped number (1,234.56 / 1.234,56 / 1'234.56 / 1 234,56) or plain number (1234.56 / 1234,56)
+const NUMBER = "\\d{1,3}(?:[.,'’\\u00a0\\u202f ]\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+
+const AMOUNT_PATTERN = new RegExp(
+  '(?<![\\w.,/-])' +
+  '(?<sign>[-−])?' +
+  `(?:(?<preCode>${CODES})\\s?|(?<preSymbol>${SYMBOLS})\\s?)?` +
+  '(?<open>\\()?' +
+  '(?<innerSign>[-−])?' +
+  `(?<number>${NUMBER})` +
+  '(?![.,]?\\d)' +
+  '(?<trailingSign>-(?![\\w]))?' +
+  '(?<close>\\))?' +
+  `(?:\\s?(?<postCode>${CODES})(?![A-Za-z])|\\s?(?<postSymbol>€|£|¥))?` +
+  '(?:\\s?(?<mark>CR|DR)(?![A-Za-z]))?',
+  'g'
+);
+
+/**
+ * Find all amounts in a text
+ *
+ * @param {String} text - Payment note line, email subject or body
+ * @param {Object} [options] - { defaultCurrency } currency of the context (header Waers) - resolves a bare "$",
+ *                             { limit } max. amounts returned (default 10)
+ * @returns {Array} Distinct amounts [{ amount, currency, symbol, text }] - amount negative for
+ *                  minus, parentheses or CR; currency null if the text does not say
+ */
+function parseAmounts(text, options = {}) {
+  if (!text) return [];
+
+  const limit = options.limit || MAX_AMOUNTS;
+  const defaultCurrency = options.defaultCurrency ? options.defaultCurrency.toUpperCase() : null;
+
+  const amounts = [];
+  const seen = new Set();
+
+  for (const match of String(text).matchAll(AMOUNT_PATTERN)) {
+    const groups = match.groups;
+    const symbol = groups.preSymbol || groups.postSymbol || null;
+    const code = groups.preCode || groups.postCode || null;
+    const hasCurrency = !!(symbol || code);
+
+    // Without a currency only "money-looking" numbers count (2 decimals, no space grouping)
+    if (!hasCurrency && !/[.,]\d{2}$/.test(groups.number)) continue;
+    if (!hasCurrency && /\s/.test(groups.number)) continue;
+    // Unbalanced parentheses belong to the surrounding text
+    if (!!groups.open !== !!groups.close) continue;
+
+    const value = parseNumber(groups.number);
+    if (!Number.isFinite(value) || value === 0) continue;
+
+    const negative = !!(groups.sign || groups.innerSign || groups.trailingSign || groups.open || groups.mark === 'CR');
+    const currency = code || resolveSymbol(symbol, defaultCurrency);
+    const amount = negative ? -value : value;
+
+    const key = `${amount}|${currency || symbol || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    amounts.push({ amount, currency, symbol, text: match[0].trim() });
+    if (amounts.length >= limit) break;
+  }
+
+  return amounts;
+}
+
+/**
+ * Parse one number in US or European notation
+ * The last "." or "," is the decimal separator if both occur; a single separator
+ * followed by exactly 3 digits groups thousands ("1,234" = "1.234" = 1234)
+ *
+ * @param {String} text - Number as written (no currency, no sign)
+ * @returns {Number} Value (NaN if not a number)
+ */
+function parseNumber(text) {
+  const cleaned = String(text || '').replace(/[\s'’]/g, '');
+  const lastDot = cleaned.lastIndexOf('.');
+  const lastComma = cleaned.lastIndexOf(',');
+
+  let decimalSeparator = null;
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimalSeparator = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const separator = lastDot >= 0 ? '.' : ',';
+    const occurrences = cleaned.split(separator).length - 1;
+    const decimals = cleaned.length - cleaned.lastIndexOf(separator) - 1;
+    if (occurrences === 1 && decimals !== 3) decimalSeparator = separator;
+  }
+
+  if (!decimalSeparator) return Number(cleaned.replace(/[.,]/g, ''));
+
+  const index = cleaned.lastIndexOf(decimalSeparator);
+  const integer = cleaned.substring(0, index).replace(/[.,]/g, '');
+  return Number(`${integer}.${cleaned.substring(index + 1)}`);
+}
+
+/**
+ * Does any found amount equal the amount (same currency, within tolerance)?
+ * Signs are ignored - a bank debit (negative Kwbtr) matches the amount in the remittance email
+ *
+ * @param {Array} found - Result of parseAmounts (plain numbers of older cached emails are accepted)
+ * @param {Number} amount - Amount to look for
+ * @param {String} [currency] - Its currency (omit to compare values only)
+ * @param {Object} [options] - { tolerance } absolute difference allowed (default: half a cent)
+ * @returns {Boolean}
+ */
+function amountsMatch(found, amount, currency, options = {}) {
+  const target = Math.abs(Number(amount));
+  if (!found || !amount || !Number.isFinite(target)) return false;
+
+  const tolerance = options.tolerance ?? 0.005;
+  return found.map(toAmountEntry).some(entry =>
+    Math.abs(Math.abs(entry.amount) - target) <= tolerance && currencyMatches(entry, currency)
+  );
+}
+
+/**
+ * Is the found amount's currency consistent with the expected currency?
+ * Explicit currencies must be equal; a bare "$" fits any dollar currency; no currency fits all
+ */
+function currencyMatches(entry, currency) {
+  if (!currency) return true;
+
+  const expected = currency.toUpperCase();
+  if (entry.currency) return entry.currency === expected;
+  if (entry.symbol === '$') return DOLLAR_CURRENCIES.has(expected);
+  return true;
+}
+
+/**
+ * Currency of a symbol; a bare "$" takes the default currency if that is written with "$"
+ */
+function resolveSymbol(symbol, defaultCurrency) {
+  if (!symbol) return null;
+
+  const currency = CURRENCY_SYMBOLS[symbol];
+  if (currency) return currency;
+  return defaultCurrency && DOLLAR_CURRENCIES.has(defaultCurrency) ? defaultCurrency : null;
+}
+
+/**
+ * Stored amount → { amount, currency, symbol } (plain numbers: currency unknown)
+ */
+function toAmountEntry(value) {
+  if (typeof value === 'number') return { amount: value, currency: null, symbol: null };
+  return { amount: Number(value?.amount), currency: value?.currency || null, symbol: value?.symbol || null };
+}
+
+module.exports = {
+  CURRENCY_CODES,
+  DOLLAR_CURRENCIES,
+  parseAmounts,
+  parseNumber,
+  amountsMatch
+};
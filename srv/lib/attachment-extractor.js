@@ -0,0 +1,370 @@
+/**
+ * Attachment Extractor - Text of PDF, CSV and XLSX Attachments
+ *
+ * Remittance advices usually arrive as attachments, not in the email body.
+ * Turns an attachment into plain text that the amount parser, the reference
+ * extractor and the embeddings can use:
+ * - PDF: text layer (scanned PDFs without text layer yield no text - no OCR)
+ * - CSV / TXT: rows as lines; with a header row each cell reads "Header: value"
+ *   ("Invoice: 4711 | Amount: 1234.56"), so keywords stay next to their values
+ * - XLSX: every worksheet like a CSV file (shared strings, inline strings, numbers)
+ *
+ * Other formats (images, DOCX, ...) are recorded as UNSUPPORTED.
+ *
+ * USAGE:
+ * const attachmentExtractor = require('./lib/attachment-extractor');
+ * const format = attachmentExtractor.detectFormat(attachment.name, attachment.contentType);
+ * const result = await attachmentExtractor.extractText(Buffer.from(attachment.contentBytes, 'base64'), format);
+ * // { status: 'EXTRACTED', text: 'Invoice: 4711 | Amount: 1234.56', error: null }
+ */
+
+const { TextDecoder } = require('util');
+const JSZip = require('jszip');
+const { PDFParse } = require('pdf-parse');
+const { XMLParser } = require('fast-xml-parser');
+
+/**
+ * Extraction Limits
+ * - maxBytes: Larger attachments are not downloaded (TOO_LARGE)
+ * - maxUncompressedBytes: XLSX parts read in total once unzipped - a small zip can
+ *   inflate to gigabytes (TOO_LARGE)
+ * - maxTextLength: Extracted text is cut after this many characters
+ * - maxPdfPages: PDF pages read (remittance details are on the first pages)
+ * - maxRows: Rows read per CSV file / worksheet
+ */
+const EXTRACTION_LIMITS = {
+  maxBytes: 10 * 1024 * 1024,
+  maxUncompressedBytes: 50 * 1024 * 1024,
+  maxTextLength: 100000,
+  maxPdfPages: 20,
+  maxRows: 5000
+};
+
+// File extension / MIME type → format
+const FORMATS = {
+  PDF: { extensions: ['pdf'], contentTypes: ['application/pdf'] },
+  CSV: { extensions: ['csv'], contentTypes: ['text/csv', 'application/csv'] },
+  XLSX: { extensions: ['xlsx', 'xlsm'], contentTypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'] },
+  TEXT: { extensions: ['txt'], contentTypes: ['text/plain'] }
+};
+
+// Separator between the cells of a row
+const CELL_SEPARATOR = ' | ';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,  // Keep cell values as written
+  trimValues: false,     // Shared strings keep their spaces
+  isArray: name => ['sheet', 'si', 'r', 'row', 'c'].includes(name)
+});
+
+/**
+ * Format of an attachment by file extension, then MIME type
+ *
+ * @param {String} name - File name
+ * @param {String} [contentType] - MIME type reported by Graph
+ * @returns {String|null} PDF, CSV, XLSX, TEXT or null (unsupported)
+ */
+function detectFormat(name, contentType) {
+  const extension = String(name || '').split('.').pop().toLowerCase();
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+  const byExtension = Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(extension));
+  if (byExtension) return byExtension;
+
+  return Object.keys(FORMATS).find(format => FORMATS[format].contentTypes.includes(type)) || null;
+}
+
+/**
+ * Extract the text of an attachment
+ * Never throws - a broken file is reported as FAILED
+ *
+ * @param {Buffer} buffer - File content
+ * @param {String} format - Result of detectFormat
+ * @returns {Promise<Object>} { status, text, error } - status EXTRACTED, EMPTY (no text, e.g. scanned PDF),
+ *                            UNSUPPORTED, TOO_LARGE or FAILED
+ */
+async function extractText(buffer, format) {
+  if (!format || !FORMATS[format]) {
+    return { status: 'UNSUPPORTED', text: null, error: null };
+  }
+  if (buffer.length > EXTRACTION_LIMITS.maxBytes) {
+    return { status: 'TOO_LARGE', text: null, error: null };
+  }
+
+  try {
+    let text;
+    switch (format) {
+      case 'PDF':
+        text = await extractPdfText(buffer);
+        break;
+      case 'XLSX':
+        text = await extractXlsxText(buffer);
+        break;
+      case 'CSV':
+        text = rowsToText(parseCsv(decodeText(buffer)));
+        break;
+      default:
+        text = decodeText(buffer);
+    }
+
+    text = (text || '').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (!text) return { status: 'EMPTY', text: null, error: null };
+
+    return { status: 'EXTRACTED', text: text.substring(0, EXTRACTION_LIMITS.maxTextLength), error: null };
+
+  } catch (error) {
+    if (error.code === 'TOO_LARGE') return { status: 'TOO_LARGE', text: null, error: null };
+    return { status: 'FAILED', text: null, error: error.message.substring(0, 500) };
+  }
+}
+
+/**
+ * Text layer of the first pages of a PDF
+ */
+async function extractPdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText({ first: EXTRACTION_LIMITS.maxPdfPages, pageJoiner: '' });
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * All worksheets of an XLSX workbook, each introduced by its sheet name
+ * The parts read may unzip to maxUncompressedBytes in total - checked against the
+ * sizes the zip declares before anything is inflated, and again while inflating
+ */
+async function extractXlsxText(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+
+  const sharedStringsFile = zip.file('xl/sharedStrings.xml');
+  const workbookFile = zip.file('xl/workbook.xml');
+  const sheetFiles = zip.file(/^xl\/worksheets\/sheet\d+\.xml$/)
+    .sort((a, b) => sheetNumber(a.name) - sheetNumber(b.name));
+
+  const budget = { remaining: EXTRACTION_LIMITS.maxUncompressedBytes };
+  const declared = [sharedStringsFile, workbookFile, ...sheetFiles]
+    .filter(Boolean)
+    .reduce((sum, file) => sum + (Number(file._data?.uncompressedSize) || 0), 0);
+  if (declared > budget.remaining) throw tooLarge();
+
+  const sharedStrings = sharedStringsFile
+    ? (xmlParser.parse(await readEntry(sharedStringsFile, budget)).sst?.si || []).map(stringItemText)
+    : [];
+
+  const workbook = workbookFile
+    ? xmlParser.parse(await readEntry(workbookFile, budget)).workbook
+    : null;
+  const sheetNames = (workbook?.sheets?.sheet || []).map(sheet => sheet['@_name']);
+
+  const parts = [];
+  for (const [index, file] of sheetFiles.entries()) {
+    const sheet = xmlParser.parse(await readEntry(file, budget)).worksheet;
+    const rows = (sheet?.sheetData?.row || [])
+      .slice(0, EXTRACTION_LIMITS.maxRows)
+      .map(row => rowValues(row, sharedStrings));
+
+    const text = rowsToText(rows);
+    if (text) parts.push(`${sheetNames[index] || `Sheet${index + 1}`}\n${text}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Unzip one part as text, stopping once the budget is used up
+ * (the declared size of a crafted zip need not be the real one)
+ */
+function readEntry(file, budget) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = file.internalStream('uint8array');
+    stream
+      .on('data', chunk => {
+        budget.remaining -= chunk.length;
+        if (budget.remaining < 0) {
+          stream.pause();
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(Buffer.from(chunk));
+      })
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+      .resume();
+  });
+}
+
+function tooLarge() {
+  return Object.assign(new Error('Attachment too large once unzipped'), { code: 'TOO_LARGE' });
+}
+
+/**
+ * Cell values of a worksheet row, placed by column letter (empty cells are omitted in the XML)
+ */
+function rowValues(row, sharedStrings) {
+  const values = [];
+
+  for (const cell of row.c || []) {
+    const column = cell['@_r'] ? columnIndex(cell['@_r']) : values.length;
+    values[column] = cellValue(cell, sharedStrings);
+  }
+
+  return Array.from(values, value => value ?? '');
+}
+
+/**
+ * Display value of a cell
+ * Numbers with cents are written with 2 decimals (Excel stores 1234.5 for "1,234.50")
+ */
+function cellValue(cell, sharedStrings) {
+  const type = cell['@_t'];
+  if (type === 's') return sharedStrings[Number(nodeText(cell.v))] || '';
+  if (type === 'inlineStr') return stringItemText(cell.is || {});
+  if (type === 'b') return nodeText(cell.v) === '1' ? 'TRUE' : 'FALSE';
+
+  const value = nodeText(cell.v);
+  if (type === 'str' || type === 'e' || value === '') return value;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || Number.isInteger(number)) return value;
+  return Math.abs(number * 100 - Math.round(number * 100)) < 1e-6 ? number.toFixed(2) : value;
+}
+
+/**
+ * Text of a shared / inline string (plain or rich-text runs)
+ */
+function stringItemText(item) {
+  if (item.t !== undefined) return nodeText(item.t);
+  return (item.r || []).map(run => nodeText(run.t)).join('');
+}
+
+/**
+ * Text of a parsed XML node ("text" or { '#text': 'text', '@_space': 'preserve' })
+ */
+function nodeText(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '');
+  return String(node);
+}
+
+/**
+ * "C12" → 2
+ */
+function columnIndex(reference) {
+  const letters = reference.replace(/\d+$/, '').toUpperCase();
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function sheetNumber(path) {
+  return Number(path.match(/sheet(\d+)\.xml$/)[1]);
+}
+
+/**
+ * Split CSV text into rows of cells
+ * Delimiter detected from the first line (comma, semicolon or tab); quoted cells may contain
+ * delimiters, doubled quotes and line breaks
+ */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length && rows.length < EXTRACTION_LIMITS.maxRows; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Rows → text lines
+ * If the first non-empty row is a header (text cells only), every later cell is
+ * written as "Header: value" - "Invoice: 4711" is found by the reference extractor,
+ * a bare "4711" is not
+ */
+function rowsToText(rows) {
+  const filled = rows
+    .map(row => row.map(value => String(value ?? '').trim()))
+    .filter(row => row.some(value => value !== ''));
+  if (filled.length === 0) return '';
+
+  const [first, ...rest] = filled;
+  const isHeader = rest.length > 0 && first.every(value => value === '' || !/\d/.test(value));
+
+  const lines = isHeader ? [first.filter(Boolean).join(CELL_SEPARATOR)] : [];
+  for (const row of isHeader ? rest : filled) {
+    const cells = row
+      .map((value, index) => {
+        if (value === '') return null;
+        return isHeader && first[index] ? `${first[index]}: ${value}` : value;
+      })
+      .filter(Boolean);
+    lines.push(cells.join(CELL_SEPARATOR));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Decode a text file: UTF-8 (with or without BOM), UTF-16 LE with BOM, else Windows-1252
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  if (!text.includes('\uFFFD')) return text;
+
+  return new TextDecoder('windows-1252').decode(buffer);
+}
+
+module.exports = {
+  EXTRACTION_LIMITS,
+  detectFormat,
+  extractText,
+  parseCsv,
+  rowsToText
+};
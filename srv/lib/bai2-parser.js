@@ -0,0 +1,194 @@
+/**
+ * BAI2 Parser - Cash Management Balance Reporting Files
+ *
+ * Turns a BAI2 file into statement entries for statement-processor.js importEntries():
+ * - 01 file header       file ID (statement ID of every entry)
+ * - 02 group header      as-of date, group currency
+ * - 03 account identifier account number, account currency
+ * - 16 transaction detail one entry (type code, amount, funds type, bank and customer reference, text)
+ * - 88 continuation      continues the previous record; after a 16 every 88 is one more
+ *                        payment-note (Vwezw) line
+ * - 49 / 98 / 99         trailers (ignored)
+ *
+ * The 16 text and its 88 lines are passed on as they are, so tagged text like
+ * "BO1:" or "ORDER:" is recognised by line-parser.js exactly as in SAP's Vwezw.
+ * Amounts carry two implied decimals; type codes 100-399 are credits, 400-699 debits.
+ * Only the bank reference identifies an entry for re-imports; the customer
+ * reference (free text, may repeat) becomes an RF: payment-note line.
+ *
+ * USAGE:
+ * const bai2Parser = require('./lib/bai2-parser');
+ * const { statements } = bai2Parser.parseBai2(content);
+ */
+
+const IMPLIED_DECIMALS = 2;
+
+/**
+ * Parse a BAI2 file
+ *
+ * @param {String} content - BAI2 file content
+ * @returns {Object} { format: 'BAI2', fileId, statements: [{ statementId, accountIdentifier, entries: [{ header, paymentNotes }] }] }
+ */
+function parseBai2(content) {
+  if (!content || !content.trim()) throw new Error('BAI2 content is required');
+
+  const records = readRecords(content);
+  if (records[0]?.type !== '01') throw new Error('Not a BAI2 file (expected a 01 file header record)');
+
+  const fileId = records[0].fields[4] || null;
+  const statements = [];
+  let group = null;
+  let statement = null;
+
+  for (const record of records) {
+    switch (record.type) {
+      case '02':
+        group = { asOfDate: toDate(record.fields[3]), currency: record.fields[5] || null };
+        break;
+      case '03':
+        if (!group) throw new Error('BAI2 03 account record outside of a 02 group');
+        statement = {
+          statementId: fileId,
+          accountIdentifier: record.fields[0] || null,
+          currency: record.fields[1] || group.currency,
+          asOfDate: group.asOfDate,
+          entries: []
+        };
+        statements.push(statement);
+        break;
+      case '16':
+        if (!statement) throw new Error('BAI2 16 transaction record outside of a 03 account');
+        statement.entries.push(parseTransaction(record, statement));
+        break;
+      case '49':
+        statement = null;
+        break;
+      case '98':
+        group = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  return {
+    format: 'BAI2',
+    fileId,
+    statements: statements.map(({ statementId, accountIdentifier, currency, asOfDate, entries }) => ({
+      statementId,
+      accountIdentifier,
+      entries: entries.map((parsed, index) => ({
+        header: {
+          Aznum: (statementId || accountIdentifier || '').slice(0, 18) || null,
+          Azdat: asOfDate,
+          Waers: currency,
+          Esnum: String(index + 1),
+          Kwbtr: parsed.creditDebit === 'DBIT' ? -parsed.amount : parsed.amount,
+          statementId: statementId?.slice(0, 35) || null,
+          accountIdentifier: accountIdentifier?.slice(0, 34) || null,
+          entryReference: parsed.reference?.slice(0, 35) || null,
+          valueDate: parsed.valueDate || asOfDate,
+          creditDebit: parsed.creditDebit
+        },
+        paymentNotes: parsed.lines.join('\n')
+      }))
+    }))
+  };
+}
+
+/**
+ * Split the file into records; 88 continuations are attached to the record they continue
+ * Text (of 16 and its 88s) keeps commas and slashes; other records end at the "/" delimiter
+ */
+function readRecords(content) {
+  const records = [];
+
+  for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const type = line.slice(0, 2);
+    const body = line.slice(3);
+    const previous = records[records.length - 1];
+
+    if (type === '88') {
+      if (!previous) throw new Error('BAI2 88 continuation record without a preceding record');
+      if (previous.type === '16') {
+        previous.continuations.push(stripDelimiter(body));
+      } else {
+        previous.fields.push(...splitFields(body));
+      }
+      continue;
+    }
+
+    records.push({ type, body, fields: type === '16' ? [] : splitFields(body), continuations: [] });
+  }
+
+  return records;
+}
+
+/**
+ * Parse a 16 record: type code, amount, funds type (+ its detail fields), bank ref, customer ref, text
+ */
+function parseTransaction(record, statement) {
+  const fields = record.body.split(',');
+  const typeCode = Number(fields[0]);
+  const amount = Number(fields[1] || 0) / 10 ** IMPLIED_DECIMALS;
+  if (!Number.isFinite(typeCode) || !Number.isFinite(amount)) {
+    throw new Error(`Account ${statement.accountIdentifier}: invalid 16 record "${record.body}"`);
+  }
+
+  // Funds type S carries 3 availability amounts, V a value date and time, D a distribution list
+  const fundsType = (fields[2] || '').toUpperCase();
+  let position = 3;
+  let valueDate = null;
+  if (fundsType === 'S') {
+    position += 3;
+  } else if (fundsType === 'V') {
+    valueDate = toDate(fields[position]);
+    position += 2;
+  } else if (fundsType === 'D') {
+    position += 1 + 2 * Number(fields[position] || 0);
+  }
+
+  const bankReference = stripDelimiter(fields[position] || '').trim();
+  const customerReference = stripDelimiter(fields[position + 1] || '').trim();
+  const text = stripDelimiter(fields.slice(position + 2).join(','));
+
+  return {
+    creditDebit: typeCode >= 100 && typeCode < 400 ? 'CRDT' : typeCode >= 400 && typeCode < 700 ? 'DBIT' : null,
+    amount,
+    valueDate,
+    reference: bankReference || null,
+    lines: [text, ...record.continuations, customerReference && `RF:${customerReference}`]
+      .map(line => line?.trim())
+      .filter(Boolean)
+  };
+}
+
+/**
+ * Fields of a non-text record ("03,0975312468,USD,010,500000,,/")
+ */
+function splitFields(body) {
+  return stripDelimiter(body).split(',').map(field => field.trim());
+}
+
+/**
+ * Remove the "/" record delimiter
+ */
+function stripDelimiter(value) {
+  return value.replace(/\/\s*$/, '');
+}
+
+/**
+ * YYMMDD → YYYY-MM-DD
+ */
+function toDate(yymmdd) {
+  if (!/^\d{6}$/.test(yymmdd || '')) return null;
+  const year = Number(yymmdd.slice(0, 2));
+  return `${year < 80 ? 2000 + year : 1900 + year}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+}
+
+module.exports = {
+  parseBai2
+};
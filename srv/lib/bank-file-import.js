@@ -0,0 +1,91 @@
+/**
+ * Bank File Import - MT940, BAI2 and camt Files
+ *
+ * Processes a whole bank file delivered outside SAP:
+ * - Detects the format (or takes it from the caller)
+ * - Parses it into statement entries (mt940-parser.js, bai2-parser.js, camt-import.js)
+ * - Runs every transaction through the addStatement pipeline
+ *   (statement-processor.js importEntries: parse lines, match, resolve)
+ * - Reports the result per transaction; transactions already imported are skipped
+ *
+ * USAGE:
+ * const bankFileImport = require('./lib/bank-file-import');
+ * const result = await bankFileImport.importBankFile(db, content, { format: 'MT940', companyCode: '1001' });
+ */
+
+const mt940Parser = require('./mt940-parser');
+const bai2Parser = require('./bai2-parser');
+const camtImport = require('./camt-import');
+const statementProcessor = require('./statement-processor');
+
+const FORMATS = ['MT940', 'BAI2', 'CAMT'];
+
+/**
+ * Detect the format of a bank file from its content
+ *
+ * @param {String} content - File content
+ * @returns {String} MT940, BAI2 or CAMT
+ */
+function detectFormat(content) {
+  const text = (content || '').replace(/^\uFEFF/, '').trimStart();
+
+  if (text.startsWith('<')) return 'CAMT';
+  if (/^01,/.test(text)) return 'BAI2';
+  if (/^\{1:/.test(text) || /^:20:/m.test(text)) return 'MT940';
+
+  throw new Error('Unknown bank file format (expected MT940, BAI2 or camt XML)');
+}
+
+/**
+ * Parse a bank file into statement entries
+ *
+ * @param {String} content - File content
+ * @param {String} [format] - MT940, BAI2 or CAMT (default: detected)
+ * @returns {Object} { format, fileId, statements: [{ statementId, accountIdentifier, entries }] }
+ */
+function parseBankFile(content, format) {
+  const text = (content || '').replace(/^\uFEFF/, '');
+  const fileFormat = format ? format.toUpperCase() : detectFormat(text);
+  if (!FORMATS.includes(fileFormat)) {
+    throw new Error(`Unsupported format: ${format} (expected ${FORMATS.join(', ')})`);
+  }
+
+  if (fileFormat === 'MT940') return mt940Parser.parseMt940(text);
+  if (fileFormat === 'BAI2') return bai2Parser.parseBai2(text);
+
+  const { messageType, messageId, statements } = camtImport.parseCamt(text);
+  return { format: messageType, fileId: messageId, statements };
+}
+
+/**
+ * Import a bank file: one statement per transaction, each run through the matching pipeline
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} content - File content
+ * @param {Object} [options] - { format, companyCode, houseBank, accountId, searchFields }
+ * @returns {Promise<Object>} Import summary with one result per transaction
+ */
+async function importBankFile(db, content, options = {}) {
+  const { format, fileId, statements } = parseBankFile(content, options.format);
+  const entries = statements.flatMap(statement => statement.entries);
+
+  console.log(`🏦 Importing ${format} file ${fileId || ''}: ${statements.length} statement(s), ${entries.length} transaction(s)`);
+
+  const report = await statementProcessor.importEntries(db, entries, { ...options, importSource: format });
+
+  console.log(`✅ ${format} import: ${report.entriesImported} imported, ${report.entriesSkipped} skipped, ${report.entriesFailed} failed`);
+
+  return {
+    format,
+    fileId,
+    statementsFound: statements.length,
+    entriesFound: entries.length,
+    ...report
+  };
+}
+
+module.exports = {
+  detectFormat,
+  parseBankFile,
+  importBankFile
+};
@@ -0,0 +1,288 @@
+/**
+ * camt Import - ISO 20022 Bank-to-Customer Statements
+ *
+ * Imports camt.053 (BkToCstmrStmt, end-of-day statement) and camt.054
+ * (BkToCstmrDbtCdtNtfctn, debit/credit notification) messages:
+ * - Every entry (Ntry) becomes one BankStatementHeader
+ *   (account, booking date, amount, currency, statement ID, entry reference)
+ * - Remittance information and related parties become tagged payment-note
+ *   lines, so the entry runs through the same pipeline as addStatement:
+ *     BO:<counterparty account> BO1:<counterparty name> BO2:<address>
+ *     BO1:<ultimate debtor / creditor>
+ *     DETAILS:<Ustrd text, Strd additional remittance info>
+ *     RF:<creditor reference / referred document number>
+ *     OB:<counterparty agent BIC>
+ *     TRID:<end-to-end ID>
+ * - Entries already imported for the account are skipped (same bank reference as
+ *   entryReference, or same position, amount and date when the bank gives none)
+ *
+ * Namespace prefixes and message versions (camt.053.001.02 - .001.13) are
+ * handled alike; both the old (Dbtr/Nm) and new (Dbtr/Pty/Nm) party layouts are read.
+ *
+ * USAGE:
+ * const camtImport = require('./lib/camt-import');
+ * const result = await camtImport.importCamt(db, xml, { companyCode: '1000', houseBank: 'CHASE', accountId: 'USD01' });
+ */
+
+const { XMLParser } = require('fast-xml-parser');
+const statementProcessor = require('./statement-processor');
+
+// Root element → message type / container of the statements
+const MESSAGE_TYPES = {
+  BkToCstmrStmt: { type: 'CAMT053', container: 'Stmt' },
+  BkToCstmrDbtCdtNtfctn: { type: 'CAMT054', container: 'Ntfctn' }
+};
+
+// Elements that may repeat - always parsed as arrays
+const ARRAY_ELEMENTS = new Set(['Stmt', 'Ntfctn', 'Ntry', 'NtryDtls', 'TxDtls', 'Ustrd', 'Strd', 'RfrdDocInf', 'AddtlRmtInf']);
+
+const NOT_PROVIDED = 'NOTPROVIDED';
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,  // Keep amounts, references and IBANs as text
+  trimValues: true,
+  isArray: name => ARRAY_ELEMENTS.has(name)
+});
+
+/**
+ * Parse a camt.053 / camt.054 message into statement entries
+ *
+ * @param {String} xml - camt XML document
+ * @returns {Object} { messageType, messageId, statements: [{ statementId, accountIdentifier, entries: [{ header, paymentNotes }] }] }
+ */
+function parseCamt(xml) {
+  if (!xml || !xml.trim()) throw new Error('camt XML is required');
+
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw new Error(`Invalid camt XML: ${error.message}`);
+  }
+
+  const root = document.Document || document;
+  const rootName = Object.keys(MESSAGE_TYPES).find(name => root[name]);
+  if (!rootName) {
+    throw new Error('Not a camt.053 or camt.054 message (expected BkToCstmrStmt or BkToCstmrDbtCdtNtfctn)');
+  }
+
+  const { type, container } = MESSAGE_TYPES[rootName];
+  const message = root[rootName];
+
+  const statements = (message[container] || []).map(statement => {
+    const accountIdentifier = accountId(statement.Acct);
+    const statementId = text(statement.Id);
+    const sequenceNumber = text(statement.ElctrncSeqNb) || text(statement.LglSeqNb);
+
+    const entries = (statement.Ntry || []).map((entry, index) => ({
+      header: mapEntry(entry, index, { statementId, sequenceNumber, accountIdentifier, currency: text(statement.Acct?.Ccy) }),
+      paymentNotes: buildPaymentNotes(entry)
+    }));
+
+    return { statementId, accountIdentifier, entries };
+  });
+
+  return {
+    messageType: type,
+    messageId: text(message.GrpHdr?.MsgId),
+    statements
+  };
+}
+
+/**
+ * Import a camt message: one statement per entry, each run through the matching pipeline
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} xml - camt.053 / camt.054 XML document
+ * @param {Object} [options] - { companyCode, houseBank, accountId, searchFields }
+ * @returns {Promise<Object>} Import summary with one result per imported entry
+ */
+async function importCamt(db, xml, options = {}) {
+  const { messageType, messageId, statements } = parseCamt(xml);
+  const entries = statements.flatMap(statement => statement.entries);
+
+  console.log(`🏦 Importing ${messageType} ${messageId || ''}: ${statements.length} statement(s), ${entries.length} entry(ies)`);
+
+  const report = await statementProcessor.importEntries(db, entries, { ...options, importSource: messageType });
+
+  console.log(`✅ ${messageType} import: ${report.entriesImported} imported, ${report.entriesSkipped} skipped, ${report.entriesFailed} failed`);
+
+  return {
+    messageType,
+    messageId,
+    statementsFound: statements.length,
+    entriesFound: entries.length,
+    ...report
+  };
+}
+
+/**
+ * Map one entry onto BankStatementHeader fields
+ */
+function mapEntry(entry, index, statement) {
+  const amount = Number(text(entry.Amt));
+  if (!Number.isFinite(amount)) {
+    throw new Error(`Entry ${index + 1} of statement ${statement.statementId}: invalid amount "${text(entry.Amt)}"`);
+  }
+
+  const creditDebit = text(entry.CdtDbtInd);
+  const transactions = transactionsOf(entry);
+
+  return {
+    Aznum: truncate(statement.sequenceNumber || statement.statementId, 18),
+    Azdat: dateOf(entry.BookgDt),
+    Astat: statusOf(entry.Sts),
+    Waers: entry.Amt?.['@_Ccy'] || statement.currency,
+    Esnum: String(index + 1),
+    Kwbtr: creditDebit === 'DBIT' ? -amount : amount,
+    statementId: truncate(statement.statementId, 35),
+    accountIdentifier: truncate(statement.accountIdentifier, 34),
+    entryReference: truncate(bankReference(entry, transactions), 35),
+    valueDate: dateOf(entry.ValDt),
+    creditDebit
+  };
+}
+
+/**
+ * The bank's own reference of an entry (re-imports are recognised by it)
+ * EndToEndId is the payer's ID, often NOTPROVIDED and not unique per booking - it
+ * stays a TRID: payment-note line; entries without a bank reference are recognised
+ * by statement number, position, amount and date (statement-processor.js)
+ */
+function bankReference(entry, transactions) {
+  return [entry.AcctSvcrRef, entry.NtryRef, transactions[0]?.Refs?.AcctSvcrRef]
+    .map(text)
+    .find(reference => reference && reference !== NOT_PROVIDED) || null;
+}
+
+/**
+ * Build tagged payment-note lines (Vwezw) from the entry's transaction details
+ */
+function buildPaymentNotes(entry) {
+  const creditDebit = text(entry.CdtDbtInd);
+  const lines = [];
+
+  for (const transaction of transactionsOf(entry)) {
+    // The counterparty is the debtor of a credit and the creditor of a debit
+    const parties = transaction.RltdPties || {};
+    const agents = transaction.RltdAgts || {};
+    const [party, account, ultimate, agent] = creditDebit === 'DBIT'
+      ? [parties.Cdtr, parties.CdtrAcct, parties.UltmtCdtr, agents.CdtrAgt]
+      : [parties.Dbtr, parties.DbtrAcct, parties.UltmtDbtr, agents.DbtrAgt];
+
+    const counterparty = [
+      accountId(account) && `BO:${accountId(account)}`,
+      partyName(party) && `BO1:${partyName(party)}`,
+      partyAddress(party) && `BO2:${partyAddress(party)}`
+    ].filter(Boolean);
+    if (counterparty.length > 0) lines.push(counterparty.join(' '));
+
+    if (partyName(ultimate)) lines.push(`BO1:${partyName(ultimate)}`);
+
+    const remittance = transaction.RmtInf || {};
+    const unstructured = (remittance.Ustrd || []).map(text).filter(Boolean);
+    if (unstructured.length > 0) lines.push(`DETAILS:${unstructured.join(' ')}`);
+
+    for (const structured of remittance.Strd || []) {
+      const reference = text(structured.CdtrRefInf?.Ref);
+      if (reference) lines.push(`RF:${reference}`);
+      for (const document of structured.RfrdDocInf || []) {
+        if (text(document.Nb)) lines.push(`RF:${text(document.Nb)}`);
+      }
+      const additional = (structured.AddtlRmtInf || []).map(text).filter(Boolean);
+      if (additional.length > 0) lines.push(`DETAILS:${additional.join(' ')}`);
+    }
+
+    // Free-text transaction info only when there is no remittance information
+    if (unstructured.length === 0 && !remittance.Strd && text(transaction.AddtlTxInf)) {
+      lines.push(`DETAILS:${text(transaction.AddtlTxInf)}`);
+    }
+
+    const bic = text(agent?.FinInstnId?.BICFI) || text(agent?.FinInstnId?.BIC);
+    if (bic) lines.push(`OB:${bic}`);
+
+    const endToEndId = text(transaction.Refs?.EndToEndId);
+    if (endToEndId && endToEndId !== NOT_PROVIDED) lines.push(`TRID:${endToEndId}`);
+  }
+
+  // Entries without details (e.g. bank fees) only carry AddtlNtryInf
+  if (lines.length === 0 && text(entry.AddtlNtryInf)) {
+    lines.push(`DETAILS:${text(entry.AddtlNtryInf)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * All transaction details of an entry (batch entries carry several)
+ */
+function transactionsOf(entry) {
+  return (entry.NtryDtls || []).flatMap(details => details.TxDtls || []);
+}
+
+/**
+ * Account identifier: IBAN, else other ID
+ */
+function accountId(account) {
+  return text(account?.Id?.IBAN) || text(account?.Id?.Othr?.Id);
+}
+
+/**
+ * Party name - camt.053.001.02 (Dbtr/Nm) and .001.08+ (Dbtr/Pty/Nm)
+ */
+function partyName(party) {
+  return text((party?.Pty || party)?.Nm);
+}
+
+/**
+ * One-line postal address of a party
+ */
+function partyAddress(party) {
+  const address = (party?.Pty || party)?.PstlAdr;
+  if (!address) return null;
+
+  const lines = [].concat(address.AdrLine || []).map(text);
+  const structured = [
+    [text(address.StrtNm), text(address.BldgNb)].filter(Boolean).join(' '),
+    [text(address.PstCd), text(address.TwnNm)].filter(Boolean).join(' '),
+    text(address.Ctry)
+  ];
+  return [...lines, ...structured].filter(Boolean).join(' ') || null;
+}
+
+/**
+ * Date of a date choice element (Dt, or the date part of DtTm)
+ */
+function dateOf(choice) {
+  const value = text(choice?.Dt) || text(choice?.DtTm);
+  return value ? value.slice(0, 10) : null;
+}
+
+/**
+ * Entry status as one-letter Astat (BOOK → B, PDNG → P, INFO → I)
+ */
+function statusOf(status) {
+  const code = text(status?.Cd) || text(status);
+  return code ? code.charAt(0) : null;
+}
+
+/**
+ * Text content of a parsed element (plain value or { '#text', '@_attr' })
+ */
+function text(value) {
+  if (value == null || (typeof value === 'object' && !('#text' in value))) return null;
+  const result = String(typeof value === 'object' ? value['#text'] : value).trim();
+  return result || null;
+}
+
+function truncate(value, length) {
+  return value ? value.slice(0, length) : null;
+}
+
+module.exports = {
+  parseCamt,
+  importCamt
+};
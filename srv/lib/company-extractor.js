@@ -14,6 +14,7 @@
 
 const cds = require('@sap/cds');
 const { createLLMClient, getModelInfo } = require('./llm-client');
+const companyNormalizer = require('./company-normalizer');
 
 /**
  * Extract company/payer name using LLM via SAP AI Core
@@ -24,7 +25,7 @@ const { createLLMClient, getModelInfo } = require('./llm-client');
  * Model configuration is centralized in llm-client.js
  *
  * @param {String} paymentNotesRaw - Raw payment notes text
- * @returns {Promise<Object|null>} - { companyName, source: 'CHATGPT', confidence: 90 } or null
+ * @returns {Promise<Object|null>} - { companyName, normalizedName, aliases, source: 'CHATGPT', confidence: 90 } or null
  */
 async function extractCompanyNameWithChatGPT(paymentNotesRaw) {
   if (!paymentNotesRaw || typeof paymentNotesRaw !== 'string') {
@@ -42,7 +43,8 @@ ${paymentNotesRaw}
 Instructions:
 - The payer name is generally in the BO1 field, but it could be in any field (BO2, BO3, OB1, BN, etc.)
 - Return ONLY the clean company/payer name
-- Remove business suffixes like LLC, Inc, INC, Corp, Ltd, Co, Corporation, Incorporated, Limited
+- Remove business suffixes like ${companyNormalizer.legalSuffixList()}
+- Keep "DBA" / "FKA" names, e.g. "ACME DBA ROADRUNNER SUPPLY"
 - Remove any address information, city, state, zip codes
 - Do not include any field labels (like "BO1:", "BO2:", etc.)
 - Return just the core business name for easy email searching
@@ -50,7 +52,7 @@ Instructions:
 
 Example:
 Input: "BO1:ACME CORPORATION LLC BO2:123 MAIN ST"
-Output: ACME CORPORATION
+Output: ACME
 
 Extract the payer name:`;
 
@@ -81,6 +83,8 @@ Extract the payer name:`;
 
     return {
       companyName,
+      normalizedName: companyNormalizer.normalizeCompanyName(companyName),
+      aliases: companyNormalizer.companyNameVariants(companyName),
       source: 'CHATGPT',
       confidence: 90,
       rawPaymentNotes: paymentNotesRaw
@@ -112,7 +116,7 @@ Extract the payer name:`;
  *
  * @param {Array} parsedLines - Array of parsed line objects from line-parser
  * @param {Number} amount - Payment amount for context
- * @returns {Object} - { companyName, source, confidence, amount }
+ * @returns {Object} - { companyName, normalizedName, aliases, source, confidence, amount }
  */
 function extractCompanyName(parsedLines, amount) {
   if (!parsedLines || parsedLines.length === 0) {
@@ -154,6 +158,8 @@ function extractCompanyName(parsedLines, amount) {
 
         return {
           companyName,
+          normalizedName: companyNormalizer.normalizeCompanyName(companyName),
+          aliases: companyNormalizer.companyNameVariants(companyName),
           source: 'BO1',
           confidence: 95,
           amount,
@@ -212,18 +218,11 @@ function extractCompanyName(parsedLines, amount) {
 
 /**
  * Clean company name for search
- * Removes common noise words and normalizes format
+ * Normalized primary name: legal suffixes, DBA/FKA names, accents and punctuation removed
+ * (see company-normalizer.js - the same normalization the matchers use)
  */
 function cleanCompanyName(companyName) {
-  if (!companyName) return '';
-
-  return companyName
-    .replace(/\s+LLC$/i, '')
-    .replace(/\s+INC\.?$/i, '')
-    .replace(/\s+CORP\.?$/i, '')
-    .replace(/\s+LTD\.?$/i, '')
-    .replace(/\s+CO\.?$/i, '')
-    .trim();
+  return companyNormalizer.normalizeCompanyName(companyName);
 }
 
 module.exports = {
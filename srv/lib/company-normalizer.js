@@ -0,0 +1,258 @@
+/**
+ * Company Normalizer - One Way to Compare Payer Names
+ *
+ * Shared by the company extractor, the line matcher and both email scorers, so
+ * "ACME CORP", "Acme Corporation" and "ACME CORP." are the same payer everywhere:
+ * - Accent and punctuation folding ("Café Müller, S.A." → "CAFE MULLER SA", "L.L.C." → "LLC")
+ * - Abbreviation expansion (CORP → CORPORATION, INTL → INTERNATIONAL, MFG → MANUFACTURING, ...)
+ * - Legal-suffix removal at the end of a name (INC, LLC, CORPORATION, LTD, GMBH, ...)
+ * - DBA / FKA / AKA splitting ("ACME INC DBA ROADRUNNER SUPPLY" → ACME, ROADRUNNER SUPPLY)
+ *
+ * USAGE:
+ * const companyNormalizer = require('./lib/company-normalizer');
+ * companyNormalizer.normalizeCompanyName('Acme Corp.');            // 'ACME'
+ * companyNormalizer.companyNamesMatch('ACME CORP', 'Acme Corporation');  // true
+ * companyNormalizer.containsCompanyName(email.subject, 'ACME CORP'); // name appears in the text
+ */
+
+// Abbreviation → full word (applied to tokens, after folding)
+const ABBREVIATIONS = {
+  CORP: 'CORPORATION',
+  INC: 'INCORPORATED',
+  INCORP: 'INCORPORATED',
+  CO: 'COMPANY',
+  CIE: 'COMPANY',
+  LTD: 'LIMITED',
+  INTL: 'INTERNATIONAL',
+  INTERNATL: 'INTERNATIONAL',
+  NATL: 'NATIONAL',
+  MFG: 'MANUFACTURING',
+  MFRS: 'MANUFACTURERS',
+  SVC: 'SERVICES',
+  SVCS: 'SERVICES',
+  SERV: 'SERVICES',
+  ASSOC: 'ASSOCIATES',
+  ASSN: 'ASSOCIATION',
+  BROS: 'BROTHERS',
+  MGMT: 'MANAGEMENT',
+  GRP: 'GROUP',
+  HLDGS: 'HOLDINGS',
+  HLDG: 'HOLDING',
+  DIST: 'DISTRIBUTION',
+  DISTR: 'DISTRIBUTION',
+  ENTERPR: 'ENTERPRISES',
+  ENT: 'ENTERPRISES',
+  IND: 'INDUSTRIES',
+  INDS: 'INDUSTRIES',
+  LABS: 'LABORATORIES',
+  UNIV: 'UNIVERSITY',
+  DEPT: 'DEPARTMENT',
+  AMER: 'AMERICA'
+};
+
+// Legal forms removed from the end of a name (full words, after abbreviation expansion)
+const LEGAL_SUFFIXES = new Set([
+  'INCORPORATED', 'CORPORATION', 'COMPANY', 'LIMITED',
+  'LLC', 'LLP', 'LLLP', 'LP', 'PLLC', 'PLC', 'PC', 'PA', 'NA',
+  'GMBH', 'AG', 'KG', 'SA', 'SAS', 'SARL', 'SRL', 'SPA', 'NV', 'BV', 'AB', 'AS', 'OY',
+  'PTY', 'PTE', 'BHD', 'SDN', 'KK'
+]);
+
+// "doing business as" / "formerly known as" / "also known as" / "trading as"
+const ALIAS_PATTERN = /\s+(?:D\s*\/?\s*B\s*\/?\s*A|F\s*\/?\s*K\s*\/?\s*A|A\s*\/?\s*K\s*\/?\s*A|T\s*\/\s*A|TRADING\s+AS|DOING\s+BUSINESS\s+AS)\s+/i;
+
+// Leading article ("THE HOME DEPOT" = "HOME DEPOT")
+const LEADING_ARTICLE = 'THE';
+
+/**
+ * Fold accents and punctuation: uppercase, ASCII letters/digits/& separated by single spaces
+ * Dots and apostrophes inside words are dropped ("L.L.C." → "LLC", "O'NEIL" → "ONEIL")
+ *
+ * @param {String} text - Any text
+ * @returns {String} Folded text
+ */
+function foldText(text) {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')  // Combining accents (é → e)
+    .replace(/ß/g, 'ss')
+    .toUpperCase()
+    .replace(/(?<=[A-Z])[.'’](?=[A-Z])/g, '')  // L.L.C, O'NEIL
+    .replace(/[^A-Z0-9&]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Folded tokens with abbreviations expanded (no suffix removal)
+ * Used by the local line matcher, so wire texts and statement lines compare alike
+ *
+ * @param {String} text - Any text
+ * @returns {Array<String>} Tokens
+ */
+function normalizeTokens(text) {
+  const folded = foldText(text);
+  if (!folded) return [];
+
+  return folded.split(' ').map(token => ABBREVIATIONS[token] || token);
+}
+
+/**
+ * Split a name at DBA / FKA / AKA into its individual names
+ *
+ * @param {String} name - Company name as written
+ * @returns {Array<String>} Names (original text, trimmed)
+ */
+function splitAliases(name) {
+  if (!name) return [];
+  return String(name).split(ALIAS_PATTERN).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Canonical form of one name (no alias splitting)
+ */
+function canonicalName(name) {
+  const tokens = normalizeTokens(name);
+
+  if (tokens.length > 1 && tokens[0] === LEADING_ARTICLE) tokens.shift();
+  // Remove legal forms from the end ("ACME HOLDING COMPANY INC" → "ACME HOLDING"), keep at least one token
+  while (tokens.length > 1 && LEGAL_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+
+  return tokens.join(' ');
+}
+
+/**
+ * Normalized primary name (before any DBA / FKA)
+ *
+ * @param {String} name - Company name as written
+ * @returns {String} Normalized name, '' if none
+ */
+function normalizeCompanyName(name) {
+  return companyNameVariants(name)[0] || '';
+}
+
+/**
+ * All normalized names of a company (primary name first, then DBA / FKA names)
+ *
+ * @param {String} name - Company name as written
+ * @returns {Array<String>} Distinct normalized names
+ */
+function companyNameVariants(name) {
+  return [...new Set(splitAliases(name).map(canonicalName).filter(Boolean))];
+}
+
+/**
+ * Do two names refer to the same company?
+ * True when any normalized name of one equals a normalized name of the other
+ *
+ * @param {String} a - Company name
+ * @param {String} b - Company name
+ * @returns {Boolean}
+ */
+function companyNamesMatch(a, b) {
+  const variantsB = new Set(companyNameVariants(b));
+  return companyNameVariants(a).some(variant => variantsB.has(variant));
+}
+
+/**
+ * Does the text mention the company? (any normalized name as a whole-word sequence)
+ *
+ * @param {String} text - Subject, body, sender name, ...
+ * @param {String} name - Company name
+ * @returns {Boolean}
+ */
+function containsCompanyName(text, name) {
+  const haystack = ` ${normalizeTokens(text).join(' ')} `;
+  if (haystack.trim() === '') return false;
+
+  return companyNameVariants(name).some(variant => haystack.includes(` ${variant} `));
+}
+
+/**
+ * Does an email address belong to the company? ("ar@acme-corp.com" for ACME CORP)
+ * Compares the name without spaces against the address without punctuation
+ *
+ * @param {String} address - Email address
+ * @param {String} name - Company name
+ * @returns {Boolean}
+ */
+function addressContainsCompanyName(address, name) {
+  const compactAddress = foldText(address).replace(/ /g, '');
+  if (!compactAddress) return false;
+
+  return companyNameVariants(name)
+    .map(variant => variant.replace(/ /g, ''))
+    .some(compact => compact.length >= 3 && compactAddress.includes(compact));
+}
+
+/**
+ * Company names in free text: words in front of a legal form ("... ACME Corp. ..." → "ACME")
+ *
+ * @param {String} text - Text to search
+ * @param {Number} [limit=10] - Max. names returned
+ * @returns {Array<String>} Names as written (without the legal form), distinct by normalized name
+ */
+function findCompanyNames(text, limit = 10) {
+  if (!text) return [];
+
+  const names = [];
+  const seen = new Set();
+  // Words are separated by spaces or tabs - a name never continues on the next line
+  const pattern = new RegExp(`(\\p{Lu}[\\p{L}0-9&'’.-]*(?:[^\\S\\n]+[\\p{Lu}0-9&][\\p{L}0-9&'’.-]*){0,5}?)[^\\S\\n]*,?[^\\S\\n]+(${legalFormAlternatives()})(?!\\p{L})`, 'gu');
+
+  let match;
+  while ((match = pattern.exec(text)) !== null && names.length < limit) {
+    const name = match[1].trim();
+    const normalized = normalizeCompanyName(name);
+    if (normalized.length > 2 && !seen.has(normalized)) {
+      seen.add(normalized);
+      names.push(name);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Legal forms as written in text (abbreviations and full words, optional dots)
+ * Capitalized or uppercase only - lowercase "company" in a sentence is no legal form
+ */
+function legalFormAlternatives() {
+  const written = [
+    ...Object.entries(ABBREVIATIONS).filter(([, word]) => LEGAL_SUFFIXES.has(word)).map(([abbreviation]) => abbreviation),
+    ...LEGAL_SUFFIXES
+  ].filter(form => form.length > 2 || form === 'CO');
+
+  return written
+    .sort((a, b) => b.length - a.length)
+    .map(form => form.split('')
+      .map((letter, index) => index === 0 ? letter : `[${letter}${letter.toLowerCase()}]`)
+      .join('\\.?') + '\\.?')
+    .join('|');
+}
+
+/**
+ * Legal forms for prompts and documentation ("LLC, INC, CORP, ...")
+ */
+function legalSuffixList() {
+  const abbreviations = Object.entries(ABBREVIATIONS)
+    .filter(([, word]) => LEGAL_SUFFIXES.has(word))
+    .map(([abbreviation]) => abbreviation);
+  return [...abbreviations, ...LEGAL_SUFFIXES].join(', ');
+}
+
+module.exports = {
+  foldText,
+  normalizeTokens,
+  splitAliases,
+  normalizeCompanyName,
+  companyNameVariants,
+  companyNamesMatch,
+  containsCompanyName,
+  addressContainsCompanyName,
+  findCompanyNames,
+  legalSuffixList,
+  ABBREVIATIONS,
+  LEGAL_SUFFIXES
+};
@@ -0,0 +1,340 @@
+/**
+ * Email Body Normalizer - HTML to Text, New Message vs Quoted History
+ *
+ * Turns a Graph message body (text or HTML) into plain text and splits it into
+ * the parts that matter differently for matching:
+ * - HTML → text: block elements become lines, lists "- " items, <blockquote>
+ *   lines "> "; data tables become aligned rows ("Invoice | Amount"), layout
+ *   tables plain blocks; scripts, styles and comments are dropped
+ * - All HTML 4 named entities (Latin-1, typography, currency, arrows, math) and
+ *   numeric entities are decoded
+ * - newMessage: what the sender wrote in this email
+ * - quoted: the reply/forward history - from the first reply header ("On ... wrote:",
+ *   "-----Original Message-----", an Outlook "From: / Sent:" block) or "> " line
+ * - signature: sign-off ("Best regards"), "-- " signature, "Sent from my iPhone"
+ *   and confidentiality disclaimers at the end of the new message
+ *
+ * USAGE:
+ * const emailBodyNormalizer = require('./lib/email-body-normalizer');
+ * const body = emailBodyNormalizer.normalizeBody({ contentType: 'html', content: '<p>Paid USD 500.00</p>...' });
+ * // { text, newMessage: 'Paid USD 500.00', quoted: 'On Mon, ... wrote:\n> ...', signature: 'Best regards\nJane' }
+ */
+
+// Elements that start a new line
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'center', 'dd', 'div', 'dl', 'dt', 'fieldset', 'figure', 'footer',
+  'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'ul'
+]);
+
+// Elements whose content is never text
+const SKIPPED_TAGS = /<(script|style|head|title|xml|object)\b[^>]*>[\s\S]*?<\/\1\s*>/gi;
+
+// Table cells wider than this are not padded further
+const MAX_COLUMN_WIDTH = 40;
+
+// Sign-off lines are looked for among the last lines of the new message
+const SIGN_OFF_WINDOW = 8;
+
+// HTML 4 named entities, Latin-1 block: &nbsp; (160) ... &yuml; (255) in code point order
+const LATIN1_ENTITIES = (
+  'nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr ' +
+  'deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest ' +
+  'Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ' +
+  'ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig ' +
+  'agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml ' +
+  'eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml'
+).split(' ');
+
+// Greek letters: &Alpha; (913) ... &omega; (969) - 930 is unassigned
+const GREEK_ENTITIES = [
+  'Alpha Beta Gamma Delta Epsilon Zeta Eta Theta Iota Kappa Lambda Mu Nu Xi Omicron Pi Rho - Sigma Tau Upsilon Phi Chi Psi Omega',
+  'alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu nu xi omicron pi rho sigmaf sigma tau upsilon phi chi psi omega'
+];
+
+// The other HTML 4 entities (plus &apos;)
+const NAMED_ENTITIES = {
+  quot: 34, amp: 38, apos: 39, lt: 60, gt: 62,
+  OElig: 338, oelig: 339, Scaron: 352, scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732,
+  thetasym: 977, upsih: 978, piv: 982,
+  ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+  ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218, ldquo: 8220, rdquo: 8221, bdquo: 8222,
+  dagger: 8224, Dagger: 8225, bull: 8226, hellip: 8230, permil: 8240, prime: 8242, Prime: 8243,
+  lsaquo: 8249, rsaquo: 8250, oline: 8254, frasl: 8260, euro: 8364,
+  image: 8465, weierp: 8472, real: 8476, trade: 8482, alefsym: 8501,
+  larr: 8592, uarr: 8593, rarr: 8594, darr: 8595, harr: 8596, crarr: 8629,
+  lArr: 8656, uArr: 8657, rArr: 8658, dArr: 8659, hArr: 8660,
+  forall: 8704, part: 8706, exist: 8707, empty: 8709, nabla: 8711, isin: 8712, notin: 8713, ni: 8715,
+  prod: 8719, sum: 8721, minus: 8722, lowast: 8727, radic: 8730, prop: 8733, infin: 8734, ang: 8736,
+  and: 8743, or: 8744, cap: 8745, cup: 8746, int: 8747, there4: 8756, sim: 8764, cong: 8773, asymp: 8776,
+  ne: 8800, equiv: 8801, le: 8804, ge: 8805, sub: 8834, sup: 8835, nsub: 8836, sube: 8838, supe: 8839,
+  oplus: 8853, otimes: 8855, perp: 8869, sdot: 8901, lceil: 8968, rceil: 8969, lfloor: 8970, rfloor: 8971,
+  lang: 9001, rang: 9002, loz: 9674, spades: 9824, clubs: 9827, hearts: 9829, diams: 9830
+};
+
+const ENTITIES = buildEntityTable();
+
+// Reply/forward headers - the quoted history starts at the first one
+const SEPARATOR_PATTERN = /^-{2,}\s*(original message|forwarded message|ursprüngliche nachricht|weitergeleitete nachricht|message d'origine|message transféré|mensaje original|mensaje reenviado)\s*-{2,}\s*$/i;
+const WROTE_PATTERN = /^(on\s.+\swrote|am\s.+\sschrieb.*|le\s.+\sa écrit|el\s.+\sescribió)\s*:\s*$/i;
+const HEADER_FROM_PATTERN = /^\*?(from|von|de|da)\s*:\*?\s*\S/i;
+const HEADER_SENT_PATTERN = /^\*?(sent|date|gesendet|datum|envoyé|enviado|inviato)\s*:\*?\s*\S/i;
+const HEADER_TO_PATTERN = /^\*?(to|subject|an|betreff|à|objet|para|asunto|a|oggetto)\s*:/i;
+const UNDERSCORE_LINE_PATTERN = /^_{10,}\s*$/;
+const QUOTE_PATTERN = /^>/;
+
+// Signature starts
+const SIGNATURE_DELIMITER_PATTERN = /^--\s*$/;
+const MOBILE_SIGNATURE_PATTERN = /^(sent from my\s|sent from (mail|outlook) for|get outlook for\s|von meinem .+ gesendet)/i;
+const SIGN_OFF_PATTERN = /^(best|kind|warm|many thanks and)?\s*(regards|wishes)|^(thanks|thank you|many thanks|cheers|sincerely|yours truly|respectfully|mit freundlichen grüßen|viele grüße|beste grüße|cordialement|bien à vous|saludos|atentamente)\b/i;
+const DISCLAIMER_PATTERN = /^(disclaimer|confidentiality notice|this (e-?mail|message|communication)\b.*\b(confidential|privileged|intended)|if you (have )?received this (e-?mail|message) in error)|\b(confidential|privileged)\b.*\b(intended (solely )?for|recipient|addressee)/i;
+
+/**
+ * Normalize a Graph message body
+ *
+ * @param {Object} body - Graph body { contentType: 'text' | 'html', content }
+ * @returns {Object} { text, newMessage, quoted, signature } (empty strings when absent)
+ */
+function normalizeBody(body) {
+  const content = body?.content || '';
+  const text = body?.contentType === 'html' ? htmlToText(content) : cleanText(content);
+  return { text, ...splitReply(text) };
+}
+
+/**
+ * HTML → plain text with line structure, quoted blocks and aligned table rows
+ *
+ * @param {String} html - HTML document or fragment
+ * @returns {String} Plain text
+ */
+function htmlToText(html) {
+  if (!html) return '';
+
+  const source = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(SKIPPED_TAGS, '');
+
+  // Frames: root, quote (<blockquote>), table, cell (<td>/<th>) - text goes to the innermost text frame
+  const frames = [{ type: 'root', text: '' }];
+  const top = () => frames[frames.length - 1];
+  const write = text => {
+    const frame = top();
+    if (frame.type === 'table') {
+      // Text between rows - its own row
+      if (text.trim()) frame.rows.push([text]);
+      return;
+    }
+    frame.text += text;
+  };
+  const closeCell = () => {
+    if (top().type !== 'cell') return;
+    const cell = frames.pop();
+    const table = top();
+    if (table.rows.length === 0) table.rows.push([]);
+    table.rows[table.rows.length - 1].push(cleanText(cell.text));
+  };
+  const closeFrame = () => {
+    if (top().type === 'cell') return closeCell();
+    const frame = frames.pop();
+    if (frame.type === 'table') write(`\n${renderTable(frame.rows)}\n`);
+    if (frame.type === 'quote') write(`\n${quoteLines(cleanText(frame.text))}\n`);
+  };
+  const closeUntil = type => {
+    if (!frames.some(frame => frame.type === type)) return;
+    while (top().type !== type) closeFrame();
+    closeFrame();
+  };
+
+  let preDepth = 0;
+  const tokenPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)\b[^>]*>|([^<]+|<)/g;
+  let match;
+
+  while ((match = tokenPattern.exec(source)) !== null) {
+    const [, closing, rawTag, text] = match;
+
+    if (text !== undefined) {
+      if (preDepth > 0) {
+        write(decodeEntities(text));
+        continue;
+      }
+      // Whitespace collapses like in a browser - also across element boundaries
+      const written = top().text ?? '';
+      const collapsed = text.replace(/\s+/g, ' ');
+      write(decodeEntities(/(^|\s)$/.test(written) ? collapsed.replace(/^ /, '') : collapsed));
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+
+    if (tag === 'br') {
+      write('\n');
+    } else if (tag === 'blockquote') {
+      if (closing) closeUntil('quote');
+      else frames.push({ type: 'quote', text: '' });
+    } else if (tag === 'table') {
+      if (closing) closeUntil('table');
+      else frames.push({ type: 'table', rows: [] });
+    } else if (tag === 'tr') {
+      closeCell();
+      if (!closing && top().type === 'table') top().rows.push([]);
+    } else if (tag === 'td' || tag === 'th') {
+      closeCell();
+      if (!closing && top().type === 'table') frames.push({ type: 'cell', text: '' });
+    } else if (BLOCK_TAGS.has(tag)) {
+      if (tag === 'pre') preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+      if (tag === 'p') write('\n\n');
+      else write(!closing && tag === 'li' ? '\n- ' : '\n');
+    }
+  }
+
+  while (frames.length > 1) closeFrame();
+  return cleanText(frames[0].text);
+}
+
+/**
+ * Table rows → text: data tables (2+ columns, one line per cell) as aligned
+ * "a | b" rows, layout tables as their cells' blocks
+ */
+function renderTable(rows) {
+  const filled = rows.filter(row => row.some(Boolean));
+  if (filled.length === 0) return '';
+
+  // Spacer columns (empty in every row) are dropped
+  const columnCount = Math.max(...filled.map(row => row.length));
+  const columns = [...Array(columnCount).keys()].filter(i => filled.some(row => row[i]));
+  const isData = columns.length >= 2 && filled.every(row => row.every(cell => !cell.includes('\n')));
+
+  if (!isData) {
+    return filled.map(row => row.filter(Boolean).join('\n')).join('\n');
+  }
+
+  const widths = columns.map(i => Math.min(MAX_COLUMN_WIDTH, Math.max(...filled.map(row => (row[i] || '').length))));
+  return filled
+    .map(row => columns.map((i, k) => (row[i] || '').padEnd(widths[k])).join(' | ').trimEnd())
+    .join('\n');
+}
+
+function quoteLines(text) {
+  return text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * Decode named (&eacute;) and numeric (&#233; &#xE9;) entities; unknown names stay as written
+ *
+ * @param {String} text - Text with HTML entities
+ * @returns {String} Decoded text
+ */
+function decodeEntities(text) {
+  if (!text || !text.includes('&')) return text || '';
+
+  return text.replace(/&(?:#(\d{1,7})|#[xX]([0-9a-fA-F]{1,6})|([a-zA-Z][a-zA-Z0-9]{1,9}));/g, (match, decimal, hex, name) => {
+    if (name) return ENTITIES.has(name) ? ENTITIES.get(name) : match;
+
+    const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+    if (codePoint === 0 || codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) return '\uFFFD';
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+/**
+ * Split normalized text into the new message, its signature/disclaimer and the quoted history
+ *
+ * @param {String} text - Plain text (normalizeBody / htmlToText)
+ * @returns {Object} { newMessage, quoted, signature }
+ */
+function splitReply(text) {
+  const lines = (text || '').split('\n');
+
+  const quoteStart = findQuoteStart(lines);
+  const ownLines = lines.slice(0, quoteStart);
+  const signatureStart = findSignatureStart(ownLines);
+
+  return {
+    newMessage: cleanText(ownLines.slice(0, signatureStart).join('\n')),
+    quoted: cleanText(lines.slice(quoteStart).join('\n')),
+    signature: cleanText(ownLines.slice(signatureStart).join('\n'))
+  };
+}
+
+/**
+ * First line of the quoted history (lines.length if there is none)
+ */
+function findQuoteStart(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    if (SEPARATOR_PATTERN.test(line) || QUOTE_PATTERN.test(line)) return i;
+
+    // "On Mon, 3 Mar 2025 at 10:15, Jane Doe <jane@acme.com>" + "wrote:" on the next line
+    if (WROTE_PATTERN.test(line) || (i + 1 < lines.length && WROTE_PATTERN.test(`${line} ${lines[i + 1].trim()}`))) return i;
+
+    // Outlook: "From:" followed by "Sent:" and "To:"/"Subject:" (optionally after a line of underscores) -
+    // a remittance advice listing "From:" and "Date:" only is no reply header
+    const headerLine = UNDERSCORE_LINE_PATTERN.test(line) ? nextFilledLine(lines, i) : i;
+    if (headerLine !== -1 && HEADER_FROM_PATTERN.test(lines[headerLine].trim())) {
+      const header = lines.slice(headerLine + 1, headerLine + 6).map(next => next.trim());
+      if (header.some(next => HEADER_SENT_PATTERN.test(next)) && header.some(next => HEADER_TO_PATTERN.test(next))) return i;
+    }
+  }
+  return lines.length;
+}
+
+/**
+ * First line of the signature/disclaimer block of the new message (lines.length if none)
+ * A sign-off counts only among the last lines and not as the first line
+ */
+function findSignatureStart(lines) {
+  const filled = lines.map((line, i) => (line.trim() ? i : -1)).filter(i => i >= 0);
+  const firstLine = filled[0];
+  const signOffFrom = filled[Math.max(0, filled.length - SIGN_OFF_WINDOW)];
+
+  for (const i of filled) {
+    const line = lines[i].trim();
+    if (i === firstLine) continue;
+
+    if (SIGNATURE_DELIMITER_PATTERN.test(line) || MOBILE_SIGNATURE_PATTERN.test(line) || DISCLAIMER_PATTERN.test(line)) return i;
+    // "Best regards," / "Thanks, Jane" - a short line, not "Thanks for the payment of ..."
+    if (i >= signOffFrom && SIGN_OFF_PATTERN.test(line) && line.split(/\s+/).length <= 5 && !/\d/.test(line)) return i;
+  }
+  return lines.length;
+}
+
+function nextFilledLine(lines, index) {
+  for (let i = index + 1; i < lines.length; i++) {
+    if (lines[i].trim()) return i;
+  }
+  return -1;
+}
+
+/**
+ * Trim lines, non-breaking and zero-width spaces out, at most one blank line in a row
+ * Spaces inside a line stay - they align table columns
+ */
+function cleanText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u00a0\u2000-\u200a\u202f\u205f\u3000]/g, ' ')
+    .replace(/[\u00ad\u200b-\u200f\ufeff]/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function buildEntityTable() {
+  const table = new Map(Object.entries(NAMED_ENTITIES).map(([name, codePoint]) => [name, String.fromCodePoint(codePoint)]));
+  LATIN1_ENTITIES.forEach((name, i) => table.set(name, String.fromCodePoint(160 + i)));
+  GREEK_ENTITIES.forEach((names, block) => names.split(' ').forEach((name, i) => {
+    if (name !== '-') table.set(name, String.fromCodePoint((block === 0 ? 913 : 945) + i));
+  }));
+  return table;
+}
+
+module.exports = {
+  normalizeBody,
+  htmlToText,
+  decodeEntities,
+  splitReply
+};
@@ -4,7 +4,119 @@
  * Searches locally cached emails using vector similarity
  * Much faster than real-time Graph API calls
  * Combines semantic search with business logic (company name, amount, date)
+ *
+ * Threads: clerks read conversations, not single messages - the amount may be in
+ * one reply and the cost centre or invoice list in another. searchCachedThreads
+ * groups the found emails by conversation, loads the whole thread and scores it
+ * on the union of its amounts, companies and dates.
+ *
+ * Without HANA (SQLite in development) there is no vector search: the candidates
+ * are the emails of the date window, scored by the business rules only.
+ *
+ * USAGE:
+ * const emailMatcher = require('./lib/email-matcher');
+ * const emails = await emailMatcher.searchCachedEmails(db, 'ACME CORP', 1234.56, '2026-10-15');
+ * const threads = await emailMatcher.searchCachedThreads(db, 'ACME CORP', 1234.56, '2026-10-15', 7, 7, 'USD');
+ * // [{ conversationId, subject, messageCount, relevanceScore, evidence: [...], messages: [...] }]
+ */
+
+const cds = require('@sap/cds');
+const { normalizeCompanyName, containsCompanyName, companyNamesMatch, addressContainsCompanyName } = require('./company-normalizer');
+const amountParser = require('./amount-parser');
+
+const EMAIL = 'reconciliation.EmailCache';
+
+/**
+ * Search Configuration
+ * - candidates: Emails returned by the vector search
+ * - localCandidates: Emails of the date window scored without HANA (most recent first)
+ * - results: Emails / threads returned
+ * - maxThreadMessages: Messages loaded per thread (the latest ones)
+ * - dateToleranceDays: A date mentioned in a thread counts if this close to the value date
  */
+const SEARCH_CONFIG = {
+  candidates: 25,
+  localCandidates: 200,
+  results: 10,
+  maxThreadMessages: 50,
+  dateToleranceDays: 3
+};
+
+/**
+ * Relevance Signals (points on top of the vector similarity base of 0-50)
+ * One table for both scores: calculateRelevanceScore sums the signals one email
+ * shows, calculateThreadScore sums each signal shown by any message of the thread.
+ * Company names compare through the shared normalizer (ACME CORP = Acme Corporation);
+ * amounts count in the statement currency only (1% tolerance).
+ * - threadOnly: scored for threads only
+ * test(email, query) with query = { companyName, amount, currency, valueDate }
+ */
+const RELEVANCE_SIGNALS = [
+  {
+    signal: 'COMPANY_IN_SUBJECT',
+    points: 20,
+    test: (email, { companyName }) => containsCompanyName(email.subject, companyName)
+  },
+  {
+    signal: 'COMPANY_IN_BODY',
+    points: 10,
+    test: (email, { companyName }) => containsCompanyName(email.bodyPreview, companyName)
+  },
+  {
+    signal: 'COMPANY_IN_ATTACHMENT',  // e.g. a remittance PDF
+    points: 10,
+    test: (email, { companyName }) => containsCompanyName(email.attachmentText, companyName)
+  },
+  {
+    signal: 'EXTRACTED_COMPANY',
+    points: 15,
+    test: (email, { companyName }) => safeParseJSON(email.extractedCompanies)
+      .some(c => companyNamesMatch(c, companyName) || containsCompanyName(c, companyName))
+  },
+  {
+    signal: 'AMOUNT',  // Extracted amounts of body and attachments
+    points: 20,
+    test: (email, { amount, currency }) => Boolean(amount) &&
+      amountParser.amountsMatch(safeParseJSON(email.extractedAmounts), amount, currency, { tolerance: Math.abs(amount) * 0.01 })
+  },
+  {
+    signal: 'SENDER',
+    points: 10,
+    test: (email, { companyName }) =>
+      containsCompanyName(email.fromName, companyName) || addressContainsCompanyName(email.fromAddress, companyName)
+  },
+  {
+    signal: 'DATE',  // A mentioned date close to the value date (payment / value date in the remittance)
+    points: 5,
+    threadOnly: true,
+    test: (email, { valueDate }) => {
+      const target = new Date(valueDate).getTime();
+      if (isNaN(target)) return false;
+      const toleranceMs = SEARCH_CONFIG.dateToleranceDays * 24 * 60 * 60 * 1000;
+      return safeParseJSON(email.extractedDates).some(date => Math.abs(new Date(date).getTime() - target) <= toleranceMs);
+    }
+  }
+];
+
+// EmailCache columns of a thread message
+const MESSAGE_COLUMNS = [
+  'ID',
+  'mailbox',
+  'messageId',
+  'conversationId',
+  'subject',
+  'fromAddress',
+  'fromName',
+  'receivedDateTime',
+  'bodyPreview',
+  'bodyText',
+  'hasAttachments',
+  'attachmentText',
+  'extractedAmounts',
+  'extractedCompanies',
+  'extractedDates',
+  'extractedReferences'
+];
 
 /**
  * Search cached emails using vector similarity + filters
@@ -15,9 +127,11 @@
  * @param {Date} valueDate - Payment value date
  * @param {Number} daysBefore - Days before value date (default 7)
  * @param {Number} daysAfter - Days after value date (default 7)
+ * @param {String} [currency] - Currency of the amount (statement Waers); amounts in other currencies do not count
+ * @param {Array<String>} [mailboxes] - Only emails synced from these mailbox addresses (default: all)
  * @returns {Promise<Array>} Matching emails with relevance scores
  */
-async function searchCachedEmails(db, companyName, amount, valueDate, daysBefore = 7, daysAfter = 7) {
+async function searchCachedEmails(db, companyName, amount, valueDate, daysBefore = 7, daysAfter = 7, currency = null, mailboxes = null) {
   if (!companyName) {
     throw new Error('Company name is required for email search');
   }
@@ -25,73 +139,19 @@ async function searchCachedEmails(db, companyName, amount, valueDate, daysBefore
   try {
     console.log(`📧 Searching cached emails for: "${companyName}" with amount ${amount}`);
 
-    // Calculate date range
-    const startDate = new Date(valueDate);
-    startDate.setDate(startDate.getDate() - daysBefore);
-
-    const endDate = new Date(valueDate);
-    endDate.setDate(endDate.getDate() + daysAfter);
-
-    console.log(`   Date range: ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
-
-    // Generate embedding for search query
-    const searchText = `${companyName} payment ${amount}`;
-    console.log(`   Generating embedding for: "${searchText}"`);
-
-    // Get search embedding using HANA function
-    const embeddingResult = await db.run(`
-      SELECT TO_VECTOR(VECTOR_EMBEDDING('SAP_GXY.20250407', ?)) AS "embedding"
-      FROM DUMMY
-    `, [searchText]);
-
-    const searchEmbedding = embeddingResult[0]?.embedding;
-
-    if (!searchEmbedding) {
-      throw new Error('Failed to generate search embedding');
-    }
-
-    // Vector similarity search with filters
-    // Using COSINE_SIMILARITY for semantic matching
-    const sql = `
-      SELECT
-        "ID",
-        "messageId",
-        "subject",
-        "fromAddress",
-        "fromName",
-        "receivedDateTime",
-        "bodyPreview",
-        "bodyText",
-        "extractedAmounts",
-        "extractedCompanies",
-        COSINE_SIMILARITY("embedding", TO_VECTOR(?)) AS "similarity"
-      FROM "RECONCILIATION_EMAILCACHE"
-      WHERE
-        "receivedDateTime" BETWEEN ? AND ?
-        AND "embedding" IS NOT NULL
-      ORDER BY "similarity" DESC
-      LIMIT 25
-    `;
-
-    const results = await db.run(sql, [
-      JSON.stringify(searchEmbedding),
-      startDate.toISOString(),
-      endDate.toISOString()
-    ]);
-
-    console.log(`   Found ${results.length} emails via vector search`);
+    const results = await findCandidateEmails(db, companyName, amount, dateWindow(valueDate, daysBefore, daysAfter), mailboxes);
 
     // Calculate enhanced relevance scores
     const scored = results.map(email => ({
       ...email,
-      relevanceScore: calculateRelevanceScore(email, companyName, amount, searchEmbedding)
+      relevanceScore: calculateRelevanceScore(email, companyName, amount, null, currency)
     }));
 
     // Re-sort by combined score
     scored.sort((a, b) => b.relevanceScore - a.relevanceScore);
 
     // Return top 10
-    return scored.slice(0, 10);
+    return scored.slice(0, SEARCH_CONFIG.results);
 
   } catch (error) {
     console.error('❌ Error searching cached emails:', error.message);
@@ -100,68 +160,277 @@ async function searchCachedEmails(db, companyName, amount, valueDate, daysBefore
 }
 
 /**
- * Calculate relevance score combining vector similarity with business logic
+ * Search cached email threads - the conversation is the match unit
  *
- * @param {Object} email - Email record from database
- * @param {String} companyName - Company name being searched
+ * The emails found by the search (searchCachedEmails' candidates) pull in their
+ * whole conversation (same mailbox, not removed, also replies outside the date window).
+ * Each thread is scored on the union of its messages' evidence (calculateThreadScore).
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} companyName - Company name to search for
  * @param {Number} amount - Payment amount
- * @param {Array} searchEmbedding - Search vector embedding
- * @returns {Number} Relevance score (0-100)
+ * @param {Date} valueDate - Payment value date
+ * @param {Number} daysBefore - Days before value date (default 7)
+ * @param {Number} daysAfter - Days after value date (default 7)
+ * @param {String} [currency] - Currency of the amount (statement Waers)
+ * @param {Array<String>} [mailboxes] - Only emails synced from these mailbox addresses (default: all)
+ * @returns {Promise<Array>} Threads, best first: { conversationId, mailbox, subject, messageCount, firstReceivedDateTime,
+ *                           lastReceivedDateTime, participants, similarity, relevanceScore, evidence,
+ *                           extractedAmounts, extractedCompanies, extractedDates, extractedReferences,
+ *                           messages (oldest first, each with its own relevanceScore) }
  */
-function calculateRelevanceScore(email, companyName, amount, searchEmbedding) {
-  let score = 0;
+async function searchCachedThreads(db, companyName, amount, valueDate, daysBefore = 7, daysAfter = 7, currency = null, mailboxes = null) {
+  if (!companyName) {
+    throw new Error('Company name is required for email search');
+  }
 
-  // Base score from vector similarity (0-50 points)
-  const similarity = email.similarity || 0;
-  score += similarity * 50;
+  try {
+    console.log(`📧 Searching cached email threads for: "${companyName}" with amount ${amount}`);
+
+    const candidates = await findCandidateEmails(db, companyName, amount, dateWindow(valueDate, daysBefore, daysAfter), mailboxes);
+    const threads = await loadThreads(db, candidates);
+
+    const scored = threads.map(thread => {
+      const messages = thread.messages.map(email => ({
+        ...email,
+        relevanceScore: calculateRelevanceScore(email, companyName, amount, null, currency)
+      }));
+      return {
+        ...thread,
+        ...calculateThreadScore({ ...thread, messages }, companyName, amount, valueDate, currency),
+        messages
+      };
+    });
+
+    scored.sort((a, b) => b.relevanceScore - a.relevanceScore || b.messageCount - a.messageCount);
+
+    console.log(`   ${candidates.length} email(s) in ${threads.length} thread(s)`);
 
-  const subject = (email.subject || '').toLowerCase();
-  const bodyPreview = (email.bodyPreview || '').toLowerCase();
-  const companyLower = companyName.toLowerCase();
+    return scored.slice(0, SEARCH_CONFIG.results);
 
-  // Company name exact match in subject (+20 points)
-  if (subject.includes(companyLower)) {
-    score += 20;
+  } catch (error) {
+    console.error('❌ Error searching cached email threads:', error.message);
+    throw error;
   }
+}
 
-  // Company name exact match in body (+10 points)
-  if (bodyPreview.includes(companyLower)) {
-    score += 10;
+/**
+ * Candidate emails of the date window
+ * HANA: vector similarity to "<company> payment <amount>"; otherwise the most recent emails (similarity null)
+ *
+ * @returns {Promise<Array>} EmailCache rows (MESSAGE_COLUMNS + similarity)
+ */
+async function findCandidateEmails(db, companyName, amount, { startDate, endDate }, mailboxes) {
+  console.log(`   Date range: ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
+
+  if (useLocalSearch()) {
+    let query = SELECT.from(EMAIL)
+      .columns(...MESSAGE_COLUMNS)
+      .where({ receivedDateTime: { between: startDate.toISOString(), and: endDate.toISOString() } })
+      .and('(isRemoved is null or isRemoved = false)')
+      .orderBy('receivedDateTime desc')
+      .limit(SEARCH_CONFIG.localCandidates);
+    if (mailboxes) query = query.and({ mailbox: { in: mailboxes.length > 0 ? mailboxes : [null] } });
+
+    const results = await db.run(query);
+    console.log(`   Found ${results.length} emails in the date range (no vector search without HANA)`);
+    return results.map(email => ({ ...email, similarity: null }));
   }
 
-  // Extracted companies match (+15 points)
-  try {
-    const extractedCompanies = JSON.parse(email.extractedCompanies || '[]');
-    if (extractedCompanies.some(c => c.toLowerCase().includes(companyLower))) {
-      score += 15;
-    }
-  } catch (e) {
-    // Invalid JSON, skip
+  // Generate embedding for search query
+  const searchText = `${companyName} payment ${amount}`;
+  console.log(`   Generating embedding for: "${searchText}"`);
+
+  // Get search embedding using HANA function
+  const embeddingResult = await db.run(`
+    SELECT TO_VECTOR(VECTOR_EMBEDDING('SAP_GXY.20250407', ?)) AS "embedding"
+    FROM DUMMY
+  `, [searchText]);
+
+  const searchEmbedding = embeddingResult[0]?.embedding;
+
+  if (!searchEmbedding) {
+    throw new Error('Failed to generate search embedding');
   }
 
-  // Amount match in extracted amounts (+20 points)
-  if (amount) {
-    try {
-      const extractedAmounts = JSON.parse(email.extractedAmounts || '[]');
-      const tolerance = amount * 0.01; // 1% tolerance
-
-      const hasMatch = extractedAmounts.some(extracted =>
-        Math.abs(extracted - amount) <= tolerance
-      );
-
-      if (hasMatch) {
-        score += 20;
-      }
-    } catch (e) {
-      // Invalid JSON, skip
+  // Vector similarity search with filters
+  // Using COSINE_SIMILARITY for semantic matching
+  const mailboxFilter = mailboxes
+    ? `AND "mailbox" IN (${mailboxes.map(() => '?').join(', ') || 'NULL'})`
+    : '';
+
+  const sql = `
+    SELECT
+      ${MESSAGE_COLUMNS.map(column => `"${column}"`).join(',\n      ')},
+      COSINE_SIMILARITY("embedding", TO_VECTOR(?)) AS "similarity"
+    FROM "RECONCILIATION_EMAILCACHE"
+    WHERE
+      "receivedDateTime" BETWEEN ? AND ?
+      AND "embedding" IS NOT NULL
+      AND ("isRemoved" IS NULL OR "isRemoved" = FALSE)
+      ${mailboxFilter}
+    ORDER BY "similarity" DESC
+    LIMIT ${SEARCH_CONFIG.candidates}
+  `;
+
+  const results = await db.run(sql, [
+    JSON.stringify(searchEmbedding),
+    startDate.toISOString(),
+    endDate.toISOString(),
+    ...(mailboxes || [])
+  ]);
+
+  console.log(`   Found ${results.length} emails via vector search`);
+
+  return results;
+}
+
+/**
+ * Group candidate emails into threads and load the other messages of each thread
+ * Conversation IDs are only unique within a mailbox; emails without one are a thread of their own
+ */
+async function loadThreads(db, candidates) {
+  const similarityById = new Map(candidates.map(email => [email.ID, email.similarity]));
+  const conversationIds = [...new Set(candidates.map(email => email.conversationId).filter(Boolean))];
+
+  const members = conversationIds.length > 0
+    ? await db.run(
+      SELECT.from(EMAIL)
+        .columns(...MESSAGE_COLUMNS)
+        .where({ conversationId: { in: conversationIds } })
+        .and('(isRemoved is null or isRemoved = false)')
+    )
+    : [];
+
+  const threads = new Map();
+  for (const email of [...candidates, ...members]) {
+    const key = email.conversationId ? `${email.mailbox}|${email.conversationId}` : `ID|${email.ID}`;
+    if (!threads.has(key)) threads.set(key, new Map());
+    // Candidates come first and keep their similarity
+    if (!threads.get(key).has(email.ID)) threads.get(key).set(email.ID, { ...email, similarity: similarityById.get(email.ID) ?? null });
+  }
+
+  // Only threads with a candidate (a member of another mailbox's conversation is not one)
+  const candidateKeys = new Set(candidates.map(email => email.conversationId ? `${email.mailbox}|${email.conversationId}` : `ID|${email.ID}`));
+
+  return [...threads.entries()]
+    .filter(([key]) => candidateKeys.has(key))
+    .map(([, byId]) => toThread([...byId.values()]));
+}
+
+/**
+ * Messages of one conversation → thread (messages oldest first, evidence merged)
+ */
+function toThread(emails) {
+  const messages = emails
+    .sort((a, b) => new Date(a.receivedDateTime) - new Date(b.receivedDateTime))
+    .slice(-SEARCH_CONFIG.maxThreadMessages);
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+  const similarities = messages.map(email => email.similarity).filter(similarity => similarity !== null && similarity !== undefined);
+
+  return {
+    conversationId: first.conversationId,
+    mailbox: first.mailbox,
+    subject: first.subject,
+    messageCount: messages.length,
+    firstReceivedDateTime: first.receivedDateTime,
+    lastReceivedDateTime: last.receivedDateTime,
+    participants: [...new Set(messages.map(email => email.fromAddress).filter(Boolean))],
+    similarity: similarities.length > 0 ? Math.max(...similarities) : null,
+    extractedAmounts: unionOf(messages, 'extractedAmounts', amount => `${amount.amount}|${amount.currency || amount.symbol || ''}`),
+    extractedCompanies: unionOf(messages, 'extractedCompanies', name => normalizeCompanyName(name) || name),
+    extractedDates: unionOf(messages, 'extractedDates', date => date),
+    extractedReferences: unionOf(messages, 'extractedReferences', reference => `${reference.refType}|${reference.normalizedValue}`),
+    messages
+  };
+}
+
+/**
+ * Distinct entries of a JSON list column over all messages (first occurrence wins)
+ */
+function unionOf(messages, column, keyOf) {
+  const seen = new Map();
+  for (const email of messages) {
+    for (const entry of safeParseJSON(email[column])) {
+      const key = keyOf(entry);
+      if (!seen.has(key)) seen.set(key, entry);
     }
   }
+  return [...seen.values()];
+}
+
+/**
+ * Score a thread on the union of its messages
+ * Every RELEVANCE_SIGNALS entry is earned once if any message shows it
+ * (including the thread-only date signal). Evidence records which messages
+ * earned each signal.
+ *
+ * @param {Object} thread - Thread with messages and merged extracted values (toThread)
+ * @param {String} companyName - Company name being searched
+ * @param {Number} amount - Payment amount
+ * @param {Date} valueDate - Payment value date
+ * @param {String} [currency] - Currency of the amount
+ * @returns {Object} { relevanceScore (0-100), evidence: [{ signal, points, emailIDs }] }
+ */
+function calculateThreadScore(thread, companyName, amount, valueDate, currency = null) {
+  const query = { companyName, amount, currency, valueDate };
+  const evidence = [];
+
+  // Base score from the best vector similarity (0-50 points)
+  if (thread.similarity) {
+    const best = thread.messages.filter(email => email.similarity === thread.similarity);
+    evidence.push({ signal: 'SIMILARITY', points: thread.similarity * 50, emailIDs: best.map(email => email.ID) });
+  }
 
-  // From address/name contains company (+10 points)
-  const fromName = (email.fromName || '').toLowerCase();
-  const fromAddress = (email.fromAddress || '').toLowerCase();
-  if (fromName.includes(companyLower) || fromAddress.includes(companyLower)) {
-    score += 10;
+  for (const { signal, points, test } of RELEVANCE_SIGNALS) {
+    const emails = thread.messages.filter(email => test(email, query));
+    if (emails.length > 0) evidence.push({ signal, points, emailIDs: emails.map(email => email.ID) });
+  }
+
+  const score = evidence.reduce((sum, entry) => sum + entry.points, 0);
+  return { relevanceScore: Math.min(score, 100), evidence }; // Cap at 100
+}
+
+/**
+ * Start and end of the search window around the value date
+ */
+function dateWindow(valueDate, daysBefore, daysAfter) {
+  const startDate = new Date(valueDate);
+  startDate.setDate(startDate.getDate() - daysBefore);
+
+  const endDate = new Date(valueDate);
+  endDate.setDate(endDate.getDate() + daysAfter);
+
+  return { startDate, endDate };
+}
+
+/**
+ * Score by business rules only (no HANA vector search)? True for every db kind other than HANA
+ */
+function useLocalSearch() {
+  return cds.env.requires.db?.kind !== 'hana';
+}
+
+/**
+ * Calculate relevance score combining vector similarity with business logic
+ *
+ * @param {Object} email - Email record from database
+ * @param {String} companyName - Company name being searched
+ * @param {Number} amount - Payment amount
+ * @param {Array} searchEmbedding - Search vector embedding
+ * @param {String} [currency] - Currency of the amount
+ * @returns {Number} Relevance score (0-100)
+ */
+function calculateRelevanceScore(email, companyName, amount, searchEmbedding, currency = null) {
+  const query = { companyName, amount, currency };
+
+  // Base score from vector similarity (0-50 points)
+  let score = (email.similarity || 0) * 50;
+
+  // Business rules (RELEVANCE_SIGNALS) this email shows
+  for (const { points, threadOnly, test } of RELEVANCE_SIGNALS) {
+    if (!threadOnly && test(email, query)) score += points;
   }
 
   return Math.min(score, 100); // Cap at 100
@@ -177,6 +446,7 @@ function calculateRelevanceScore(email, companyName, amount, searchEmbedding) {
 function formatCachedEmailResults(emails) {
   return emails.map(email => ({
     id: email.ID,
+    mailbox: email.mailbox,
     messageId: email.messageId,
     subject: email.subject,
     from: email.fromName || email.fromAddress,
@@ -191,6 +461,33 @@ function formatCachedEmailResults(emails) {
   }));
 }
 
+/**
+ * Format cached thread results for display
+ * The thread's merged values and evidence, its messages formatted like formatCachedEmailResults
+ *
+ * @param {Array} threads - Result of searchCachedThreads
+ * @returns {Array} Formatted threads
+ */
+function formatCachedThreadResults(threads) {
+  return threads.map(thread => ({
+    conversationId: thread.conversationId,
+    mailbox: thread.mailbox,
+    subject: thread.subject,
+    messageCount: thread.messageCount,
+    firstReceivedDate: thread.firstReceivedDateTime,
+    lastReceivedDate: thread.lastReceivedDateTime,
+    participants: thread.participants,
+    score: Math.round(thread.relevanceScore),
+    similarity: Math.round((thread.similarity || 0) * 100),
+    evidence: thread.evidence.map(entry => ({ ...entry, points: Math.round(entry.points) })),
+    extractedAmounts: thread.extractedAmounts,
+    extractedCompanies: thread.extractedCompanies,
+    extractedDates: thread.extractedDates,
+    extractedReferences: thread.extractedReferences,
+    messages: formatCachedEmailResults(thread.messages)
+  }));
+}
+
 /**
  * Safely parse JSON string
  */
@@ -221,10 +518,17 @@ async function getEmailById(db, emailId) {
     }
 
     const email = result[0];
+    const attachments = await db.run(
+      SELECT.from('reconciliation.EmailAttachment')
+        .columns('ID', 'name', 'contentType', 'size', 'format', 'extractionStatus', 'extractedText')
+        .where({ email_ID: emailId })
+    );
 
     return {
       id: email.ID,
+      mailbox: email.mailbox,
       messageId: email.messageId,
+      conversationId: email.conversationId,
       subject: email.subject,
       from: {
         name: email.fromName,
@@ -237,7 +541,9 @@ async function getEmailById(db, emailId) {
       bodyHtml: email.bodyHtml,
       extractedAmounts: safeParseJSON(email.extractedAmounts),
       extractedCompanies: safeParseJSON(email.extractedCompanies),
-      extractedDates: safeParseJSON(email.extractedDates)
+      extractedDates: safeParseJSON(email.extractedDates),
+      extractedReferences: safeParseJSON(email.extractedReferences),
+      attachments
     };
 
   } catch (error) {
@@ -247,8 +553,12 @@ async function getEmailById(db, emailId) {
 }
 
 module.exports = {
+  SEARCH_CONFIG,
   searchCachedEmails,
+  searchCachedThreads,
   calculateRelevanceScore,
+  calculateThreadScore,
   formatCachedEmailResults,
+  formatCachedThreadResults,
   getEmailById
 };
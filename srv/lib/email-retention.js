@@ -0,0 +1,349 @@
+/**
+ * Email Retention - Purge and Redaction of Cached Emails
+ *
+ * Enforces the admin-maintained EmailRetentionRule records, so the cache keeps
+ * copies of mailbox traffic only as long as compliance allows:
+ * - A rule covers the emails of one mailbox (or all) that are UNMATCHED (never
+ *   confirmed for a statement), MATCHED or ANY, once older than retentionDays
+ * - The most specific rule for an email decides - a mailbox rule before an
+ *   all-mailboxes rule, MATCHED/UNMATCHED before ANY, the shorter retention among
+ *   equals; emails no rule covers are kept
+ * - DELETE removes the email and its attachments; open EmailMatch rows go with it,
+ *   confirmed and rejected ones stay as the record of the clerk's decision. The
+ *   Graph message ID is kept (PurgedEmail), so the delta sync does not cache it again
+ * - STRIP_BODY removes bodies and attachment text but keeps headers and the
+ *   extracted amounts, companies, dates and references - for good: the sync only
+ *   updates headers and flags of a stripped email
+ * - Emails cached before their mailbox turned on redactBodies are redacted (pii-redactor.js)
+ * - Every run is recorded in EmailPurgeRun; a dry run only counts
+ *
+ * USAGE:
+ * const emailRetention = require('./lib/email-retention');
+ * const preview = await emailRetention.purgeEmails(db, { dryRun: true });
+ * const result = await emailRetention.purgeEmails(db);
+ */
+
+const cds = require('@sap/cds');
+const mailboxConfig = require('./mailbox-config');
+const piiRedactor = require('./pii-redactor');
+
+const RULE = 'reconciliation.EmailRetentionRule';
+const EMAIL = 'reconciliation.EmailCache';
+const ATTACHMENT = 'reconciliation.EmailAttachment';
+const EMAIL_MATCH = 'reconciliation.EmailMatch';
+const PURGE_RUN = 'reconciliation.EmailPurgeRun';
+const PURGED_EMAIL = 'reconciliation.PurgedEmail';
+
+const MATCH_STATUSES = ['UNMATCHED', 'MATCHED', 'ANY'];
+const PURGE_ACTIONS = ['DELETE', 'STRIP_BODY'];
+
+/**
+ * Purge Configuration
+ * - purgeChunk: Email IDs per IN (...) delete/update
+ * - redactionChunk: Emails loaded with their bodies at a time for redaction
+ */
+const RETENTION_CONFIG = {
+  purgeChunk: 500,
+  redactionChunk: 100
+};
+
+const ADDRESS_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Apply the retention rules and redact what the mailboxes require
+ *
+ * @param {Object} db - CDS database service
+ * @param {Object} [options] - { dryRun } count only, { now } reference date of the ages (default: now)
+ * @returns {Promise<Object>} { success, message, purgeRunID, dryRun, rulesApplied, emailsDeleted, emailsStripped,
+ *                            emailsRedacted, attachmentsDeleted, emailMatchesDeleted, rules, duration, error }
+ */
+async function purgeEmails(db, options = {}) {
+  const startTime = Date.now();
+  const dryRun = !!options.dryRun;
+  const now = options.now ? new Date(options.now) : new Date();
+
+  console.log(`\n🧹 Purging cached emails${dryRun ? ' (dry run)' : ''}...`);
+
+  const purgeRunID = cds.utils.uuid();
+  await db.run(INSERT.into(PURGE_RUN).entries({
+    ID: purgeRunID,
+    status: 'RUNNING',
+    dryRun,
+    startedAt: new Date().toISOString()
+  }));
+
+  try {
+    const rules = await loadRules(db);
+    const counts = {
+      emailsDeleted: 0,
+      emailsStripped: 0,
+      emailsRedacted: 0,
+      attachmentsDeleted: 0,
+      emailMatchesDeleted: 0
+    };
+    const ruleResults = [];
+
+    for (const rule of rules) {
+      const emailIDs = await findExpiredEmails(db, rule, rules, now);
+
+      if (rule.purgeAction === 'DELETE') {
+        const deleted = await deleteEmails(db, emailIDs, dryRun, purgeRunID);
+        counts.emailsDeleted += emailIDs.length;
+        counts.attachmentsDeleted += deleted.attachments;
+        counts.emailMatchesDeleted += deleted.emailMatches;
+      } else {
+        if (!dryRun) await stripBodies(db, emailIDs);
+        counts.emailsStripped += emailIDs.length;
+      }
+
+      console.log(`   📋 ${describeRule(rule)}: ${emailIDs.length} email(s) ${dryRun ? 'to be ' : ''}${rule.purgeAction === 'DELETE' ? 'deleted' : 'stripped'}`);
+      ruleResults.push({
+        ruleID: rule.ID,
+        description: rule.description,
+        mailbox: rule.mailbox,
+        matchStatus: rule.matchStatus,
+        retentionDays: rule.retentionDays,
+        purgeAction: rule.purgeAction,
+        emailsAffected: emailIDs.length
+      });
+    }
+
+    counts.emailsRedacted = await redactCachedEmails(db, dryRun);
+    if (counts.emailsRedacted > 0) {
+      console.log(`   🔒 ${counts.emailsRedacted} email(s) redacted`);
+    }
+
+    await db.run(UPDATE(PURGE_RUN).set({
+      ...counts,
+      rulesApplied: rules.length,
+      status: 'SUCCESS',
+      finishedAt: new Date().toISOString()
+    }).where({ ID: purgeRunID }));
+
+    const message = rules.length === 0
+      ? 'No active retention rules - nothing purged'
+      : `${dryRun ? 'Would delete' : 'Deleted'} ${counts.emailsDeleted} and ${dryRun ? 'strip' : 'stripped'} ${counts.emailsStripped} email(s) by ${rules.length} rule(s)`;
+    console.log(`   ✅ ${message}`);
+
+    return {
+      success: true,
+      message,
+      purgeRunID,
+      dryRun,
+      rulesApplied: rules.length,
+      ...counts,
+      rules: ruleResults,
+      duration: Date.now() - startTime,
+      error: null
+    };
+
+  } catch (error) {
+    console.error('❌ Email purge failed:', error.message);
+
+    await db.run(UPDATE(PURGE_RUN).set({
+      status: 'FAILED',
+      finishedAt: new Date().toISOString(),
+      error: error.message.substring(0, 1000)
+    }).where({ ID: purgeRunID }));
+
+    throw error;
+  }
+}
+
+/**
+ * Active retention rules, mailbox addresses lowercased
+ */
+async function loadRules(db) {
+  const records = await db.run(SELECT.from(RULE).where({ isActive: true }));
+
+  return records.map(record => ({
+    ID: record.ID,
+    description: record.description || null,
+    mailbox: record.mailbox?.trim().toLowerCase() || null,
+    matchStatus: record.matchStatus || 'ANY',
+    retentionDays: record.retentionDays,
+    purgeAction: record.purgeAction || 'DELETE'
+  }));
+}
+
+/**
+ * IDs of the emails the rule decides for and that are older than its retention
+ */
+async function findExpiredEmails(db, rule, rules, now) {
+  const cutoff = new Date(now.getTime() - rule.retentionDays * DAY_MS).toISOString();
+
+  const where = { receivedDateTime: { '<': cutoff } };
+  if (rule.mailbox) where.mailbox = rule.mailbox;
+  if (rule.matchStatus === 'MATCHED') where.matchedCount = { '>': 0 };
+  if (rule.matchStatus === 'UNMATCHED') where.matchedCount = 0;
+  // Stripped once is enough - the sync never restores the bodies
+  if (rule.purgeAction === 'STRIP_BODY') where.bodyPurgedAt = null;
+
+  const emails = await db.run(SELECT.from(EMAIL).columns('ID', 'mailbox', 'matchedCount').where(where));
+
+  return emails
+    .filter(email => decidingRule(email, rules) === rule)
+    .map(email => email.ID);
+}
+
+/**
+ * The rule that decides for an email (see header), null if none covers it
+ */
+function decidingRule(email, rules) {
+  const matched = (email.matchedCount || 0) > 0;
+  const mailbox = (email.mailbox || '').toLowerCase();
+
+  const covering = rules.filter(rule =>
+    (!rule.mailbox || rule.mailbox === mailbox) &&
+    (rule.matchStatus === 'ANY' || (rule.matchStatus === 'MATCHED') === matched)
+  );
+
+  const specificity = rule => (rule.mailbox ? 2 : 0) + (rule.matchStatus !== 'ANY' ? 1 : 0);
+  covering.sort((a, b) => specificity(b) - specificity(a) || a.retentionDays - b.retentionDays);
+
+  return covering[0] || null;
+}
+
+/**
+ * Delete emails with their attachments and open matches
+ * Confirmed/rejected EmailMatch rows keep their thread details; only the email reference is cleared
+ * The Graph message IDs are recorded as PurgedEmail for the delta sync to skip
+ *
+ * @returns {Promise<Object>} { attachments, emailMatches } deleted (to be deleted on a dry run)
+ */
+async function deleteEmails(db, emailIDs, dryRun, purgeRunID) {
+  const deleted = { attachments: 0, emailMatches: 0 };
+  const now = new Date().toISOString();
+
+  for (let i = 0; i < emailIDs.length; i += RETENTION_CONFIG.purgeChunk) {
+    const chunk = emailIDs.slice(i, i + RETENTION_CONFIG.purgeChunk);
+    const openMatches = { email_ID: { in: chunk }, isConfirmed: false, isRejected: false };
+
+    deleted.attachments += await countRows(db, ATTACHMENT, { email_ID: { in: chunk } });
+    deleted.emailMatches += await countRows(db, EMAIL_MATCH, openMatches);
+    if (dryRun) continue;
+
+    const messages = await db.run(SELECT.from(EMAIL).columns('mailbox', 'messageId').where({ ID: { in: chunk } }));
+    const purged = messages.filter(message => message.messageId).map(message => ({
+      mailbox: message.mailbox,
+      messageId: message.messageId,
+      purgedAt: now,
+      purgeRun_ID: purgeRunID
+    }));
+    if (purged.length > 0) await db.run(INSERT.into(PURGED_EMAIL).entries(purged));
+
+    await db.run(DELETE.from(EMAIL_MATCH).where(openMatches));
+    await db.run(UPDATE(EMAIL_MATCH).set({ email_ID: null }).where({ email_ID: { in: chunk } }));
+    await db.run(DELETE.from(ATTACHMENT).where({ email_ID: { in: chunk } }));
+    await db.run(DELETE.from(EMAIL).where({ ID: { in: chunk } }));
+  }
+
+  return deleted;
+}
+
+/**
+ * Remove bodies and attachment text; headers and extracted fields stay for matching
+ */
+async function stripBodies(db, emailIDs) {
+  const now = new Date().toISOString();
+
+  for (let i = 0; i < emailIDs.length; i += RETENTION_CONFIG.purgeChunk) {
+    const chunk = emailIDs.slice(i, i + RETENTION_CONFIG.purgeChunk);
+
+    await db.run(UPDATE(EMAIL).set({
+      bodyPreview: '',
+      bodyText: null,
+      bodyHtml: null,
+      newMessageText: null,
+      quotedText: null,
+      signatureText: null,
+      attachmentText: null,
+      bodyPurgedAt: now
+    }).where({ ID: { in: chunk } }));
+    await db.run(UPDATE(ATTACHMENT).set({ extractedText: null }).where({ email_ID: { in: chunk } }));
+  }
+}
+
+/**
+ * Redact emails of redacting mailboxes that were cached before redactBodies was turned on
+ * On HANA their embeddings are cleared - generate-embeddings recomputes them from the redacted text
+ *
+ * @returns {Promise<Number>} Emails redacted (to be redacted on a dry run)
+ */
+async function redactCachedEmails(db, dryRun) {
+  const mailboxes = (await mailboxConfig.getMailboxes(db))
+    .filter(mailbox => mailbox.redactBodies)
+    .map(mailbox => mailbox.address);
+  if (mailboxes.length === 0) return 0;
+
+  const pending = await db.run(
+    SELECT.from(EMAIL).columns('ID').where({ mailbox: { in: mailboxes }, isRedacted: false, bodyPurgedAt: null })
+  );
+  if (dryRun) return pending.length;
+
+  const isHana = cds.env.requires.db?.kind === 'hana';
+
+  for (let i = 0; i < pending.length; i += RETENTION_CONFIG.redactionChunk) {
+    const chunk = pending.slice(i, i + RETENTION_CONFIG.redactionChunk).map(email => email.ID);
+
+    const emails = await db.run(SELECT.from(EMAIL).columns('ID', ...piiRedactor.EMAIL_TEXT_FIELDS).where({ ID: { in: chunk } }));
+    for (const email of emails) {
+      const { ID, ...redacted } = piiRedactor.redactEmail(email);
+      await db.run(UPDATE(EMAIL).set(redacted).where({ ID }));
+      if (isHana) {
+        await db.run('UPDATE "RECONCILIATION_EMAILCACHE" SET "EMBEDDING" = NULL WHERE "ID" = ?', [ID]);
+      }
+    }
+
+    const attachments = await db.run(SELECT.from(ATTACHMENT).columns('ID', 'extractedText').where({ email_ID: { in: chunk } }));
+    for (const attachment of attachments) {
+      const redacted = piiRedactor.redactAttachment(attachment);
+      if (redacted.extractedText === attachment.extractedText) continue;
+      await db.run(UPDATE(ATTACHMENT).set({ extractedText: redacted.extractedText }).where({ ID: attachment.ID }));
+    }
+  }
+
+  return pending.length;
+}
+
+async function countRows(db, entity, where) {
+  const result = await db.run(SELECT.one.from(entity).columns('count(1) as total').where(where));
+  return result?.total || 0;
+}
+
+function describeRule(rule) {
+  return rule.description ||
+    `${rule.mailbox || 'all mailboxes'} / ${rule.matchStatus} / ${rule.retentionDays} days / ${rule.purgeAction}`;
+}
+
+/**
+ * Validate a retention rule before it is saved
+ * Throws with the reason if the rule is not usable
+ *
+ * @param {Object} rule - EmailRetentionRule data
+ */
+function validateRetentionRule(rule) {
+  if (!Number.isInteger(rule.retentionDays) || rule.retentionDays < 1) {
+    throw new Error('retentionDays must be a whole number of days (1 or more)');
+  }
+
+  if (rule.matchStatus && !MATCH_STATUSES.includes(rule.matchStatus)) {
+    throw new Error(`matchStatus must be one of ${MATCH_STATUSES.join(', ')}`);
+  }
+
+  if (rule.purgeAction && !PURGE_ACTIONS.includes(rule.purgeAction)) {
+    throw new Error(`purgeAction must be one of ${PURGE_ACTIONS.join(', ')}`);
+  }
+
+  if (rule.mailbox && !ADDRESS_PATTERN.test(rule.mailbox.trim())) {
+    throw new Error(`"${rule.mailbox}" is not an email address`);
+  }
+}
+
+module.exports = {
+  RETENTION_CONFIG,
+  purgeEmails,
+  validateRetentionRule
+};
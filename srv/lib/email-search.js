@@ -1,27 +1,42 @@
 /**
  * Email Search Service
  *
- * Searches Microsoft Outlook inbox using Graph API when vector matching fails
+ * Searches the configured Outlook mailboxes (Mailbox entity) using Graph API when vector matching fails
  * Helps clerks find payment details by searching emails with company name + amount
  */
 
-const { executeHttpRequest } = require('@sap-cloud-sdk/http-client');
+const { normalizeCompanyName, containsCompanyName, addressContainsCompanyName } = require('./company-normalizer');
+const amountParser = require('./amount-parser');
+const mailboxConfig = require('./mailbox-config');
+const mailTransport = require('./mail-transport');
+const emailBodyNormalizer = require('./email-body-normalizer');
+
+// Graph host of the MicrosoftGraphAPI destination (paging and delta links are absolute URLs)
+const GRAPH_HOST = 'https://graph.microsoft.com';
 
 /**
- * Search emails in Outlook inbox
+ * Search emails in the configured Outlook mailboxes
  *
  * @param {String} companyName - Company name extracted from BO1
  * @param {Number} amount - Payment amount
  * @param {Number} daysBefore - Days before value date to search (default: 3)
  * @param {Number} daysAfter - Days after value date to search (default: 3)
  * @param {Date} valueDate - Payment value date
- * @returns {Array} - Array of email results with relevance scores
+ * @param {String} [currency] - Currency of the amount (statement Waers); amounts in other currencies do not count
+ * @param {Array} [mailboxes] - Mailboxes to search (mailbox-config.js getMailboxes) - their subject
+ *                              and sender filters apply
+ * @returns {Array} - Array of email results with relevance scores and source mailbox
  */
-async function searchInbox(companyName, amount, valueDate, daysBefore = 3, daysAfter = 3) {
+async function searchInbox(companyName, amount, valueDate, daysBefore = 3, daysAfter = 3, currency = null, mailboxes = []) {
   if (!companyName) {
     throw new Error('Company name is required for email search');
   }
 
+  if (mailboxes.length === 0) {
+    console.warn('⚠️  No mailbox configured - email search unavailable');
+    return [];
+  }
+
   try {
     // Calculate date range for search
     const startDate = new Date(valueDate);
@@ -30,62 +45,27 @@ async function searchInbox(companyName, amount, valueDate, daysBefore = 3, daysA
     const endDate = new Date(valueDate);
     endDate.setDate(endDate.getDate() + daysAfter);
 
-    console.log(`📧 Searching emails for: "${companyName}" with amount ${amount}`);
-    console.log(`   Subject filter: "SAP HACKATHON"`);
+    console.log(`📧 Searching emails for: "${companyName}" with amount ${amount}${currency ? ' ' + currency : ''}`);
     console.log(`   Date range: ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
 
-    // Build query parameters
-    // Include both company name AND subject filter "SAP HACKATHON"
-    const searchQuery = `"${companyName}" AND subject:"SAP HACKATHON"`; // Graph API search requires quotes
-
-    // Build URL with properly encoded parameters
-    // Note: $search and $filter cannot be used together, so we'll use $search with $top
-    // Note: $orderby cannot be used with $search in Graph API
-    const queryParams = new URLSearchParams({
-      '$search': searchQuery,
-      '$top': '25',
-      '$select': 'subject,from,receivedDateTime,bodyPreview,body,hasAttachments'
-    });
-
-    // Get mailbox from environment or use default
-    // For app-only authentication, we must specify which mailbox to search
-    // This should be configured in BTP environment variables
-    // const mailboxEmail = process.env.GRAPH_MAILBOX_EMAIL || 'junoinvoices@resolvetech.com';
-    const mailboxEmail =  'fin_api_support@homedepot.com';
-
-
-    console.log(`   Searching mailbox: ${mailboxEmail}`);
-
-    // Call Microsoft Graph API using SAP Cloud SDK
-    // This automatically handles destination lookup and OAuth token retrieval
-    // Note: Using /users/{email}/messages instead of /me/messages for app-only auth
-    const response = await executeHttpRequest(
-      {
-        destinationName: 'MicrosoftGraphAPI',
-        timeout: 30000  // 30 second timeout
-      },
-      {
-        method: 'GET',
-        url: `/v1.0/users/${mailboxEmail}/messages?${queryParams.toString()}`,
-        timeout: 30000  // 30 second timeout
-      }
-    );
-
-    const emails = response.data?.value || [];
-
-    console.log(`   Found ${emails.length} email(s)`);
-
-    // Calculate relevance scores
-    const results = emails.map(email => ({
-      subject: email.subject,
-      from: email.from?.emailAddress?.name || email.from?.emailAddress?.address,
-      fromAddress: email.from?.emailAddress?.address,
-      receivedDate: email.receivedDateTime,
-      preview: email.bodyPreview,
-      bodyText: email.body?.content || email.bodyPreview,  // Use full body text, fallback to preview
-      hasAttachments: email.hasAttachments,
-      relevanceScore: calculateRelevance(email, companyName, amount)
-    }));
+    const results = [];
+    for (const mailbox of mailboxes) {
+      const emails = await searchMailbox(mailbox, companyName);
+
+      // Calculate relevance scores
+      results.push(...emails.map(email => ({
+        mailbox: mailbox.address,
+        subject: email.subject,
+        from: email.from?.emailAddress?.name || email.from?.emailAddress?.address,
+        fromAddress: email.from?.emailAddress?.address,
+        receivedDate: email.receivedDateTime,
+        preview: email.bodyPreview,
+        bodyText: emailBodyNormalizer.normalizeBody(email.body).text || email.bodyPreview,  // Full body as text, fallback to preview
+        hasAttachments: email.hasAttachments,
+        relevanceScore: calculateRelevance(email, companyName, amount, currency),
+        amountMatch: amountInEmail(email, amount, currency)
+      })));
+    }
 
     // Sort by relevance score
     results.sort((a, b) => b.relevanceScore - a.relevanceScore);
@@ -111,6 +91,43 @@ async function searchInbox(companyName, amount, valueDate, daysBefore = 3, daysA
   }
 }
 
+/**
+ * Search one mailbox for the company name
+ * The subject filter is part of the Graph query; the sender filter is applied to the results
+ *
+ * @param {Object} mailbox - Configured mailbox { address, subjectFilter, senderFilters }
+ * @param {String} companyName - Company name
+ * @returns {Promise<Array>} Graph messages passing the mailbox filters
+ */
+async function searchMailbox(mailbox, companyName) {
+  // Normalized name without legal form, so "ACME CORP" also finds "Acme Corporation"
+  const searchName = normalizeCompanyName(companyName) || companyName;
+  const searchQuery = mailbox.subjectFilter
+    ? `"${searchName}" AND subject:"${mailbox.subjectFilter.replace(/"/g, '')}"`
+    : `"${searchName}"`; // Graph API search requires quotes
+
+  console.log(`   Searching mailbox: ${mailbox.address}${mailbox.subjectFilter ? ` (subject: "${mailbox.subjectFilter}")` : ''}`);
+
+  // Build URL with properly encoded parameters
+  // Note: $search and $filter cannot be used together, so we'll use $search with $top
+  // Note: $orderby cannot be used with $search in Graph API
+  const queryParams = new URLSearchParams({
+    '$search': searchQuery,
+    '$top': '25',
+    '$select': 'subject,from,receivedDateTime,bodyPreview,body,hasAttachments'
+  });
+
+  // Call Microsoft Graph API using SAP Cloud SDK
+  // This automatically handles destination lookup and OAuth token retrieval
+  // Note: /users/{email}/messages instead of /me/messages for app-only auth
+  const data = await fetchFromGraphAPI(`/me/messages?${queryParams.toString()}`, { mailbox: mailbox.address });
+
+  const emails = (data?.value || []).filter(email => mailboxConfig.matchesFilters(mailbox, email));
+  console.log(`   Found ${emails.length} email(s) in ${mailbox.address}`);
+
+  return emails;
+}
+
 /**
  * Build search query for Microsoft Graph API
  */
@@ -123,33 +140,27 @@ function buildSearchQuery(companyName, amount, startDate, endDate) {
 /**
  * Calculate relevance score for an email
  * Higher score = more likely to be the right email
+ * Amounts are parsed in any notation ($1,234.56, 1.234,56 EUR, ...) and must be in the same currency
  */
-function calculateRelevance(email, companyName, amount) {
+function calculateRelevance(email, companyName, amount, currency = null) {
   let score = 0;
 
-  const subject = (email.subject || '').toLowerCase();
-  const preview = (email.bodyPreview || '').toLowerCase();
-  const companyLower = companyName.toLowerCase();
-
-  // Company name in subject (highest weight)
-  if (subject.includes(companyLower)) {
+  // Company name in subject (highest weight) - shared normalizer (ACME CORP = Acme Corporation)
+  if (containsCompanyName(email.subject, companyName)) {
     score += 50;
   }
 
   // Company name in body
-  if (preview.includes(companyLower)) {
+  if (containsCompanyName(email.bodyPreview, companyName)) {
     score += 30;
   }
 
-  // Amount mentioned in subject or body
+  // Amount mentioned in subject or body (same currency)
   if (amount) {
-    const amountStr = amount.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ','); // Add commas
-    const amountPlain = amount.toString();
-
-    if (subject.includes(amountStr) || subject.includes(amountPlain)) {
+    if (mentionsAmount(email.subject, amount, currency)) {
       score += 30;
     }
-    if (preview.includes(amountStr) || preview.includes(amountPlain)) {
+    if (mentionsAmount(email.bodyPreview, amount, currency)) {
       score += 20;
     }
   }
@@ -160,15 +171,28 @@ function calculateRelevance(email, companyName, amount) {
   }
 
   // From address contains company name
-  const fromName = (email.from?.emailAddress?.name || '').toLowerCase();
-  const fromAddress = (email.from?.emailAddress?.address || '').toLowerCase();
-  if (fromName.includes(companyLower) || fromAddress.includes(companyLower)) {
+  if (containsCompanyName(email.from?.emailAddress?.name, companyName)
+    || addressContainsCompanyName(email.from?.emailAddress?.address, companyName)) {
     score += 20;
   }
 
   return score;
 }
 
+/**
+ * Is the amount mentioned in the subject or body preview?
+ */
+function amountInEmail(email, amount, currency) {
+  return !!amount && (mentionsAmount(email.subject, amount, currency) || mentionsAmount(email.bodyPreview, amount, currency));
+}
+
+/**
+ * Does the text mention the amount in the same currency (any notation)?
+ */
+function mentionsAmount(text, amount, currency) {
+  return amountParser.amountsMatch(amountParser.parseAmounts(text, { defaultCurrency: currency }), amount, currency);
+}
+
 /**
  * Format email results for display in UI
  */
@@ -185,35 +209,20 @@ function formatEmailResults(emails) {
 
 /**
  * Fetch data from Microsoft Graph API (generic helper)
- * Used by email-sync for batch fetching
+ * Used by email-sync for batch fetching; the transport depends on the CDS profile
  *
- * @param {String} endpoint - Graph API endpoint (e.g., '/me/messages?$filter=...')
+ * @param {String} endpoint - Graph API endpoint (e.g., '/me/messages?$filter=...'),
+ *                            or an absolute @odata.nextLink / @odata.deltaLink
+ * @param {Object} [options] - { mailbox } address /me/ endpoints refer to (app-only auth),
+ *                             { headers } extra request headers (e.g. Prefer: odata.maxpagesize=100)
  * @returns {Promise<Object>} Response data from Graph API
  */
-async function fetchFromGraphAPI(endpoint) {
+async function fetchFromGraphAPI(endpoint, options = {}) {
   try {
-    // const mailboxEmail = process.env.GRAPH_MAILBOX_EMAIL || 'junoinvoices@resolvetech.com';
-    const mailboxEmail = 'fin_api_support@homedepot.com';
+    const url = toGraphPath(endpoint, options.mailbox);
 
-
-    // Replace /me/ with /users/{email}/ for app-only auth
-    const url = endpoint.startsWith('/me/')
-      ? `/v1.0/users/${mailboxEmail}${endpoint.substring(3)}`
-      : `/v1.0${endpoint}`;
-
-    const response = await executeHttpRequest(
-      {
-        destinationName: 'MicrosoftGraphAPI',
-        timeout: 30000  // 30 second timeout
-      },
-      {
-        method: 'GET',
-        url,
-        timeout: 30000  // 30 second timeout
-      }
-    );
-
-    return response.data;
+    // Graph destination, or the local stand-in (mail-transport.js, per CDS profile)
+    return await mailTransport.get(url, { headers: options.headers });
 
   } catch (error) {
     console.error('❌ Graph API request failed:', error.message);
@@ -221,6 +230,25 @@ async function fetchFromGraphAPI(endpoint) {
   }
 }
 
+/**
+ * Graph request path relative to the destination
+ * - Absolute links (paging, delta) lose the host
+ * - /me/ becomes /users/{mailbox}/ for app-only auth
+ */
+function toGraphPath(endpoint, mailbox) {
+  if (endpoint.startsWith(GRAPH_HOST)) {
+    return endpoint.substring(GRAPH_HOST.length);
+  }
+
+  if (!endpoint.startsWith('/me/')) {
+    return `/v1.0${endpoint}`;
+  }
+  if (!mailbox) {
+    throw new Error(`Mailbox address required for ${endpoint.split('?')[0]}`);
+  }
+  return `/v1.0/users/${encodeURIComponent(mailbox)}${endpoint.substring(3)}`;
+}
+
 module.exports = {
   searchInbox,
   formatEmailResults,
@@ -1,158 +1,611 @@
 /**
  * Email Sync Service
  *
- * Fetches emails from Microsoft Outlook via Graph API
- * Extracts metadata (amounts, companies, dates)
+ * Fetches emails from the configured Outlook mailboxes via Graph API (delta query per mail folder)
+ * Extracts metadata (amounts, companies, dates, reference numbers) - newest content first:
+ * the body is split into new message, quoted history and signature (email-body-normalizer.js)
  * Stores locally with vector embeddings for smart search
+ * Keeps the cache in step with the mailbox: changed messages are updated,
+ * deleted or moved ones flagged; every run is recorded in EmailSyncRun
+ * Retention wins over the mailbox: emails deleted by a retention rule (PurgedEmail)
+ * are not cached again, stripped ones only get their headers and flags updated
+ * Downloads PDF/CSV/XLSX attachments and stores their text (EmailAttachment) -
+ * attachment amounts and references count as the email's
+ * Mailboxes with redactBodies store bodies and attachment text with account/card
+ * numbers and contact data masked (pii-redactor.js) - extraction runs before
  *
  * USAGE:
  * const emailSync = require('./lib/email-sync');
- * const result = await emailSync.syncEmails(db, 2); // Fetch last 2 days
+ * const result = await emailSync.syncEmails(db, 2); // All active mailboxes - first run: last 2 days, then only changes
+ * await emailSync.syncEmails(db, 7, { mailbox: 'ar@example.com', folder: 'inbox', fullResync: true });
  */
 
+const cds = require('@sap/cds');
 const emailSearch = require('./email-search');
+const mailboxConfig = require('./mailbox-config');
+const companyNormalizer = require('./company-normalizer');
+const referenceExtractor = require('./reference-extractor');
+const amountParser = require('./amount-parser');
+const attachmentExtractor = require('./attachment-extractor');
+const piiRedactor = require('./pii-redactor');
+const emailBodyNormalizer = require('./email-body-normalizer');
+
+const EMAIL = 'reconciliation.EmailCache';
+const SYNC_STATE = 'reconciliation.EmailSyncState';
+const SYNC_RUN = 'reconciliation.EmailSyncRun';
+const ATTACHMENT = 'reconciliation.EmailAttachment';
+const EMAIL_MATCH = 'reconciliation.EmailMatch';
+const PURGED_EMAIL = 'reconciliation.PurgedEmail';
 
 /**
- * Sync emails from Outlook to local database
+ * Delta Sync Configuration
+ * - pageSize: Messages per Graph page (Prefer: odata.maxpagesize)
+ * - maxPages: Pages per run - a longer round continues on the next run
+ * - lookupChunk: Message IDs per IN (...) lookup of cached emails
+ */
+const SYNC_CONFIG = {
+  pageSize: 100,
+  maxPages: 200,
+  lookupChunk: 500
+};
+
+// Counters of a sync run (EmailSyncRun) - summed over the runs of a syncEmails call
+const RUN_STATS = [
+  'pagesFetched',
+  'emailsFetched',
+  'emailsStored',
+  'emailsUpdated',
+  'emailsRemoved',
+  'emailsSkipped',
+  'emailsFiltered',
+  'emailsPurged',
+  'attachmentsStored',
+  'attachmentsExtracted'
+];
+
+// Message fields requested from Graph
+const MESSAGE_FIELDS = [
+  'id',
+  'conversationId',
+  'subject',
+  'from',
+  'toRecipients',
+  'receivedDateTime',
+  'lastModifiedDateTime',
+  'bodyPreview',
+  'body',
+  'hasAttachments'
+];
+
+// Amounts kept per attachment (remittance spreadsheets list one amount per invoice)
+const ATTACHMENT_AMOUNT_LIMIT = 100;
+
+// Page size, and immutable IDs so a message keeps its ID when moved between folders
+const GRAPH_HEADERS = {
+  Prefer: `odata.maxpagesize=${SYNC_CONFIG.pageSize}, IdType="ImmutableId"`
+};
+
+/**
+ * Sync emails from Outlook to local database (Graph delta query per mailbox folder)
+ *
+ * - Every active Mailbox (mailbox-config.js) and each of its folders is synced in its own run
+ * - First run (or fullResync): messages received in the last daysBack days
+ * - Later runs: only what changed since the stored delta link - new and changed
+ *   messages are stored/updated, deleted or moved-away messages are flagged isRemoved
+ * - Messages failing the mailbox's subject/sender filters are not stored
+ * - All pages are followed (@odata.nextLink); the delta link is saved per mailbox/folder
+ * - Every run is recorded in EmailSyncRun
  *
  * @param {Object} db - CDS database service
- * @param {Number} daysBack - Number of days to fetch (default 2)
- * @returns {Promise<Object>} Sync results
+ * @param {Number} daysBack - Days to fetch on the first run or a full resync (default 2)
+ * @param {Object} [options] - { mailbox } one configured mailbox address (default: all active),
+ *                             { folder } one mail folder (default: the mailbox's folders),
+ *                             { fullResync } ignore the delta links
+ * @returns {Promise<Object>} Sync results - totals and one entry per run
  */
-async function syncEmails(db, daysBack = 2) {
+async function syncEmails(db, daysBack = 2, options = {}) {
   const startTime = Date.now();
   const syncBatchId = `SYNC_${Date.now()}`;
 
-  console.log(`\n📧 Starting email sync: Last ${daysBack} days`);
+  const endDate = new Date();
+  const windowStart = new Date();
+  windowStart.setDate(windowStart.getDate() - daysBack);
+
+  const mailboxes = await mailboxConfig.getMailboxes(db, { address: options.mailbox });
+  if (mailboxes.length === 0) {
+    throw new Error(options.mailbox
+      ? `Mailbox ${options.mailbox} is not configured or not active`
+      : 'No active mailbox configured (Mailbox entity or GRAPH_MAILBOX_EMAIL)');
+  }
+
+  console.log(`\n📧 Starting email sync: ${mailboxes.length} mailbox(es)`);
   console.log(`   Batch ID: ${syncBatchId}`);
 
-  try {
-    // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - daysBack);
+  const runs = [];
+  for (const mailbox of mailboxes) {
+    for (const folder of options.folder ? [options.folder] : mailbox.folders) {
+      runs.push(await syncFolder(db, mailbox, folder, { daysBack, windowStart, syncBatchId, fullResync: options.fullResync }));
+    }
+  }
 
-    console.log(`   Date range: ${startDate.toISOString()} to ${endDate.toISOString()}`);
+  const totals = Object.fromEntries(RUN_STATS.map(stat => [stat, runs.reduce((sum, run) => sum + run[stat], 0)]));
+  const failed = runs.filter(run => !run.success);
+  const pending = runs.some(run => !run.complete);
 
-    // Fetch emails from Outlook
-    console.log(`   📥 Fetching emails from Microsoft Graph API...`);
-    const emails = await fetchEmailsFromOutlook(startDate, endDate);
-    console.log(`   ✅ Fetched ${emails.length} emails`);
+  const duration = Date.now() - startTime;
+  console.log(`\n${failed.length === 0 ? '✅' : '⚠️ '} Email sync complete: ${runs.length - failed.length}/${runs.length} run(s) succeeded in ${duration}ms`);
 
-    if (emails.length === 0) {
-      return {
-        success: true,
-        message: 'No emails found in date range',
-        emailsFetched: 0,
-        emailsStored: 0,
-        emailsSkipped: 0,
-        syncBatchId,
-        startDate,
-        endDate,
-        duration: Date.now() - startTime,
-        error: null
-      };
-    }
+  return {
+    success: failed.length === 0,
+    message: failed.length === runs.length
+      ? 'Email sync failed'
+      : `Synced ${totals.emailsStored} new, ${totals.emailsUpdated} updated and ${totals.emailsRemoved} removed emails from ${mailboxes.length} mailbox(es)` +
+        `${failed.length > 0 ? ` - ${failed.length} run(s) failed` : ''}${pending ? ' (more pending - run again)' : ''}`,
+    mailboxesSynced: mailboxes.length,
+    runs,
+    ...totals,
+    syncBatchId,
+    startDate: windowStart,
+    endDate,
+    duration,
+    error: failed.length > 0 ? failed.map(run => `${run.mailbox}/${run.folder}: ${run.error}`).join('; ') : null
+  };
+}
 
-    // Check for duplicates (existing messageIds)
-    const messageIds = emails.map(e => e.id);
-    const existing = await db.run(
-      SELECT.from('reconciliation.EmailCache')
-        .columns('messageId')
-        .where({ messageId: { in: messageIds } })
-    );
-    const existingIds = new Set(existing.map(e => e.messageId));
+/**
+ * Sync one mailbox folder (one EmailSyncRun)
+ *
+ * @param {Object} db - CDS database service
+ * @param {Object} mailbox - Configured mailbox (mailbox-config.js)
+ * @param {String} folder - Mail folder
+ * @param {Object} params - { daysBack, windowStart, syncBatchId, fullResync }
+ * @returns {Promise<Object>} Run result { mailbox, folder, success, mode, syncRunID, ...RUN_STATS, startDate, complete, error }
+ */
+async function syncFolder(db, mailbox, folder, { daysBack, windowStart, syncBatchId, fullResync }) {
+  const address = mailbox.address;
+  console.log(`\n   📬 ${address} / ${folder}`);
+
+  const syncRunID = cds.utils.uuid();
+  await db.run(INSERT.into(SYNC_RUN).entries({
+    ID: syncRunID,
+    syncBatchId,
+    mailbox: address,
+    folder,
+    status: 'RUNNING',
+    startedAt: new Date().toISOString()
+  }));
+
+  let mode = null;
+  try {
+    const state = await db.run(SELECT.one.from(SYNC_STATE).where({ mailbox: address, folder }));
+    const deltaLink = fullResync ? null : state?.deltaLink;
+    mode = deltaLink ? 'DELTA' : 'INITIAL';
+    let startDate = deltaLink ? state.lastSyncAt : windowStart;
+
+    console.log(deltaLink
+      ? `   📥 Fetching changes since ${state.lastSyncAt} from Microsoft Graph API...`
+      : `   📥 Fetching emails received since ${windowStart.toISOString()} from Microsoft Graph API...`);
 
-    const newEmails = emails.filter(e => !existingIds.has(e.id));
-    console.log(`   📊 ${newEmails.length} new, ${existingIds.size} already cached`);
+    let delta;
+    try {
+      delta = await fetchDelta(deltaLink || initialDeltaEndpoint(folder, windowStart), address);
+    } catch (error) {
+      if (!deltaLink || !isDeltaExpired(error)) throw error;
+
+      console.log(`   ⚠️  Delta link expired - resyncing the last ${daysBack} days`);
+      mode = 'RESYNC';
+      startDate = windowStart;
+      delta = await fetchDelta(initialDeltaEndpoint(folder, windowStart), address);
+    }
 
-    // Extract metadata and prepare for storage
-    console.log(`   🔍 Extracting metadata...`);
-    const emailRecords = newEmails.map(email => prepareEmailRecord(email, syncBatchId));
+    console.log(`   ✅ Fetched ${delta.messages.length} change(s) in ${delta.pages} page(s)${delta.complete ? '' : ' - more pages pending'}`);
 
-    // Store emails in database
-    if (emailRecords.length > 0) {
-      console.log(`   💾 Storing ${emailRecords.length} emails...`);
-      await db.run(INSERT.into('reconciliation.EmailCache').entries(emailRecords));
-      console.log(`   ✅ Emails stored successfully`);
+    // Extract metadata and store new / update changed / flag removed messages
+    const counts = await applyChanges(db, delta.messages, syncBatchId, mailbox, folder);
+    console.log(`   📊 ${counts.emailsStored} new, ${counts.emailsUpdated} updated, ${counts.emailsRemoved} removed, ${counts.emailsSkipped} unchanged, ${counts.emailsFiltered} filtered out, ${counts.emailsPurged} purged`);
+    if (counts.attachmentsStored > 0) {
+      console.log(`   📎 ${counts.attachmentsStored} attachment(s), text extracted from ${counts.attachmentsExtracted}`);
+    }
 
-      // Skip embedding generation during sync to avoid timeouts
-      // Embeddings can be generated separately via the /generateEmbeddings endpoint
+    // Skip embedding generation during sync to avoid timeouts
+    // Embeddings can be generated separately via the /generateEmbeddings endpoint
+    if (counts.emailsStored > 0) {
       console.log(`   ℹ️  Embedding generation skipped (call /generateEmbeddings to generate them later)`);
     }
 
-    const duration = Date.now() - startTime;
-    console.log(`\n✅ Email sync complete: ${duration}ms`);
+    // An incomplete round continues from its next page on the following run
+    await saveSyncState(db, address, folder, delta.deltaLink, syncRunID);
 
-    return {
-      success: true,
-      message: `Successfully synced ${newEmails.length} new emails`,
-      emailsFetched: emails.length,
-      emailsStored: emailRecords.length,
-      emailsSkipped: existingIds.size,
-      syncBatchId,
-      startDate,
-      endDate,
-      duration,
-      error: null
+    const stats = {
+      pagesFetched: delta.pages,
+      emailsFetched: delta.messages.length,
+      ...counts
     };
+    await db.run(UPDATE(SYNC_RUN).set({
+      ...stats,
+      mode,
+      status: 'SUCCESS',
+      finishedAt: new Date().toISOString(),
+      windowStart: mode === 'DELTA' ? null : windowStart.toISOString()
+    }).where({ ID: syncRunID }));
+
+    return { mailbox: address, folder, success: true, mode, syncRunID, ...stats, startDate, complete: delta.complete, error: null };
 
   } catch (error) {
-    console.error('❌ Email sync failed:', error.message);
+    console.error(`❌ Email sync of ${address} / ${folder} failed:`, error.message);
     console.error('   Error details:', error);
 
+    await db.run(UPDATE(SYNC_RUN).set({
+      mode,
+      status: 'FAILED',
+      finishedAt: new Date().toISOString(),
+      error: error.message.substring(0, 1000)
+    }).where({ ID: syncRunID }));
+
     return {
+      mailbox: address,
+      folder,
       success: false,
-      message: 'Email sync failed',
-      emailsFetched: 0,
-      emailsStored: 0,
-      emailsSkipped: 0,
-      syncBatchId,
+      mode,
+      syncRunID,
+      ...Object.fromEntries(RUN_STATS.map(stat => [stat, 0])),
       startDate: null,
-      endDate: null,
-      duration: Date.now() - startTime,
+      complete: true,
       error: error.message
     };
   }
 }
 
 /**
- * Fetch emails from Outlook via Microsoft Graph API
+ * First delta request of a folder: messages received since the start of the window
+ */
+function initialDeltaEndpoint(folder, since) {
+  const filter = `receivedDateTime ge ${since.toISOString()}`;
+  return `/me/mailFolders/${encodeURIComponent(folder)}/messages/delta?$filter=${encodeURIComponent(filter)}&$select=${MESSAGE_FIELDS.join(',')}`;
+}
+
+/**
+ * Follow a delta round page by page until Graph returns the next delta link
+ *
+ * @param {String} link - Initial delta endpoint, or a stored delta / next link
+ * @param {String} mailbox - Mailbox address
+ * @returns {Promise<Object>} { messages, pages, deltaLink, complete } - if maxPages is reached,
+ *                            deltaLink is the next page's link and complete is false
+ */
+async function fetchDelta(link, mailbox) {
+  const messages = [];
+  let pages = 0;
+  let next = link;
+
+  while (next) {
+    if (pages >= SYNC_CONFIG.maxPages) {
+      return { messages, pages, deltaLink: next, complete: false };
+    }
+
+    const page = await emailSearch.fetchFromGraphAPI(next, { mailbox, headers: GRAPH_HEADERS });
+    pages++;
+    messages.push(...(page.value || []));
+
+    if (page['@odata.deltaLink']) {
+      return { messages, pages, deltaLink: page['@odata.deltaLink'], complete: true };
+    }
+    next = page['@odata.nextLink'];
+  }
+
+  return { messages, pages, deltaLink: null, complete: true };
+}
+
+/**
+ * Has Graph discarded the delta state? (the folder must be synced from scratch)
+ */
+function isDeltaExpired(error) {
+  const code = error.response?.data?.error?.code || '';
+  return error.response?.status === 410 || /syncStateNotFound|syncStateInvalid|resyncRequired/i.test(code);
+}
+
+/**
+ * Apply one delta round to EmailCache
+ *
+ * @param {Object} db - CDS database service
+ * @param {Array} messages - Graph messages; removed ones carry @removed: { reason: 'deleted' | 'changed' }
+ * @param {String} syncBatchId - Sync batch identifier
+ * @param {Object} mailbox - Configured mailbox the round belongs to (address, filters)
+ * @param {String} folder - Mail folder the round belongs to
+ * @returns {Promise<Object>} { emailsStored, emailsUpdated, emailsRemoved, emailsSkipped, emailsFiltered,
+ *                            emailsPurged, attachmentsStored, attachmentsExtracted }
+ */
+async function applyChanges(db, messages, syncBatchId, mailbox, folder) {
+  // A message changed twice during the round appears twice - the later page wins
+  const latest = new Map(messages.map(message => [message.id, message]));
+  const cached = await findCachedEmails(db, mailbox.address, [...latest.keys()]);
+  const purged = await findPurgedMessages(db, mailbox.address, [...latest.keys()]);
+
+  const counts = {
+    emailsStored: 0,
+    emailsUpdated: 0,
+    emailsRemoved: 0,
+    emailsSkipped: 0,
+    emailsFiltered: 0,
+    emailsPurged: 0,
+    attachmentsStored: 0,
+    attachmentsExtracted: 0
+  };
+  const newRecords = [];
+  const newAttachments = [];
+  const now = new Date().toISOString();
+
+  for (const message of latest.values()) {
+    const existing = cached.get(message.id);
+
+    if (message['@removed']) {
+      // "deleted" = gone for good, "changed" = moved to another folder (or soft-deleted)
+      if (existing && !existing.isRemoved) {
+        await db.run(UPDATE(EMAIL).set({
+          isRemoved: true,
+          removedAt: now,
+          removedReason: message['@removed'].reason === 'deleted' ? 'DELETED' : 'MOVED'
+        }).where({ ID: existing.ID }));
+        counts.emailsRemoved++;
+      }
+      continue;
+    }
+
+    // Deleted by a retention rule - a later change in the mailbox does not bring it back
+    if (!existing && purged.has(message.id)) {
+      counts.emailsPurged++;
+      continue;
+    }
+
+    // Outside the mailbox's subject/sender filters - not for this AR team
+    if (!mailboxConfig.matchesFilters(mailbox, message)) {
+      counts.emailsFiltered++;
+      continue;
+    }
+
+    if (!existing) {
+      const ID = cds.utils.uuid();
+      const attachments = await fetchAttachments(message, mailbox.address);
+      const record = prepareEmailRecord(message, syncBatchId, attachments);
+      newRecords.push({ ID, ...redactRecord(mailbox, record), mailbox: mailbox.address, folder });
+      newAttachments.push(...attachments.map(attachment => ({ ...redactAttachment(mailbox, attachment), email_ID: ID })));
+      continue;
+    }
+
+    const unchanged = !existing.isRemoved && existing.folder === folder &&
+      sameInstant(existing.lastModifiedDateTime, message.lastModifiedDateTime);
+    if (unchanged) {
+      counts.emailsSkipped++;
+      continue;
+    }
+
+    // Stripped by a retention rule - headers and flags follow the mailbox, the bodies stay gone
+    if (existing.bodyPurgedAt) {
+      await db.run(UPDATE(EMAIL).set({
+        ...prepareHeaderRecord(message, syncBatchId),
+        mailbox: mailbox.address,
+        folder,
+        isRemoved: false,
+        removedAt: null,
+        removedReason: null
+      }).where({ ID: existing.ID }));
+      counts.emailsUpdated++;
+      continue;
+    }
+
+    // Attachments do not change - download them only if the earlier sync could not
+    let attachments = await db.run(SELECT.from(ATTACHMENT).where({ email_ID: existing.ID }));
+    if (attachments.length === 0 && message.hasAttachments) {
+      attachments = await fetchAttachments(message, mailbox.address);
+      if (attachments.length > 0) {
+        await db.run(INSERT.into(ATTACHMENT).entries(attachments.map(attachment => ({ ...redactAttachment(mailbox, attachment), email_ID: existing.ID }))));
+        countAttachments(counts, attachments);
+      }
+    } else if (mailbox.redactBodies) {
+      // Stored before the mailbox turned on redaction
+      for (const attachment of attachments) {
+        const redacted = piiRedactor.redactAttachment(attachment);
+        if (redacted.extractedText === attachment.extractedText) continue;
+        await db.run(UPDATE(ATTACHMENT).set({ extractedText: redacted.extractedText }).where({ ID: attachment.ID }));
+      }
+    }
+
+    // Keep usage tracking of the cached email
+    const { matchedCount, ...record } = prepareEmailRecord(message, syncBatchId, attachments);
+    await db.run(UPDATE(EMAIL).set({
+      ...redactRecord(mailbox, record),
+      mailbox: mailbox.address,
+      folder,
+      isRemoved: false,
+      removedAt: null,
+      removedReason: null
+    }).where({ ID: existing.ID }));
+    counts.emailsUpdated++;
+  }
+
+  if (newRecords.length > 0) {
+    console.log(`   💾 Storing ${newRecords.length} emails...`);
+    await db.run(INSERT.into(EMAIL).entries(newRecords));
+    counts.emailsStored = newRecords.length;
+  }
+
+  if (newAttachments.length > 0) {
+    await db.run(INSERT.into(ATTACHMENT).entries(newAttachments));
+    countAttachments(counts, newAttachments);
+  }
+
+  return counts;
+}
+
+/**
+ * Mask account/card numbers and contact data if the mailbox asks for it
+ * Runs on the prepared record - amounts and references are already extracted
+ */
+function redactRecord(mailbox, record) {
+  return mailbox.redactBodies ? piiRedactor.redactEmail(record) : { ...record, isRedacted: false, redactedAt: null };
+}
+
+function redactAttachment(mailbox, attachment) {
+  return mailbox.redactBodies ? piiRedactor.redactAttachment(attachment) : attachment;
+}
+
+function countAttachments(counts, attachments) {
+  counts.attachmentsStored += attachments.length;
+  counts.attachmentsExtracted += attachments.filter(attachment => attachment.extractionStatus === 'EXTRACTED').length;
+}
+
+/**
+ * Download the file attachments of a message and extract their text
+ * Failures never stop the sync - the email is stored without (or with FAILED) attachments
+ *
+ * @param {Object} message - Graph message (hasAttachments)
+ * @param {String} mailbox - Mailbox address of the message
+ * @returns {Promise<Array>} EmailAttachment records (without email_ID)
+ */
+async function fetchAttachments(message, mailbox) {
+  if (!message.hasAttachments) return [];
+
+  const basePath = `/me/messages/${encodeURIComponent(message.id)}/attachments`;
+
+  let listed;
+  try {
+    // Without content - files are downloaded one by one below
+    listed = await emailSearch.fetchFromGraphAPI(`${basePath}?$select=id,name,contentType,size,isInline`, { mailbox });
+  } catch (error) {
+    console.warn(`   ⚠️  Could not list attachments of "${message.subject}": ${error.message}`);
+    return [];
+  }
+
+  const attachments = [];
+  for (const attachment of listed.value || []) {
+    // Item attachments (forwarded emails) and reference attachments (links) carry no file
+    const isFile = !attachment['@odata.type'] || attachment['@odata.type'] === '#microsoft.graph.fileAttachment';
+    const format = isFile ? attachmentExtractor.detectFormat(attachment.name, attachment.contentType) : null;
+
+    // Inline images (logos, signatures) are not worth a record
+    if (attachment.isInline && !format) continue;
+
+    let result;
+    if (!format) {
+      result = { status: 'UNSUPPORTED', text: null, error: null };
+    } else if (attachment.size > attachmentExtractor.EXTRACTION_LIMITS.maxBytes) {
+      result = { status: 'TOO_LARGE', text: null, error: null };
+    } else {
+      try {
+        const file = await emailSearch.fetchFromGraphAPI(`${basePath}/${encodeURIComponent(attachment.id)}`, { mailbox });
+        result = await attachmentExtractor.extractText(Buffer.from(file.contentBytes || '', 'base64'), format);
+      } catch (error) {
+        result = { status: 'FAILED', text: null, error: error.message.substring(0, 500) };
+      }
+    }
+
+    attachments.push({
+      attachmentId: attachment.id,
+      name: (attachment.name || '').substring(0, 255),
+      contentType: (attachment.contentType || '').substring(0, 100),
+      size: attachment.size || 0,
+      isInline: !!attachment.isInline,
+      format,
+      extractionStatus: result.status,
+      extractionError: result.error,
+      extractedText: result.text,
+      extractedAmounts: JSON.stringify(amountParser.parseAmounts(result.text, { limit: ATTACHMENT_AMOUNT_LIMIT })),
+      extractedReferences: JSON.stringify(referenceExtractor.extractReferences(result.text))
+    });
+  }
+
+  return attachments;
+}
+
+/**
+ * Cached emails of a mailbox by Graph message ID (queried in chunks)
+ * Message IDs are only unique within a mailbox
+ *
+ * @returns {Promise<Map>} messageId → { ID, folder, lastModifiedDateTime, isRemoved, bodyPurgedAt }
+ */
+async function findCachedEmails(db, mailbox, messageIds) {
+  const cached = new Map();
+
+  for (let i = 0; i < messageIds.length; i += SYNC_CONFIG.lookupChunk) {
+    const rows = await db.run(
+      SELECT.from(EMAIL)
+        .columns('ID', 'messageId', 'folder', 'lastModifiedDateTime', 'isRemoved', 'bodyPurgedAt')
+        .where({ mailbox, messageId: { in: messageIds.slice(i, i + SYNC_CONFIG.lookupChunk) } })
+    );
+    rows.forEach(row => cached.set(row.messageId, row));
+  }
+
+  return cached;
+}
+
+/**
+ * Graph message IDs of a mailbox that a retention rule deleted (queried in chunks)
+ *
+ * @returns {Promise<Set>} messageIds
+ */
+async function findPurgedMessages(db, mailbox, messageIds) {
+  const purged = new Set();
+
+  for (let i = 0; i < messageIds.length; i += SYNC_CONFIG.lookupChunk) {
+    const rows = await db.run(
+      SELECT.from(PURGED_EMAIL)
+        .columns('messageId')
+        .where({ mailbox, messageId: { in: messageIds.slice(i, i + SYNC_CONFIG.lookupChunk) } })
+    );
+    rows.forEach(row => purged.add(row.messageId));
+  }
+
+  return purged;
+}
+
+/**
+ * Store the delta link of a mailbox folder for the next run
+ */
+async function saveSyncState(db, mailbox, folder, deltaLink, syncRunID) {
+  const data = {
+    deltaLink,
+    lastSyncAt: new Date().toISOString(),
+    lastSyncRun_ID: syncRunID
+  };
+
+  const state = await db.run(SELECT.one.from(SYNC_STATE).columns('ID').where({ mailbox, folder }));
+  if (state) {
+    await db.run(UPDATE(SYNC_STATE).set(data).where({ ID: state.ID }));
+  } else {
+    await db.run(INSERT.into(SYNC_STATE).entries({ mailbox, folder, ...data }));
+  }
+}
+
+/**
+ * Same point in time? (timestamps may differ in precision / format)
+ */
+function sameInstant(a, b) {
+  return !!a && !!b && new Date(a).getTime() === new Date(b).getTime();
+}
+
+/**
+ * Fetch emails from Outlook via Microsoft Graph API (date window, all pages)
+ * Not incremental - syncEmails uses delta queries instead
  *
  * @param {Date} startDate - Start of date range
  * @param {Date} endDate - End of date range
+ * @param {String} mailbox - Mailbox address
  * @returns {Promise<Array>} Array of email messages
  */
-async function fetchEmailsFromOutlook(startDate, endDate) {
+async function fetchEmailsFromOutlook(startDate, endDate, mailbox) {
   try {
-    // Use existing email-search.js which already has Graph API setup
-    // We'll fetch messages from inbox for the date range
-
-    // Format dates for Graph API filter
-    const startISO = startDate.toISOString();
-    const endISO = endDate.toISOString();
-
-    // Build Graph API query
     // Filter: receivedDateTime >= startDate AND receivedDateTime <= endDate
-    const filter = `receivedDateTime ge ${startISO} and receivedDateTime le ${endISO}`;
-
-    // Select fields we need
-    const select = [
-      'id',
-      'conversationId',
-      'subject',
-      'from',
-      'toRecipients',
-      'receivedDateTime',
-      'bodyPreview',
-      'body'
-    ].join(',');
-
-    // Use emailSearch module's Graph API client
-    const endpoint = `/me/messages?$filter=${encodeURIComponent(filter)}&$select=${select}&$top=999`;
-    const messages = await emailSearch.fetchFromGraphAPI(endpoint);
-
-    return messages.value || [];
+    const filter = `receivedDateTime ge ${startDate.toISOString()} and receivedDateTime le ${endDate.toISOString()}`;
+
+    // Follow @odata.nextLink - busy days span several pages
+    const messages = [];
+    let next = `/me/messages?$filter=${encodeURIComponent(filter)}&$select=${MESSAGE_FIELDS.join(',')}&$top=${SYNC_CONFIG.pageSize}`;
+    while (next) {
+      const page = await emailSearch.fetchFromGraphAPI(next, { mailbox });
+      messages.push(...(page.value || []));
+      next = page['@odata.nextLink'];
+    }
+
+    return messages;
 
   } catch (error) {
     console.error('❌ Failed to fetch emails from Graph API:', error.message);
@@ -166,29 +619,72 @@ async function fetchEmailsFromOutlook(startDate, endDate) {
  *
  * @param {Object} email - Graph API email message
  * @param {String} syncBatchId - Sync batch identifier
- * @returns {Object} Email record ready for database
+ * @param {Array} [attachments] - EmailAttachment records of the message - their amounts,
+ *                                references and companies are merged into the email's
+ * @returns {Object} Email record ready for database (bodyText plus newMessageText,
+ *                   quotedText and signatureText)
  */
-function prepareEmailRecord(email, syncBatchId) {
-  // Extract dollar amounts from body
-  const extractedAmounts = extractDollarAmounts(email.body?.content || email.bodyPreview || '');
-
-  // Extract company names (basic pattern matching)
-  const extractedCompanies = extractCompanyNames(email.body?.content || email.bodyPreview || '');
+function prepareEmailRecord(email, syncBatchId, attachments = []) {
+  // Plain text split into what the sender wrote, the quoted history and the signature
+  const body = emailBodyNormalizer.normalizeBody(email.body);
+  const newMessage = body.newMessage || (body.text ? '' : email.bodyPreview || '');
+
+  // The new message before the quoted history - the newest amounts, dates and references
+  // come first; signatures and disclaimers hold no payment data
+  const newestFirst = [newMessage, body.quoted].filter(Boolean).join('\n\n');
+
+  const attachmentText = attachments
+    .filter(attachment => attachment.extractedText)
+    .map(attachment => `${attachment.name}\n${attachment.extractedText}`)
+    .join('\n\n')
+    .substring(0, attachmentExtractor.EXTRACTION_LIMITS.maxTextLength);
+
+  // Extract amounts with their currency from body and attachments
+  const extractedAmounts = mergeDistinct([
+    extractAmounts(newestFirst),
+    ...attachments.map(attachment => safeParseJSON(attachment.extractedAmounts))
+  ], amount => `${amount.amount}|${amount.currency || amount.symbol || ''}`);
+
+  // Extract company names (basic pattern matching) - the signature often names the payer
+  const extractedCompanies = mergeDistinct([
+    extractCompanyNames(`${newestFirst}\n\n${body.signature}`),
+    extractCompanyNames(attachmentText)
+  ], name => companyNormalizer.normalizeCompanyName(name));
 
   // Extract dates mentioned
-  const extractedDates = extractDates(email.body?.content || email.bodyPreview || '');
+  const extractedDates = extractDates(newestFirst);
 
-  // Get body text (prefer plain text, fallback to HTML)
-  let bodyText = '';
-  let bodyHtml = '';
+  // Extract invoice / PO / remittance / check numbers (subject, body and attachments)
+  const extractedReferences = mergeDistinct([
+    referenceExtractor.extractReferences(`${email.subject || ''}\n${newestFirst}`),
+    ...attachments.map(attachment => safeParseJSON(attachment.extractedReferences))
+  ], reference => `${reference.refType}|${reference.normalizedValue}`);
 
-  if (email.body?.contentType === 'text') {
-    bodyText = email.body.content;
-  } else if (email.body?.contentType === 'html') {
-    bodyHtml = email.body.content;
-    bodyText = stripHtmlTags(email.body.content);
-  }
+  return {
+    ...prepareHeaderRecord(email, syncBatchId),
+    bodyPreview: email.bodyPreview || '',
+    bodyText: body.text || email.bodyPreview || '',
+    bodyHtml: email.body?.contentType === 'html' ? email.body.content : '',
+    newMessageText: newMessage || null,
+    quotedText: body.quoted || null,
+    signatureText: body.signature || null,
+    attachmentText: attachmentText || null,
+    extractedAmounts: JSON.stringify(extractedAmounts),
+    extractedCompanies: JSON.stringify(extractedCompanies),
+    extractedDates: JSON.stringify(extractedDates),
+    extractedReferences: JSON.stringify(extractedReferences),
+    matchedCount: 0
+  };
+}
 
+/**
+ * Header and sync fields of a message - all that a stripped email still takes from a sync
+ *
+ * @param {Object} email - Graph API email message
+ * @param {String} syncBatchId - Sync batch identifier
+ * @returns {Object} EmailCache header fields
+ */
+function prepareHeaderRecord(email, syncBatchId) {
   return {
     messageId: email.id,
     conversationId: email.conversationId || email.id,
@@ -197,78 +693,52 @@ function prepareEmailRecord(email, syncBatchId) {
     fromName: email.from?.emailAddress?.name || 'Unknown',
     toAddresses: JSON.stringify(email.toRecipients || []),
     receivedDateTime: email.receivedDateTime,
-    bodyPreview: email.bodyPreview || '',
-    bodyText: bodyText || email.bodyPreview || '',
-    bodyHtml: bodyHtml,
-    extractedAmounts: JSON.stringify(extractedAmounts),
-    extractedCompanies: JSON.stringify(extractedCompanies),
-    extractedDates: JSON.stringify(extractedDates),
+    lastModifiedDateTime: email.lastModifiedDateTime,
+    hasAttachments: !!email.hasAttachments,
     syncBatchId,
-    fetchedAt: new Date().toISOString(),
-    matchedCount: 0
+    fetchedAt: new Date().toISOString()
   };
 }
 
 /**
- * Extract dollar amounts from text
- * Finds patterns like $1,234.56 or 1234.56
- *
- * @param {String} text - Text to search
- * @returns {Array<Number>} Array of amounts found
+ * Concatenate lists, keeping the first entry per key
  */
-function extractDollarAmounts(text) {
-  if (!text) return [];
-
-  const amounts = [];
-
-  // Pattern 1: $1,234.56
-  const dollarPattern = /\$\s*([\d,]+\.?\d*)/g;
-  let match;
-  while ((match = dollarPattern.exec(text)) !== null) {
-    const amount = parseFloat(match[1].replace(/,/g, ''));
-    if (!isNaN(amount) && amount > 0) {
-      amounts.push(amount);
-    }
+function mergeDistinct(lists, keyOf) {
+  const merged = new Map();
+  for (const entry of lists.flat()) {
+    if (!merged.has(keyOf(entry))) merged.set(keyOf(entry), entry);
   }
+  return [...merged.values()];
+}
 
-  // Pattern 2: 1234.56 (standalone numbers that look like money)
-  const numberPattern = /\b(\d{1,3}(,\d{3})*(\.\d{2})?)\b/g;
-  while ((match = numberPattern.exec(text)) !== null) {
-    const amount = parseFloat(match[1].replace(/,/g, ''));
-    if (!isNaN(amount) && amount > 100 && amount < 1000000) {
-      // Only include if looks like money amount
-      if (!amounts.includes(amount)) {
-        amounts.push(amount);
-      }
-    }
+function safeParseJSON(jsonString) {
+  try {
+    return JSON.parse(jsonString || '[]');
+  } catch (e) {
+    return [];
   }
+}
 
-  return amounts.slice(0, 10); // Limit to first 10
+/**
+ * Extract amounts from text
+ * Any currency and notation ($1,234.56, 1.234,56 EUR, MX$12,500.00, (250.00), ...) - see amount-parser.js
+ *
+ * @param {String} text - Text to search
+ * @returns {Array<Object>} Array of { amount, currency, symbol, text } (first 10)
+ */
+function extractAmounts(text) {
+  return amountParser.parseAmounts(text, { limit: 10 });
 }
 
 /**
  * Extract company names from text
- * Basic pattern matching for common company patterns
+ * Names in front of a legal form (LLC, Inc., Corp., GmbH, ...) - see company-normalizer.js
  *
  * @param {String} text - Text to search
  * @returns {Array<String>} Array of company names found
  */
 function extractCompanyNames(text) {
-  if (!text) return [];
-
-  const companies = [];
-
-  // Pattern: Words followed by LLC, Inc, Corp, etc.
-  const suffixPattern = /([A-Z][A-Za-z0-9\s&]+?)\s+(LLC|Inc\.?|Corp\.?|Corporation|Ltd\.?|Limited|Co\.?|Company)/g;
-  let match;
-  while ((match = suffixPattern.exec(text)) !== null) {
-    const company = match[1].trim();
-    if (company.length > 2 && !companies.includes(company)) {
-      companies.push(company);
-    }
-  }
-
-  return companies.slice(0, 10); // Limit to first 10
+  return companyNormalizer.findCompanyNames(text, 10); // Limit to first 10
 }
 
 /**
@@ -300,28 +770,6 @@ function extractDates(text) {
   return dates.slice(0, 5); // Limit to first 5
 }
 
-/**
- * Strip HTML tags from text
- * Basic HTML removal for plain text extraction
- *
- * @param {String} html - HTML string
- * @returns {String} Plain text
- */
-function stripHtmlTags(html) {
-  if (!html) return '';
-
-  return html
-    .replace(/<script[^>]*>.*?<\/script>/gi, '') // Remove scripts
-    .replace(/<style[^>]*>.*?<\/style>/gi, '')   // Remove styles
-    .replace(/<[^>]+>/g, '')                      // Remove tags
-    .replace(/&nbsp;/g, ' ')                      // Replace &nbsp;
-    .replace(/&amp;/g, '&')                       // Replace &amp;
-    .replace(/&lt;/g, '<')                        // Replace &lt;
-    .replace(/&gt;/g, '>')                        // Replace &gt;
-    .replace(/\s+/g, ' ')                         // Normalize whitespace
-    .trim();
-}
-
 /**
  * Generate vector embeddings for cached emails
  * Uses HANA VECTOR_EMBEDDING function (same as Historical data)
@@ -346,9 +794,10 @@ async function generateEmbeddings(db, syncBatchId) {
     console.log(`      Generating embeddings for ${emails.length} emails...`);
 
     // Use HANA VECTOR_EMBEDDING function (same model as Historical data)
-    // Embed the concatenation of subject + bodyPreview for best semantic matching
+    // Embed subject, new message, attachment text and then the quoted history - the newest content
+    // comes first, so a long reply chain cannot push it past the length limit
     for (const email of emails) {
-      const textToEmbed = `${email.SUBJECT} ${email.BODYPREVIEW}`.substring(0, 5000);
+      const textToEmbed = `${email.SUBJECT} ${email.NEWMESSAGETEXT || email.BODYPREVIEW || ''} ${email.ATTACHMENTTEXT || ''} ${email.QUOTEDTEXT || ''}`.substring(0, 5000);
 
       const sql = `
         UPDATE "RECONCILIATION_EMAILCACHE"
@@ -379,9 +828,15 @@ async function deleteAllEmails(db) {
   try {
     console.log('\n🗑️  Deleting all cached emails...');
 
-    const result = await db.run(DELETE.from('reconciliation.EmailCache'));
+    // Email matches point to the cached emails
+    await db.run(DELETE.from(EMAIL_MATCH));
+    await db.run(DELETE.from(ATTACHMENT));
+    const result = await db.run(DELETE.from(EMAIL));
     const count = result.affectedRows || 0;
 
+    // Without the cached emails the delta links are worthless - next sync starts over
+    await db.run(DELETE.from(SYNC_STATE));
+
     console.log(`   ✅ Deleted ${count} emails`);
 
     return count;
@@ -397,7 +852,7 @@ module.exports = {
   deleteAllEmails,
   fetchEmailsFromOutlook,
   prepareEmailRecord,
-  extractDollarAmounts,
+  extractAmounts,
   extractCompanyNames,
   extractDates,
   generateEmbeddings
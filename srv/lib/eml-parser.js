@@ -0,0 +1,213 @@
+/**
+ * EML Parser - RFC 5322 / MIME Email Files
+ *
+ * Turns a saved email (.eml, as exported by Outlook or Thunderbird) into its
+ * headers, text and HTML body and attachments, so the local Graph stand-in
+ * (local-graph.js) can serve real remittance emails from a fixture directory:
+ * - Folded headers, RFC 2047 encoded words (=?UTF-8?B?...?= / =?ISO-8859-1?Q?...?=)
+ * - Nested multipart bodies (mixed, alternative, related)
+ * - base64 and quoted-printable transfer encodings, UTF-8 / Latin-1 charsets
+ * - Attachments by Content-Disposition or file name; inline parts with a Content-ID
+ *
+ * USAGE:
+ * const emlParser = require('./lib/eml-parser');
+ * const email = emlParser.parseEml(fs.readFileSync('remittance.eml'));
+ * // { subject, from: { name, address }, to: [...], date, text, html, attachments: [{ name, contentType, content, isInline }] }
+ */
+
+/**
+ * Parse an .eml file
+ *
+ * @param {Buffer|String} source - File content
+ * @returns {Object} { messageId, inReplyTo, references, subject, from, to, cc, date, text, html, attachments }
+ */
+function parseEml(source) {
+  const raw = Buffer.isBuffer(source) ? source.toString('latin1') : Buffer.from(String(source), 'utf8').toString('latin1');
+  if (!raw.trim()) throw new Error('EML content is required');
+
+  const root = parsePart(raw);
+  const email = {
+    messageId: stripAngles(root.headers['message-id']),
+    inReplyTo: stripAngles(root.headers['in-reply-to']),
+    references: (root.headers.references || '').match(/<[^>]+>/g)?.map(stripAngles) || [],
+    subject: decodeWords(root.headers.subject || ''),
+    from: parseAddresses(root.headers.from)[0] || null,
+    to: parseAddresses(root.headers.to),
+    cc: parseAddresses(root.headers.cc),
+    date: parseDate(root.headers.date),
+    text: null,
+    html: null,
+    attachments: []
+  };
+
+  collectParts(root, email);
+  return email;
+}
+
+/**
+ * Split one MIME part into headers and (for multipart) child parts
+ * Works on latin1 strings - every byte is one character, so base64 and 8-bit bodies survive
+ */
+function parsePart(raw) {
+  const separator = raw.search(/\r?\n\r?\n/);
+  const headerText = separator >= 0 ? raw.substring(0, separator) : raw;
+  const body = separator >= 0 ? raw.substring(separator).replace(/^\r?\n\r?\n/, '') : '';
+
+  const headers = {};
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.substring(0, colon).trim().toLowerCase();
+    // First occurrence wins (Received headers repeat, the rest must not)
+    if (!(name in headers)) headers[name] = line.substring(colon + 1).trim();
+  }
+
+  const contentType = parseHeaderValue(headers['content-type'] || 'text/plain');
+  const part = { headers, contentType, body, parts: [] };
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    const boundary = `--${contentType.params.boundary}`;
+    const sections = body.split(new RegExp(`\\r?\\n?${escapeRegExp(boundary)}(?:--)?[ \\t]*\\r?\\n?`));
+    // sections[0] is the preamble, the last one the epilogue
+    part.parts = sections.slice(1, -1).filter(section => section.trim()).map(parsePart);
+  }
+
+  return part;
+}
+
+/**
+ * Walk the part tree: first text/plain and text/html become the body, the rest attachments
+ */
+function collectParts(part, email) {
+  if (part.parts.length > 0) {
+    part.parts.forEach(child => collectParts(child, email));
+    return;
+  }
+
+  const disposition = parseHeaderValue(part.headers['content-disposition'] || '');
+  const name = decodeWords(disposition.params.filename || part.contentType.params.name || '');
+  const type = part.contentType.value;
+  const content = decodeBody(part.body, part.headers['content-transfer-encoding']);
+
+  const isBody = disposition.value !== 'attachment' && !name && (type === 'text/plain' || type === 'text/html');
+  if (isBody) {
+    const text = decodeCharset(content, part.contentType.params.charset);
+    if (type === 'text/plain' && email.text === null) email.text = text;
+    else if (type === 'text/html' && email.html === null) email.html = text;
+    return;
+  }
+
+  email.attachments.push({
+    name: name || `attachment-${email.attachments.length + 1}`,
+    contentType: type,
+    content,
+    size: content.length,
+    isInline: disposition.value === 'inline' || (!!part.headers['content-id'] && disposition.value !== 'attachment'),
+    contentId: stripAngles(part.headers['content-id'])
+  });
+}
+
+/**
+ * Decode a transfer-encoded body into bytes
+ */
+function decodeBody(body, encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return Buffer.from(
+        body.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+        'latin1'
+      );
+    default:
+      return Buffer.from(body, 'latin1');
+  }
+}
+
+/**
+ * Bytes → string in the part's charset (UTF-8 unless Latin-1 / Windows-1252 is declared)
+ */
+function decodeCharset(buffer, charset) {
+  const name = (charset || 'utf-8').toLowerCase();
+  return /^(iso-8859-1|latin1|windows-1252|us-ascii)$/.test(name) ? buffer.toString('latin1') : buffer.toString('utf8');
+}
+
+/**
+ * RFC 2047 encoded words in headers: =?charset?B|Q?text?=
+ */
+function decodeWords(value) {
+  return String(value)
+    .replace(/[\x80-\xff]+/g, latin => Buffer.from(latin, 'latin1').toString('utf8'))  // Raw UTF-8 headers
+    .replace(/\?=\s+=\?/g, '?==?')  // Whitespace between adjacent encoded words is dropped
+    .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+      return decodeCharset(bytes, charset);
+    });
+}
+
+/**
+ * "text/plain; charset=utf-8; name=\"a.txt\"" → { value: 'text/plain', params: { charset, name } }
+ */
+function parseHeaderValue(header) {
+  const [value, ...rest] = splitOutsideQuotes(header, ';');
+  const params = {};
+  for (const param of rest) {
+    const equals = param.indexOf('=');
+    if (equals <= 0) continue;
+    const key = param.substring(0, equals).trim().toLowerCase().replace(/\*$/, '');
+    params[key] = param.substring(equals + 1).trim().replace(/^"(.*)"$/, '$1').replace(/^utf-8''/i, '');
+  }
+  return { value: (value || '').trim().toLowerCase(), params };
+}
+
+/**
+ * "Jane Doe" <jane@acme.com>, ar@acme.com → [{ name, address }]
+ */
+function parseAddresses(header) {
+  if (!header) return [];
+
+  return splitOutsideQuotes(decodeWords(header), ',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(.*?)\s*<([^>]+)>$/);
+      if (!match) return { name: entry, address: entry };
+      return { name: match[1].replace(/^"(.*)"$/, '$1').trim() || match[2], address: match[2].trim() };
+    });
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (const char of String(text)) {
+    if (char === '"') quoted = !quoted;
+    if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function parseDate(header) {
+  const date = header ? new Date(header.replace(/\s*\([^)]*\)\s*$/, '')) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+function stripAngles(value) {
+  return value ? value.trim().replace(/^<|>$/g, '') : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  parseEml
+};
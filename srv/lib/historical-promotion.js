@@ -0,0 +1,148 @@
+/**
+ * Historical Promotion - Grow the Knowledge Base from Clerk Work
+ *
+ * Turns a reviewed BankStatementLine into a new Historical record so the
+ * same payer matches automatically next time:
+ * - wireText from the line's lineText
+ * - posting fields from the clerk's input, falling back to the line's selected LineMatch
+ * - flagged as source = 'CLERK' with a reference to the originating statement and line
+ * - SAP_GXY embedding generated immediately (HANA only; local-matcher re-indexes itself)
+ *
+ * The new record is also attached to the line as a selected LineMatch, so the
+ * usual selection bookkeeping (usage statistics, statement matchStatus) applies.
+ */
+
+const cds = require('@sap/cds');
+const lineMatcher = require('./line-matcher');
+const matchReview = require('./match-review');
+
+const POSTING_FIELDS = [
+  'postingKey',
+  'glAccount',
+  'customerNo',
+  'companyCode',
+  'costCentre',
+  'profitCentre',
+  'febanDescription'
+];
+
+/**
+ * Create a Historical record from a reviewed statement line
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} lineID - BankStatementLine ID
+ * @param {Object} input - Clerk-entered posting fields and comments (all optional)
+ * @param {String} user - Clerk user ID
+ * @returns {Promise<Object>} Promotion result
+ */
+async function promoteLineToHistorical(db, lineID, input, user) {
+  if (!lineID) throw new Error('lineID is required');
+
+  const line = await db.run(SELECT.one.from('reconciliation.BankStatementLine').where({ ID: lineID }));
+  if (!line) throw new Error(`Statement line not found: ${lineID}`);
+  if (!line.lineText) throw new Error(`Statement line ${lineID} has no text to promote`);
+
+  const existing = await db.run(
+    SELECT.one.from('reconciliation.Historical').columns('ID').where({ sourceLine_ID: lineID })
+  );
+  if (existing) throw new Error(`Statement line already promoted to Historical ${existing.ID}`);
+
+  const header = await db.run(
+    SELECT.one.from('reconciliation.BankStatementHeader').columns('ID', 'Aznum', 'Bukrs').where({ ID: line.header_ID })
+  );
+
+  // Clerk input wins, selected match fills the gaps
+  const selected = line.selectedMatch_ID
+    ? await db.run(SELECT.one.from('reconciliation.LineMatch').where({ ID: line.selectedMatch_ID }))
+    : null;
+
+  const posting = {};
+  for (const field of POSTING_FIELDS) {
+    posting[field] = input[field] || selected?.[field] || null;
+  }
+  if (!posting.companyCode && header?.Bukrs) posting.companyCode = header.Bukrs;
+
+  if (!posting.glAccount && !posting.customerNo) {
+    throw new Error('Either glAccount or customerNo is required (from input or the selected match)');
+  }
+
+  const historicalID = cds.utils.uuid();
+  await db.run(INSERT.into('reconciliation.Historical').entries({
+    ID: historicalID,
+    wireText: line.lineText,
+    ...posting,
+    comments: input.comments || `Promoted from statement ${header?.Aznum || line.header_ID} line ${line.crn}`,
+    source: 'CLERK',
+    sourceStatement_ID: line.header_ID,
+    sourceLine_ID: lineID
+  }));
+
+  console.log(`📚 Promoted line ${line.crn} to Historical ${historicalID}: "${line.lineText.substring(0, 50)}"`);
+
+  const embeddingGenerated = await generateHistoricalEmbedding(db, historicalID);
+
+  // Attach as a selected match so the line/statement review state stays consistent
+  const existingMatches = await db.run(
+    SELECT.from('reconciliation.LineMatch').columns('ID').where({ line_ID: lineID })
+  );
+  const lineMatchID = cds.utils.uuid();
+  await db.run(INSERT.into('reconciliation.LineMatch').entries({
+    ID: lineMatchID,
+    line_ID: lineID,
+    rank: existingMatches.length + 1,
+    historical_ID: historicalID,
+    confidence: 100,
+    strategy: 'CLERK_PROMOTED',
+    wireText: line.lineText,
+    ...posting,
+    isSelected: false
+  }));
+
+  const review = await matchReview.selectMatch(db, lineID, lineMatchID, user);
+
+  return {
+    success: true,
+    message: 'Statement line promoted to Historical',
+    historicalID,
+    lineMatchID,
+    embeddingGenerated,
+    statementStatus: review.statementStatus,
+    error: null
+  };
+}
+
+/**
+ * Generate the SAP_GXY embedding for a single Historical record
+ * Same model and type as scripts/generate-embeddings.js
+ * Failures are logged, not thrown - generateEmbeddings can backfill the record later
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} historicalID - Historical ID
+ * @returns {Promise<Boolean>} true if an embedding was stored
+ */
+async function generateHistoricalEmbedding(db, historicalID) {
+  if (lineMatcher.isLocalBackend()) {
+    console.log('   ℹ️  Local mode - embedding computed in memory by local-matcher on next search');
+    return false;
+  }
+
+  try {
+    await db.run(`
+      UPDATE RECONCILIATION_HISTORICAL
+      SET embedding = VECTOR_EMBEDDING(wireText, 'DOCUMENT', 'SAP_GXY.20250407')
+      WHERE ID = ?
+    `, [historicalID]);
+
+    console.log(`   ✅ SAP_GXY embedding generated for Historical ${historicalID}`);
+    return true;
+
+  } catch (error) {
+    console.error(`   ⚠️  Embedding generation failed for Historical ${historicalID}:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  promoteLineToHistorical,
+  generateHistoricalEmbedding
+};
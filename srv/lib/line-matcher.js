@@ -1,125 +1,376 @@
 /**
  * Hybrid Line Matcher for Bank Reconciliation
  *
- * Strategy: Fuzzy-first with Vector fallback
+ * Strategy: Exact references first, then Fuzzy with Vector fallback
  * 1. Take one line from payment notes
- * 2. Search Historical table using:
+ * 2. Look up its reference numbers (invoice, PO, account, ...) - reference-index.js
+ * 3. Search Historical table using:
  *    a) HANA fuzzy text search (fast, high precision)
  *    b) Vector embedding similarity (slower, high recall)
- * 3. Return best matches
+ * 4. Return best matches
  *
  * Performance optimization:
  * - Fuzzy search first (~10ms) for exact/near-exact matches
  * - Vector search fallback (~50ms) for semantic/difficult matches
+ *
+ * Search text:
+ * - HANA queries get the line text as written - Historical wire texts and their
+ *   embeddings are stored un-normalized, so a normalized query (CORP → CORPORATION)
+ *   would lose fuzzy hits; the local engine normalizes both sides (company-normalizer.js)
+ *
+ * Local development:
+ * - When the db is not HANA (SQLite [development] profile), fuzzy and vector
+ *   search run in JavaScript via local-matcher.js; OpenAI search is skipped
  */
 
 const cds = require('@sap/cds');
+const localMatcher = require('./local-matcher');
+const referenceIndex = require('./reference-index');
+
+/**
+ * Rank Fusion Configuration
+ * - rrfK: Reciprocal rank fusion constant (standard value 60)
+ * - weights: Trust in each strategy (scales its RRF share and agreement bonus)
+ * - agreementBonus: Max confidence points added per additional strategy that found the candidate
+ * - maxConfidence: Fused confidence cap (100 is reserved for clerk-confirmed records)
+ */
+const FUSION_CONFIG = {
+  rrfK: 60,
+  weights: {
+    EXACT_REFERENCE: 1.5,
+    FUZZY_TEXT: 1.0,
+    VECTOR_SEMANTIC: 1.0,
+    OPENAI_EMBEDDING: 0.8
+  },
+  agreementBonus: 5,
+  maxConfidence: 99
+};
+
+/**
+ * Clerk Feedback Configuration
+ * Historical records that clerks keep selecting (successCount / usageCount from
+ * selectMatch / rejectMatch) gain confidence, records they keep rejecting lose it
+ * - minReviews: reviews a record needs before its success rate counts
+ * - maxPoints: confidence points at a 100% (boost) or 0% (penalty) success rate;
+ *   a 50% success rate is neutral
+ */
+const FEEDBACK_CONFIG = {
+  minReviews: 3,
+  maxPoints: 3
+};
+
+/**
+ * Matching Thresholds
+ * - MIN_CONFIDENCE: Fused confidence a match needs to be returned by searchLine
+ *   (after implementing BO text extraction, 85% works - extraction prevents
+ *   long queries from diluting similarity)
+ * - FUZZY_LEVEL: Token similarity required by CONTAINS ... FUZZY()
+ * Tune both with the evaluation harness (match-evaluation.js)
+ */
+const MIN_CONFIDENCE = 85;
+const FUZZY_LEVEL = 0.8;
+
+/**
+ * Amount Proximity Configuration
+ * Compares the statement amount (Kwbtr) with the typical amount range learned
+ * from confirmed postings of each Historical record (confidence points)
+ * - inRangeBoost: amount within [typicalAmountMin, typicalAmountMax]
+ * - nearBoost: amount within nearTolerance (relative) of the range
+ * - farPenalty: amount further than farTolerance (relative) from the range
+ * - currencyPenalty: statement currency differs from the learned currency
+ */
+const AMOUNT_CONFIG = {
+  inRangeBoost: 4,
+  nearBoost: 2,
+  nearTolerance: 0.10,
+  farPenalty: -6,
+  farTolerance: 0.50,
+  currencyPenalty: -5
+};
 
 class LineMatcher {
   constructor() {
     this.name = 'Hybrid Line Matcher (Fuzzy + Vector)';
+    this.minConfidence = MIN_CONFIDENCE;
+    this.fuzzyLevel = FUZZY_LEVEL;
+  }
+
+  /**
+   * Use the local (pure JavaScript) engine instead of HANA SQL?
+   * True for every db kind other than HANA (e.g. SQLite in development)
+   */
+  isLocalBackend() {
+    return cds.env.requires.db?.kind !== 'hana';
   }
 
   /**
-   * Parallel Fuzzy + SAP Vector + OpenAI Vector Search with Merged Results
+   * Exact Reference Lookup + Parallel Fuzzy + SAP Vector + OpenAI Vector Search with Merged Results
    *
    * CLERK WORKFLOW (v2.8.0):
-   * 1. Run fuzzy, SAP vector, AND OpenAI vector searches in parallel
-   * 2. Merge results and deduplicate by ID
-   * 3. Keep only matches with confidence ≥ 85%
-   * 4. Sort by confidence (highest first)
+   * 1. Look up the line's reference numbers (invoice, PO, remittance, check, account)
+   *    in Historical wire texts and clerk-confirmed lines - an exact hit beats any text similarity
+   * 2. Run fuzzy, SAP vector, AND OpenAI vector searches in parallel
+   * 3. Fuse results per Historical ID (agreement between strategies raises confidence,
+   *    clerk selections/rejections of the record raise or lower it)
+   * 4. Boost/penalise by statement amount vs. learned typical amount (if provided)
+   * 5. Keep only matches with fused confidence ≥ 85%
+   * 6. Sort by fused confidence (highest first), RRF score as tie-breaker
    *
    * This mirrors how clerks look at multiple sources to find the best match
    *
-   * @param {string} lineText - One line from payment notes
-   * @returns {Array} - Array of unique matches with confidence ≥ 85%
+   * @param {string} lineText - One line from payment notes (null = reference lookup only)
+   * @param {Object} [context] - Statement context { amount: Kwbtr, currency: Waers },
+   *                             { references } of the line (line-parser.js)
+   * @returns {Array} - Array of fused matches with confidence ≥ 85%
    */
-  async searchLine(lineText) {
-    if (!lineText || lineText.trim().length < 5) {
+  async searchLine(lineText, context = {}) {
+    const references = (context.references || []).filter(referenceIndex.isLookupReference);
+    const searchText = lineText && lineText.trim().length >= 5 ? lineText : null;
+
+    if (!searchText && references.length === 0) {
       console.log(`      ⏭️  Skipping search - line too short (${lineText?.length || 0} chars)`);
       return []; // Skip very short lines
     }
 
     // Log the search input
-    console.log(`      📥 Search input: "${lineText.substring(0, 100)}${lineText.length > 100 ? '...' : ''}"`);
-    console.log(`      📏 Input length: ${lineText.length} characters`);
+    if (searchText) {
+      console.log(`      📥 Search input: "${searchText.substring(0, 100)}${searchText.length > 100 ? '...' : ''}"`);
+      console.log(`      📏 Input length: ${searchText.length} characters`);
+    }
+    if (references.length > 0) {
+      console.log(`      🔖 References: ${references.map(r => `${r.refType} ${r.value}`).join(', ')}`);
+    }
 
     const db = await cds.connect.to('db');
 
     try {
-      // Run ALL THREE searches in parallel
-      console.log(`      🔍 Running fuzzy + SAP vector + OpenAI vector searches in parallel...`);
+      // Exact reference lookup runs first - it needs no text similarity
+      const exactMatches = await referenceIndex.findExactMatches(db, references).catch(err => {
+        console.log(`         ⚠️  Reference lookup error: ${err.message}`);
+        return [];
+      });
 
-      const [fuzzyMatches, vectorMatches, openaiMatches] = await Promise.all([
-        this.fuzzySearch(db, lineText).catch(err => {
-          console.log(`         ⚠️  Fuzzy search error: ${err.message}`);
-          return [];
-        }),
-        this.vectorSearch(db, lineText).catch(err => {
-          console.log(`         ⚠️  SAP vector search error: ${err.message}`);
-          return [];
-        }),
-        this.openaiEmbeddingSearch(db, lineText).catch(err => {
-          console.log(`         ⚠️  OpenAI vector search error: ${err.message}`);
-          return [];
-        })
-      ]);
+      let fuzzyMatches = [];
+      let vectorMatches = [];
+      let openaiMatches = [];
+      if (searchText) {
+        // Run ALL THREE searches in parallel
+        console.log(`      🔍 Running fuzzy + SAP vector + OpenAI vector searches in parallel...`);
+
+        [fuzzyMatches, vectorMatches, openaiMatches] = await Promise.all([
+          this.fuzzySearch(db, searchText).catch(err => {
+            console.log(`         ⚠️  Fuzzy search error: ${err.message}`);
+            return [];
+          }),
+          this.vectorSearch(db, searchText).catch(err => {
+            console.log(`         ⚠️  SAP vector search error: ${err.message}`);
+            return [];
+          }),
+          this.openaiEmbeddingSearch(db, searchText).catch(err => {
+            console.log(`         ⚠️  OpenAI vector search error: ${err.message}`);
+            return [];
+          })
+        ]);
+      }
 
-      console.log(`      📊 Fuzzy: ${fuzzyMatches.length}, SAP Vector: ${vectorMatches.length}, OpenAI Vector: ${openaiMatches.length}`);
+      console.log(`      📊 Exact: ${exactMatches.length}, Fuzzy: ${fuzzyMatches.length}, SAP Vector: ${vectorMatches.length}, OpenAI Vector: ${openaiMatches.length}`);
 
-      // Merge results and deduplicate by ID
-      const allMatches = [...fuzzyMatches, ...vectorMatches, ...openaiMatches];
-      const uniqueMatches = this.deduplicateMatches(allMatches);
+      // Fuse results per Historical ID
+      const fusedMatches = this.applyAmountProximity(this.fuseMatches({
+        EXACT_REFERENCE: exactMatches,
+        FUZZY_TEXT: fuzzyMatches,
+        VECTOR_SEMANTIC: vectorMatches,
+        OPENAI_EMBEDDING: openaiMatches
+      }), context);
 
       // Filter by confidence threshold (≥85%)
-      // After implementing BO text extraction, we can use 85% threshold
-      // (extraction prevents long queries from diluting similarity)
-      const MIN_CONFIDENCE = 85;
-      const filteredMatches = uniqueMatches.filter(m => m.confidence >= MIN_CONFIDENCE);
-
-      // Sort by confidence (highest first)
-      filteredMatches.sort((a, b) => b.confidence - a.confidence);
+      const filteredMatches = fusedMatches.filter(m => m.confidence >= this.minConfidence);
 
-      console.log(`      ✅ Merged to ${uniqueMatches.length} unique, ${filteredMatches.length} above ${MIN_CONFIDENCE}%`);
+      console.log(`      ✅ Fused to ${fusedMatches.length} unique, ${filteredMatches.length} above ${this.minConfidence}%`);
 
       if (filteredMatches.length > 0) {
         const topMatch = filteredMatches[0];
-        console.log(`      🎯 Top match: ${topMatch.wireText?.substring(0, 50)}... (${topMatch.confidence}%, ${topMatch.matchStrategy})`);
+        console.log(`      🎯 Top match: ${topMatch.wireText?.substring(0, 50)}... (${topMatch.confidence}%, ${topMatch.strategies.join('+')})`);
       }
 
       return filteredMatches;
 
     } catch (error) {
-      console.error(`   ❌ Error searching line "${lineText.substring(0, 50)}":`, error.message);
+      console.error(`   ❌ Error searching line "${(searchText || '').substring(0, 50)}":`, error.message);
       return [];
     }
   }
 
   /**
-   * Deduplicate matches by ID, keeping the one with highest confidence
-   * @param {Array} matches - Array of match objects with ID and confidence
-   * @returns {Array} - Deduplicated array
+   * Fuse results of several strategies into one candidate per Historical ID
+   *
+   * - Base confidence: best single-strategy confidence
+   * - Agreement bonus: every other strategy that also found the candidate adds up to
+   *   agreementBonus points, scaled by its own confidence and weight
+   * - RRF score: sum of weight / (rrfK + rank) over all strategies (tie-breaker)
+   *
+   * - Clerk feedback: records with enough reviews gain or lose up to FEEDBACK_CONFIG.maxPoints
+   *   by their success rate (feedbackAdjustment)
+   *
+   * A record found by fuzzy AND vector therefore ranks above one found by a single strategy
+   * with the same best confidence.
+   *
+   * @param {Object} resultsByStrategy - { EXACT_REFERENCE: [...], FUZZY_TEXT: [...], ... } each sorted best-first
+   * @returns {Array} - Fused matches sorted by confidence, with strategies/strategyScores/fusionScore/
+   *                    feedbackAdjustment (and matchedReferences if an exact reference found it)
    */
-  deduplicateMatches(matches) {
-    const matchMap = new Map();
-
-    for (const match of matches) {
-      const id = match.ID;
-
-      if (!matchMap.has(id)) {
-        matchMap.set(id, match);
-      } else {
-        // Keep the match with higher confidence
-        const existing = matchMap.get(id);
-        if (match.confidence > existing.confidence) {
-          matchMap.set(id, match);
+  fuseMatches(resultsByStrategy) {
+    const candidates = new Map();
+
+    for (const [strategy, matches] of Object.entries(resultsByStrategy)) {
+      matches.forEach((match, index) => {
+        if (!candidates.has(match.ID)) {
+          candidates.set(match.ID, { best: match, strategyScores: {} });
+        }
+
+        const candidate = candidates.get(match.ID);
+        candidate.strategyScores[strategy] = {
+          rank: index + 1,
+          score: match.score ?? match.similarity ?? null,
+          confidence: match.confidence
+        };
+        if (match.confidence > candidate.best.confidence) {
+          candidate.best = match;
+        }
+        if (match.matchedReferences) {
+          candidate.matchedReferences = match.matchedReferences;
+        }
+      });
+    }
+
+    const fused = [];
+    for (const { best, strategyScores, matchedReferences } of candidates.values()) {
+      const strategies = Object.keys(strategyScores);
+
+      let fusionScore = 0;
+      let agreement = 0;
+      for (const strategy of strategies) {
+        const { rank, confidence } = strategyScores[strategy];
+        const weight = FUSION_CONFIG.weights[strategy] ?? 1.0;
+        fusionScore += weight / (FUSION_CONFIG.rrfK + rank);
+
+        if (strategy !== best.matchStrategy) {
+          // Normalize the 60-95% confidence band to 0-1
+          const strength = Math.min(1, Math.max(0, (confidence - 60) / 35));
+          agreement += FUSION_CONFIG.agreementBonus * weight * strength;
         }
       }
+
+      const feedback = this.feedbackAdjustment(best);
+      const confidence = Math.min(
+        FUSION_CONFIG.maxConfidence,
+        Math.max(0, Math.round((best.confidence + agreement + feedback.points) * 10) / 10)
+      );
+
+      fused.push({
+        ...best,
+        confidence,
+        baseConfidence: best.confidence,
+        agreementBonus: Math.round(agreement * 10) / 10,
+        feedbackAdjustment: feedback.points,
+        ...(feedback.reason && { feedbackReason: feedback.reason }),
+        strategies,
+        strategyScores,
+        fusionScore: Math.round(fusionScore * 1e6) / 1e6,
+        ...(matchedReferences && { matchedReferences })
+      });
+    }
+
+    fused.sort((a, b) => (b.confidence - a.confidence) || (b.fusionScore - a.fusionScore));
+    return fused;
+  }
+
+  /**
+   * Confidence points for one candidate from clerk reviews of its Historical record
+   * @returns {Object} - { points, reason } (reason is null below minReviews)
+   */
+  feedbackAdjustment(match) {
+    const usage = Number(match.usageCount) || 0;
+    const success = Math.min(Number(match.successCount) || 0, usage);
+    if (usage < FEEDBACK_CONFIG.minReviews) {
+      return { points: 0, reason: null };
+    }
+
+    // Success rate 0-1 mapped to -maxPoints..+maxPoints (50% = neutral)
+    const points = Math.round(FEEDBACK_CONFIG.maxPoints * (2 * success / usage - 1) * 10) / 10;
+    return { points, reason: `Selected by clerks ${success} of ${usage} times` };
+  }
+
+  /**
+   * Adjust fused confidence by amount proximity
+   *
+   * Only candidates with a learned amount profile (amountSampleCount > 0) are adjusted;
+   * all others keep their confidence with amountAdjustment = 0.
+   *
+   * @param {Array} matches - Fused matches (from fuseMatches)
+   * @param {Object} context - { amount, currency } of the statement being processed
+   * @returns {Array} - Matches with adjusted confidence and amountAdjustment, re-sorted
+   */
+  applyAmountProximity(matches, { amount, currency } = {}) {
+    const statementAmount = Math.abs(Number(amount));
+    if (!amount || !Number.isFinite(statementAmount)) {
+      return matches.map(match => ({ ...match, amountAdjustment: 0 }));
     }
 
-    return Array.from(matchMap.values());
+    const adjusted = matches.map(match => {
+      const { points: adjustment, reason } = this.amountAdjustment(match, statementAmount, currency);
+      if (adjustment === 0) return { ...match, amountAdjustment: 0, amountReason: reason };
+
+      const confidence = Math.min(
+        FUSION_CONFIG.maxConfidence,
+        Math.max(0, Math.round((match.confidence + adjustment) * 10) / 10)
+      );
+      console.log(`         💲 Amount ${adjustment > 0 ? 'boost' : 'penalty'} ${adjustment} for ${match.wireText?.substring(0, 40)}...`);
+
+      return { ...match, confidence, amountAdjustment: adjustment, amountReason: reason };
+    });
+
+    adjusted.sort((a, b) => (b.confidence - a.confidence) || (b.fusionScore - a.fusionScore));
+    return adjusted;
   }
 
+  /**
+   * Confidence points for one candidate given the statement amount
+   * @returns {Object} - { points, reason }
+   */
+  amountAdjustment(match, statementAmount, currency) {
+    if (!match.amountSampleCount) {
+      return { points: 0, reason: 'No learned amount profile' };
+    }
+
+    if (currency && match.typicalCurrency && currency !== match.typicalCurrency) {
+      return { points: AMOUNT_CONFIG.currencyPenalty, reason: `Currency ${currency} differs from learned ${match.typicalCurrency}` };
+    }
+
+    const min = Number(match.typicalAmountMin);
+    const max = Number(match.typicalAmountMax);
+    if (!Number.isFinite(min) || !Number.isFinite(max)) {
+      return { points: 0, reason: 'No learned amount profile' };
+    }
+
+    const range = `${min}-${max}${match.typicalCurrency ? ' ' + match.typicalCurrency : ''}`;
+    if (statementAmount >= min && statementAmount <= max) {
+      return { points: AMOUNT_CONFIG.inRangeBoost, reason: `Amount ${statementAmount} within typical range ${range}` };
+    }
+
+    // Relative distance to the nearest bound of the learned range
+    const bound = statementAmount < min ? min : max;
+    const distance = Math.abs(statementAmount - bound) / Math.max(statementAmount, bound, 0.01);
+    const percent = Math.round(distance * 100);
+
+    if (distance <= AMOUNT_CONFIG.nearTolerance) {
+      return { points: AMOUNT_CONFIG.nearBoost, reason: `Amount ${statementAmount} within ${percent}% of typical range ${range}` };
+    }
+    if (distance > AMOUNT_CONFIG.farTolerance) {
+      return { points: AMOUNT_CONFIG.farPenalty, reason: `Amount ${statementAmount} is ${percent}% away from typical range ${range}` };
+    }
+    return { points: 0, reason: `Amount ${statementAmount} is ${percent}% away from typical range ${range}` };
+  }
 
   /**
    * Vector Embedding Similarity Search
@@ -134,6 +385,10 @@ class LineMatcher {
    * - Reverted to QUERY mode for semantic search intent
    */
   async vectorSearch(db, lineText) {
+    if (this.isLocalBackend()) {
+      return localMatcher.vectorSearch(db, lineText);
+    }
+
     try {
       // VECTOR_EMBEDDING(text, type, model)
       // - text: search line text (parameter ?)
@@ -149,9 +404,14 @@ class LineMatcher {
           companyCode,
           costCentre,
           profitCentre,
+          febanDescription,
           usageCount,
           successCount,
           lastUsedDate,
+          typicalAmountMin,
+          typicalAmountMax,
+          typicalCurrency,
+          amountSampleCount,
           COSINE_SIMILARITY(
             embedding,
             TO_REAL_VECTOR(VECTOR_EMBEDDING(?, 'QUERY', 'SAP_GXY.20250407'))
@@ -192,9 +452,14 @@ class LineMatcher {
           companyCode: record.COMPANYCODE || record.companyCode,
           costCentre: record.COSTCENTRE || record.costCentre,
           profitCentre: record.PROFITCENTRE || record.profitCentre,
+          febanDescription: record.FEBANDESCRIPTION || record.febanDescription,
           usageCount: record.USAGECOUNT || record.usageCount || 0,
           successCount: record.SUCCESSCOUNT || record.successCount || 0,
-          lastUsedDate: record.LASTUSEDDATE || record.lastUsedDate
+          lastUsedDate: record.LASTUSEDDATE || record.lastUsedDate,
+          typicalAmountMin: record.TYPICALAMOUNTMIN ?? record.typicalAmountMin,
+          typicalAmountMax: record.TYPICALAMOUNTMAX ?? record.typicalAmountMax,
+          typicalCurrency: record.TYPICALCURRENCY || record.typicalCurrency,
+          amountSampleCount: record.AMOUNTSAMPLECOUNT || record.amountSampleCount || 0
         };
       });
 
@@ -207,8 +472,21 @@ class LineMatcher {
   /**
    * Fuzzy Text Search using HANA's CONTAINS()
    * Uses HANA's built-in fuzzy search with stemming and synonyms
+   *
+   * @param {Object} db - CDS database service
+   * @param {string} lineText - One line from payment notes
+   * @param {number} [fuzzyLevel] - FUZZY() level 0-1 (default FUZZY_LEVEL)
    */
-  async fuzzySearch(db, lineText) {
+  async fuzzySearch(db, lineText, fuzzyLevel = this.fuzzyLevel) {
+    const level = Number(fuzzyLevel);
+    if (!Number.isFinite(level) || level <= 0 || level > 1) {
+      throw new Error(`Invalid fuzzy level: ${fuzzyLevel} (expected 0 < level <= 1)`);
+    }
+
+    if (this.isLocalBackend()) {
+      return localMatcher.fuzzySearch(db, lineText, level);
+    }
+
     try {
       // Use HANA's CONTAINS for fuzzy text search
       // CONTAINS supports fuzzy search, linguistic processing, and ranking
@@ -222,17 +500,22 @@ class LineMatcher {
           companyCode,
           costCentre,
           profitCentre,
+          febanDescription,
           usageCount,
           successCount,
           lastUsedDate,
+          typicalAmountMin,
+          typicalAmountMax,
+          typicalCurrency,
+          amountSampleCount,
           SCORE() as score
         FROM RECONCILIATION_HISTORICAL
-        WHERE CONTAINS(wireText, ?, FUZZY(0.8))
+        WHERE CONTAINS(wireText, ?, FUZZY(${level}))
         ORDER BY score DESC
         LIMIT 10
       `;
 
-      console.log(`         📝 Fuzzy SQL: CONTAINS(wireText, "${lineText.substring(0, 50)}...", FUZZY(0.8)) LIMIT 10`);
+      console.log(`         📝 Fuzzy SQL: CONTAINS(wireText, "${lineText.substring(0, 50)}...", FUZZY(${level})) LIMIT 10`);
       const startTime = Date.now();
       const results = await db.run(query, [lineText]);
       const elapsed = Date.now() - startTime;
@@ -262,9 +545,14 @@ class LineMatcher {
           companyCode: record.COMPANYCODE || record.companyCode,
           costCentre: record.COSTCENTRE || record.costCentre,
           profitCentre: record.PROFITCENTRE || record.profitCentre,
+          febanDescription: record.FEBANDESCRIPTION || record.febanDescription,
           usageCount: record.USAGECOUNT || record.usageCount || 0,
           successCount: record.SUCCESSCOUNT || record.successCount || 0,
-          lastUsedDate: record.LASTUSEDDATE || record.lastUsedDate
+          lastUsedDate: record.LASTUSEDDATE || record.lastUsedDate,
+          typicalAmountMin: record.TYPICALAMOUNTMIN ?? record.typicalAmountMin,
+          typicalAmountMax: record.TYPICALAMOUNTMAX ?? record.typicalAmountMax,
+          typicalCurrency: record.TYPICALCURRENCY || record.typicalCurrency,
+          amountSampleCount: record.AMOUNTSAMPLECOUNT || record.amountSampleCount || 0
         };
       });
 
@@ -286,6 +574,11 @@ class LineMatcher {
    * Falls back gracefully if not configured
    */
   async openaiEmbeddingSearch(db, lineText) {
+    if (this.isLocalBackend()) {
+      console.log(`         ℹ️  OpenAI embedding search requires HANA - skipped in local mode`);
+      return [];
+    }
+
     try {
       // Check if OpenAI remote source is configured
       const remoteSourceName = process.env.OPENAI_REMOTE_SOURCE || 'MY_SERVICE_INSTANCE';
@@ -307,9 +600,14 @@ class LineMatcher {
           companyCode,
           costCentre,
           profitCentre,
+          febanDescription,
           usageCount,
           successCount,
           lastUsedDate,
+          typicalAmountMin,
+          typicalAmountMax,
+          typicalCurrency,
+          amountSampleCount,
           COSINE_SIMILARITY(
             openaiEmbedding,
             TO_REAL_VECTOR(
@@ -350,9 +648,14 @@ class LineMatcher {
           companyCode: record.COMPANYCODE || record.companyCode,
           costCentre: record.COSTCENTRE || record.costCentre,
           profitCentre: record.PROFITCENTRE || record.profitCentre,
+          febanDescription: record.FEBANDESCRIPTION || record.febanDescription,
           usageCount: record.USAGECOUNT || record.usageCount || 0,
           successCount: record.SUCCESSCOUNT || record.successCount || 0,
-          lastUsedDate: record.LASTUSEDDATE || record.lastUsedDate
+          lastUsedDate: record.LASTUSEDDATE || record.lastUsedDate,
+          typicalAmountMin: record.TYPICALAMOUNTMIN ?? record.typicalAmountMin,
+          typicalAmountMax: record.TYPICALAMOUNTMAX ?? record.typicalAmountMax,
+          typicalCurrency: record.TYPICALCURRENCY || record.typicalCurrency,
+          amountSampleCount: record.AMOUNTSAMPLECOUNT || record.amountSampleCount || 0
         };
       });
 
@@ -388,53 +691,67 @@ class LineMatcher {
 
   /**
    * Search using all methods and return comparison results
+   * Used by the evaluation harness (match-evaluation.js) to score each strategy separately
+   *
    * @param {string} lineText - One line from payment notes
-   * @returns {Object} - Results from all search methods
+   * @param {Object} [options] - { fuzzyLevel }
+   * @returns {Object} - Results from all search methods, plus timings (ms) per method
    */
-  async searchLineComparison(lineText) {
+  async searchLineComparison(lineText, options = {}) {
+    const empty = {
+      vector: [],
+      fuzzy: [],
+      chatgpt: [],
+      openaiEmbedding: [],
+      timings: { vector: 0, fuzzy: 0, chatgpt: 0, openaiEmbedding: 0 }
+    };
+
     if (!lineText || lineText.trim().length < 5) {
-      return {
-        vector: [],
-        fuzzy: [],
-        chatgpt: [],
-        openaiEmbedding: []
-      };
+      return empty;
     }
 
     const db = await cds.connect.to('db');
 
+    // Each search is timed on its own (they still run in parallel)
+    const timed = async (search) => {
+      const startTime = Date.now();
+      const results = await search;
+      return { results, elapsed: Date.now() - startTime };
+    };
+
     try {
       // Run all searches in parallel
       console.log(`      🔍 Running comparison: Vector (SAP) + Fuzzy + ChatGPT Reranker + OpenAI Embedding...`);
 
-      const [vectorMatches, fuzzyMatches, chatgptMatches, openaiEmbeddingMatches] = await Promise.all([
-        this.vectorSearch(db, lineText),
-        this.fuzzySearch(db, lineText),
-        this.chatgptSearch(db, lineText).catch(err => {
+      const [vector, fuzzy, chatgpt, openaiEmbedding] = await Promise.all([
+        timed(this.vectorSearch(db, lineText)),
+        timed(this.fuzzySearch(db, lineText, options.fuzzyLevel ?? this.fuzzyLevel)),
+        timed(this.chatgptSearch(db, lineText).catch(err => {
           console.log('         ℹ️  ChatGPT reranker skipped:', err.message);
           return [];
-        }),
-        this.openaiEmbeddingSearch(db, lineText).catch(err => {
+        })),
+        timed(this.openaiEmbeddingSearch(db, lineText).catch(err => {
           console.log('         ℹ️  OpenAI embedding skipped:', err.message);
           return [];
-        })
+        }))
       ]);
 
       return {
-        vector: vectorMatches,
-        fuzzy: fuzzyMatches,
-        chatgpt: chatgptMatches,
-        openaiEmbedding: openaiEmbeddingMatches
+        vector: vector.results,
+        fuzzy: fuzzy.results,
+        chatgpt: chatgpt.results,
+        openaiEmbedding: openaiEmbedding.results,
+        timings: {
+          vector: vector.elapsed,
+          fuzzy: fuzzy.elapsed,
+          chatgpt: chatgpt.elapsed,
+          openaiEmbedding: openaiEmbedding.elapsed
+        }
       };
 
     } catch (error) {
       console.error(`   ❌ Error in comparison search:`, error.message);
-      return {
-        vector: [],
-        fuzzy: [],
-        chatgpt: [],
-        openaiEmbedding: []
-      };
+      return empty;
     }
   }
 
@@ -5,36 +5,155 @@
  * the relevant portion for matching.
  */
 
+const referenceExtractor = require('./reference-extractor');
+const amountParser = require('./amount-parser');
+
 /**
- * Line Type Patterns
- * Note: Patterns now flexible with whitespace to handle various input formats
- */
-const LINE_PATTERNS = {
-  BO: /^BO\s*:/i,        // Buyer Order: BO:1000250198610 or BO :... or BO DUMMY:
-  BO1: /BO1\s*:/i,       // Buyer Order Name (allows spaces before colon)
-  BO2: /BO2\s*:/i,       // Buyer Order Additional (allows spaces before colon)
-  ORDER: /^ORDER\s*:/i,  // Order reference
-  BN: /^BN\s*:/i,        // Business Name
-  FR: /^FR\s*:/i,        // From reference
-  TO: /^TO\s*:/i,        // To reference
-  OBI: /^OBI\s*:/i,      // Additional info
-  OB: /^OB\s*:/i,        // Ordering Bank
-  PY: /^PY\s*:/i,        // Payment reference
-  BI: /^BI\s*:/i,        // Business ID
-  CR: /^CR\s*:/i,        // Credit reference
-  RF: /^RF\s*:/i,        // Reference number
-  SENDING: /SENDING PERSON|SENDING CO/i,
-  ROC: /^ROC\s*:/i,      // Remittance reference
-  TRID: /^TRID\s*:/i,    // Transaction ID
-  ENDT: /^ENDT\s*:/i     // End date
-};
+ * Default Line Type Rules
+ * Line types are maintained as data (LineTypeRule entity, loaded by
+ * line-type-rules.js); these defaults apply when no rules are passed in
+ * and seed db/data/reconciliation-LineTypeRule.csv.
+ *
+ * - pattern/flags: Regex identifying the type (lowest priority first, first match wins)
+ * - isSearchable:  Lines of this type are matched against Historical
+ * - extraction:    FULL_LINE   - whole line (what clerks paste into Excel)
+ *                  TAG_VALUES  - values of extractFields tags only (e.g. BO1)
+ *                  AFTER_MATCH - text after the pattern match
+ *                  NONE        - nothing
+ */
+const EXTRACTION_MODES = ['FULL_LINE', 'TAG_VALUES', 'AFTER_MATCH', 'NONE'];
+
+const DEFAULT_LINE_TYPE_RULES = [
+  { code: 'BO', pattern: '^BO\\s*:', priority: 10, isSearchable: true, extraction: 'FULL_LINE' },        // Buyer Order: BO:1000250198610 or BO :...
+  { code: 'BO1', pattern: 'BO1\\s*:', priority: 20, isSearchable: true, extraction: 'FULL_LINE' },       // Buyer Order Name
+  { code: 'BO2', pattern: 'BO2\\s*:', priority: 30, isSearchable: true, extraction: 'FULL_LINE' },       // Buyer Order Additional
+  { code: 'ORDER', pattern: '^ORDER\\s*:', priority: 40, isSearchable: true, extraction: 'FULL_LINE' },  // Order reference
+  { code: 'BN', pattern: '^BN\\s*:', priority: 50, isSearchable: false, extraction: 'NONE' },            // Business Name
+  { code: 'FR', pattern: '^FR\\s*:', priority: 60, isSearchable: false, extraction: 'NONE' },            // From reference
+  { code: 'TO', pattern: '^TO\\s*:', priority: 70, isSearchable: false, extraction: 'NONE' },            // To reference
+  { code: 'OBI', pattern: '^OBI\\s*:', priority: 80, isSearchable: false, extraction: 'NONE' },          // Additional info
+  { code: 'OB', pattern: '^OB\\s*:', priority: 90, isSearchable: false, extraction: 'NONE' },            // Ordering Bank
+  { code: 'PY', pattern: '^PY\\s*:', priority: 100, isSearchable: false, extraction: 'NONE' },           // Payment reference
+  { code: 'BI', pattern: '^BI\\s*:', priority: 110, isSearchable: false, extraction: 'NONE' },           // Business ID
+  { code: 'CR', pattern: '^CR\\s*:', priority: 120, isSearchable: false, extraction: 'NONE' },           // Credit reference
+  { code: 'RF', pattern: '^RF\\s*:', priority: 130, isSearchable: false, extraction: 'NONE' },           // Reference number
+  { code: 'SENDING', pattern: 'SENDING PERSON|SENDING CO', priority: 140, isSearchable: true, extraction: 'FULL_LINE' },  // ACH sending person/company
+  { code: 'DETAILS', pattern: '^DETAILS\\s*:', priority: 150, isSearchable: true, extraction: 'FULL_LINE' }, // Payment details
+  { code: 'ROC', pattern: '^ROC\\s*:', priority: 160, isSearchable: false, extraction: 'NONE' },         // Remittance reference
+  { code: 'TRID', pattern: '^TRID\\s*:', priority: 170, isSearchable: false, extraction: 'NONE' },       // Transaction ID
+  { code: 'ENDT', pattern: '^ENDT\\s*:', priority: 180, isSearchable: false, extraction: 'NONE' }        // End date
+];
+
+/**
+ * Field Tags
+ * A single line often carries several tagged fields, e.g.
+ * "BO:219062889 BO1:IMMANUEL CREATIONS INCORPORATED DBA BO2:SURP"
+ * Longer tags first so BO1 wins over BO at the same position
+ */
+const FIELD_TAGS = [
+  'ORDER', 'TRID', 'ENDT',
+  'BO', 'BO1', 'BO2', 'BO3', 'BO4',
+  'OB', 'OB1', 'OB2', 'OB3', 'OB4', 'OBI',
+  'BN', 'BN1', 'BN2', 'BN3', 'BBI',
+  'FR', 'TO', 'PY', 'BI', 'CR', 'RF', 'ROC'
+].sort((a, b) => b.length - a.length);
+
+const TAG_PATTERN = new RegExp(`(?<![A-Z0-9])(${FIELD_TAGS.join('|')})\\s*:`, 'gi');
+
+/**
+ * SAP Line Wrapping
+ * Vwezw (note to payee) lines have a fixed width; longer text continues on
+ * the next line, often mid-word ("...BO2:8306 HA" + "RBOR DR").
+ * - SAP_LINE_WIDTH: Field width of one Vwezw line (exports may be narrower -
+ *   the longest line of a note is taken as its width, capped at this value)
+ * - MIN_WRAP_WIDTH: Notes whose longest line is shorter never wrapped
+ * - WRAP_TOLERANCE: A line this close to the width counts as full
+ *   (SAP carries the last word over when it can break at a space)
+ * - MAX_LINE_LENGTH: Merged lines never exceed BankStatementLine.lineText
+ */
+const SAP_LINE_WIDTH = 70;
+const MIN_WRAP_WIDTH = 35;
+const WRAP_TOLERANCE = 8;
+const MAX_LINE_LENGTH = 500;
+
+// A physical line starting with a tag ("BO:", "AB1:", ...) always starts a new line
+const TAG_START_PATTERN = /^[A-Z]{1,5}\d?\s*:/i;
+
+/**
+ * Compile line type rules for the parser
+ * Invalid rules are skipped with a warning (use compileRule to validate one)
+ *
+ * @param {Array} rules - [{ code, pattern, flags, priority, isSearchable, extraction, extractFields }]
+ * @returns {Array} Compiled rules sorted by priority
+ */
+function compileRules(rules) {
+  const compiled = [];
+  for (const rule of rules) {
+    try {
+      compiled.push(compileRule(rule));
+    } catch (error) {
+      console.warn(`[lineParser] ⚠️  Line type rule ${rule.code} skipped: ${error.message}`);
+    }
+  }
+  return compiled.sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Validate and compile one line type rule
+ * extractFields may be an array or a comma-separated string ("BO1,BO2")
+ */
+function compileRule(rule) {
+  if (!rule.code) throw new Error('code is required');
+  if (!rule.pattern) throw new Error('pattern is required');
+
+  const extraction = rule.extraction || 'FULL_LINE';
+  if (!EXTRACTION_MODES.includes(extraction)) {
+    throw new Error(`extraction must be one of ${EXTRACTION_MODES.join(', ')}`);
+  }
+
+  const extractFields = Array.isArray(rule.extractFields)
+    ? rule.extractFields
+    : (rule.extractFields || '').split(',').map(f => f.trim()).filter(Boolean);
+  if (extraction === 'TAG_VALUES' && extractFields.length === 0) {
+    throw new Error('extractFields is required for TAG_VALUES extraction');
+  }
+
+  // No 'g' - a global regex keeps state between test() calls
+  const flags = (rule.flags ?? 'i').replace(/g/g, '');
+  let regex;
+  try {
+    regex = new RegExp(rule.pattern, flags);
+  } catch (error) {
+    throw new Error(`invalid pattern: ${error.message}`);
+  }
+
+  return {
+    code: rule.code.toUpperCase(),
+    regex,
+    priority: rule.priority ?? 0,
+    isSearchable: rule.isSearchable !== false,
+    extraction,
+    extractFields
+  };
+}
+
+const DEFAULT_RULES = compileRules(DEFAULT_LINE_TYPE_RULES);
 
 /**
  * Parse raw payment notes into structured lines
  * Handles both actual newlines and literal \n strings
  * Handles SAP line wrapping (continuation lines)
+ *
+ * @param {String} paymentNotesRaw - Vwezw text
+ * @param {Object} [options] - { searchFields: ['BO1', ...] } search only these tag values (see extractSearchText),
+ *                             { lineWidth } override the detected SAP line width,
+ *                             { rules } compiled line type rules (default DEFAULT_LINE_TYPE_RULES),
+ *                             { currency } statement currency (Waers) - resolves a bare "$" in amounts
+ * @returns {Array} [{ lineNo, lineText, rawText, wrapped, lineType, searchable, tags, searchText, references, amounts }]
+ *                  references: invoice, PO, remittance, check, account and transaction numbers (reference-extractor.js)
+ *                  amounts: [{ amount, currency, symbol, text }] mentioned in the line (amount-parser.js)
  */
-function parsePaymentNotes(paymentNotesRaw) {
+function parsePaymentNotes(paymentNotesRaw, options = {}) {
   if (!paymentNotesRaw) return [];
 
   // Handle both actual newlines and literal \n strings
@@ -43,136 +162,228 @@ function parsePaymentNotes(paymentNotesRaw) {
     .replace(/\r\n/g, '\n') // Normalize Windows line endings
     .replace(/\r/g, '\n');  // Normalize Mac line endings
 
-  const rawLines = normalized
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0);
-
-  // Merge continuation lines (lines that don't start with a known pattern)
-  const mergedLines = mergeWrappedLines(rawLines);
-
-  return mergedLines.map((lineText, index) => ({
-    lineNo: index + 1,
-    lineText,
-    lineType: identifyLineType(lineText),
-    searchText: extractSearchText(lineText),
-    metadata: extractMetadata(lineText)
-  }));
+  // Untrimmed - leading/trailing spaces tell whether a wrap split a word
+  const rawLines = normalized.split('\n');
+
+  // Rejoin wrapped fragments, keeping the physical lines for audit
+  const mergedLines = mergeWrappedLines(rawLines, options);
+
+  return mergedLines.map(({ lineText, rawLines: physicalLines }, index) => {
+    const rule = findRule(lineText, options.rules);
+    const tags = tokenizeTags(lineText);
+    return {
+      lineNo: index + 1,
+      lineText,
+      rawText: physicalLines.join('\n'),
+      wrapped: physicalLines.length > 1,
+      lineType: rule?.code || 'OTHER',
+      searchable: rule?.isSearchable || false,
+      tags,
+      searchText: extractSearchText(lineText, options),
+      references: referenceExtractor.extractReferences(lineText, tags),
+      amounts: amountParser.parseAmounts(lineText, { defaultCurrency: options.currency })
+    };
+  });
 }
 
 /**
  * Merge lines that are continuations of the previous line
  * SAP often wraps long text (e.g., "HIGHW" + "AY 19 N" = "HIGHWAY 19 N")
  *
- * IMPORTANT: We do NOT merge lines - each line is kept separate.
- * This allows us to pick only lines containing BO, BO1, or BO2.
+ * A physical line continues the previous one when:
+ * - the previous line filled the note's width (within WRAP_TOLERANCE), and
+ * - it does not start a line of its own (tag like BO:/ORDER:/TRID:, SENDING, ...), and
+ * - no blank line separates them
+ * So distinct BO / ORDER / SENDING lines are never merged.
+ *
+ * Fragments are joined without a space when the previous line ends exactly at
+ * the width and both sides of the break are letters (or both digits) - a word
+ * split by the wrap. Otherwise they are joined with a space.
+ *
+ * @param {Array<String>} rawLines - Physical lines (untrimmed, may contain blanks)
+ * @param {Object} [options] - { lineWidth, rules }
+ * @returns {Array} [{ lineText, rawLines: [physical lines, trimmed] }]
+ */
+function mergeWrappedLines(rawLines, options = {}) {
+  const width = options.lineWidth || Math.min(
+    SAP_LINE_WIDTH,
+    Math.max(0, ...rawLines.map(line => line.trimEnd().length))
+  );
+  const canWrap = width >= MIN_WRAP_WIDTH;
+
+  const merged = [];
+  let current = null;     // Logical line being built
+  let previousRaw = null; // Previous physical line (untrimmed)
+
+  for (const raw of rawLines) {
+    const text = raw.trim();
+    if (text.length === 0) {
+      // Blank line - never merge across it
+      current = null;
+      previousRaw = null;
+      continue;
+    }
+
+    const previousLength = previousRaw?.trimEnd().length || 0;
+    const isContinuation = canWrap
+      && current !== null
+      && previousLength >= width - WRAP_TOLERANCE
+      && !startsNewLine(text, options.rules);
+
+    if (isContinuation) {
+      const splitsWord = previousLength >= width
+        && !/\s$/.test(previousRaw)
+        && !/^\s/.test(raw)
+        && sameCharacterClass(current.lineText.slice(-1), text[0]);
+      const lineText = current.lineText + (splitsWord ? '' : ' ') + text;
+
+      if (lineText.length <= MAX_LINE_LENGTH) {
+        current.lineText = lineText;
+        current.rawLines.push(text);
+        previousRaw = raw;
+        continue;
+      }
+    }
+
+    current = { lineText: text, rawLines: [text] };
+    merged.push(current);
+    previousRaw = raw;
+  }
+
+  const wrappedCount = merged.filter(line => line.rawLines.length > 1).length;
+  if (wrappedCount > 0) {
+    console.log(`[lineParser] Rejoined ${wrappedCount} wrapped line(s) (width ${width})`);
+  }
+
+  return merged;
+}
+
+/**
+ * Does this physical line start a line of its own (not a wrapped fragment)?
  */
-function mergeWrappedLines(rawLines) {
-  // Simply return all lines as-is (no merging)
-  return rawLines;
+function startsNewLine(text, rules) {
+  return TAG_START_PATTERN.test(text) || identifyLineType(text, rules) !== 'OTHER';
+}
+
+/**
+ * Are both characters letters, or both digits? (a word or number split by the wrap)
+ */
+function sameCharacterClass(a, b) {
+  if (!a || !b) return false;
+  const isLetter = c => /[A-Za-z]/.test(c);
+  const isDigit = c => /\d/.test(c);
+  return (isLetter(a) && isLetter(b)) || (isDigit(a) && isDigit(b));
 }
 
 /**
  * Identify the type of line based on patterns
+ *
+ * @param {String} lineText - One payment note line
+ * @param {Array} [rules] - Compiled line type rules (default DEFAULT_LINE_TYPE_RULES)
+ * @returns {String} Rule code, 'OTHER' if no rule matches
  */
-function identifyLineType(lineText) {
-  for (const [type, pattern] of Object.entries(LINE_PATTERNS)) {
-    if (pattern.test(lineText)) {
-      return type;
-    }
-  }
-  return 'OTHER';
+function identifyLineType(lineText, rules) {
+  return findRule(lineText, rules)?.code || 'OTHER';
 }
 
 /**
- * Extract the portion of the line that should be used for matching
+ * First rule (by priority) whose pattern matches the line
+ */
+function findRule(lineText, rules = DEFAULT_RULES) {
+  return rules.find(rule => rule.regex.test(lineText)) || null;
+}
+
+/**
+ * Split a line into its tagged fields, in order of appearance
+ * Text before the first tag (e.g. SENDING PERSON lines) belongs to no field
  *
- * CLERK WORKFLOW (v2.8.0):
- * - BO lines: Full line with BO:number BO1:name BO2:address etc (most important)
- * - ORDER lines: Full line with order reference (important alternative)
- * - SENDING lines: Full line with sender info (important alternative)
- * - All other lines: Skip (not useful for matching)
+ * Example:
+ *   Input:  "BO:219062889 BO1:IMMANUEL CREATIONS INCORPORATED DBA BO2:SURP"
+ *   Output: [{ seq: 1, tag: 'BO', value: '219062889' },
+ *            { seq: 2, tag: 'BO1', value: 'IMMANUEL CREATIONS INCORPORATED DBA' },
+ *            { seq: 3, tag: 'BO2', value: 'SURP' }]
  *
- * This mirrors what clerks paste into Excel for historical matching
+ * @param {String} lineText - One payment note line
+ * @returns {Array} [{ seq, tag, value }] (value null for empty fields)
  */
-function extractSearchText(lineText) {
-  const lineType = identifyLineType(lineText);
-
-  switch (lineType) {
-    case 'BO':
-    case 'BO1':
-    case 'BO2':
-      // ✅ BO lines - extract only BO + BO1 + BO2 (not BO3, BO4, extra address)
-      // This prevents long merged lines from diluting similarity scores
-      return extractBOText(lineText);
+function tokenizeTags(lineText) {
+  if (!lineText) return [];
 
-    case 'ORDER':
-      // ✅ ORDER lines - use full lineText (alternative match key)
-      return lineText;
+  const found = [...lineText.matchAll(TAG_PATTERN)];
 
-    case 'SENDING PERSON':
-      // ✅ SENDING lines - use full lineText (alternative match key)
-      return lineText;
+  return found.map((match, index) => {
+    const valueStart = match.index + match[0].length;
+    const valueEnd = index + 1 < found.length ? found[index + 1].index : lineText.length;
+    const value = lineText.substring(valueStart, valueEnd).trim();
 
-    case 'DETAILS':
-    // ✅ DETAILS lines - use full lineText (alternative match key)
-    return lineText;      
-
-    case 'FR':
-    case 'TO':
-    case 'OBI':
-    case 'ROC':
-    case 'TRID':
-    case 'ENDT':
-    case 'BI':
-    case 'CR':
-    case 'RF':
-    case 'BN':
-    case 'PY':
-    case 'OB':
-      // ❌ Metadata and bank info lines - skip (not useful for matching)
-      return null;
-
-    default:
-      // ❌ Unknown types - skip
-      return null;
-  }
+    return {
+      seq: index + 1,
+      tag: match[1].toUpperCase(),
+      value: value || null
+    };
+  });
 }
 
 /**
- * Extract BO-related text from a line
- *
- * Simple logic: If line contains BO:, BO1:, or BO2:, return the ENTIRE line.
- * We don't try to parse or truncate - just return the whole line as-is.
+ * Join the values of the chosen tags into a search text
  *
- * Example:
- *   Input:  "BO:219062889 BO1:IMMANUEL CREATIONS INCORPORATED DBA BO2:SURP"
- *   Output: "BO:219062889 BO1:IMMANUEL CREATIONS INCORPORATED DBA BO2:SURP"
+ * @param {Array} tags - Result of tokenizeTags
+ * @param {Array<String>} fields - Tags to keep, e.g. ['BO1'] or ['BO1', 'ORDER']
+ * @returns {String|null} Values in line order, null if none of the fields is present
  */
-function extractBOText(lineText) {
-  // Simply return the full line if it contains BO, BO1, or BO2
-  return lineText;
+function composeSearchText(tags, fields) {
+  const wanted = new Set(fields.map(field => field.toUpperCase()));
+  const values = tags
+    .filter(tag => wanted.has(tag.tag) && tag.value)
+    .map(tag => tag.value);
+
+  return values.length > 0 ? values.join(' ') : null;
 }
 
 /**
- * Extract metadata from the line for potential future use
+ * Extract the portion of the line that should be used for matching
+ *
+ * CLERK WORKFLOW (v2.8.0), as seeded in the default rules:
+ * - BO lines: Full line with BO:number BO1:name BO2:address etc (most important)
+ * - ORDER lines: Full line with order reference (important alternative)
+ * - SENDING / DETAILS lines: Full line with sender info (important alternative)
+ * - All other lines: Skip (not useful for matching)
+ *
+ * This mirrors what clerks paste into Excel for historical matching.
+ * New bank formats get a LineTypeRule with their own extraction instead of code.
+ *
+ * With options.searchFields (e.g. ['BO1']), searchable lines carrying one of
+ * those tags are searched on the tag values only (e.g. the BO1 company name)
+ *
+ * @param {String} lineText - One payment note line
+ * @param {Object} [options] - { searchFields, rules }
+ * @returns {String|null} Search text, null if the line is not searchable
  */
-function extractMetadata(lineText) {
-  const metadata = {};
+function extractSearchText(lineText, options = {}) {
+  const rule = findRule(lineText, options.rules);
+  if (!rule || !rule.isSearchable) return null;
+
+  if (options.searchFields?.length > 0) {
+    const fieldText = composeSearchText(tokenizeTags(lineText), options.searchFields);
+    if (fieldText) return fieldText;
+  }
 
-  // Extract transaction ID if present
-  const tridMatch = lineText.match(/TRID:(\d+)/i);
-  if (tridMatch) metadata.transactionId = tridMatch[1];
+  switch (rule.extraction) {
+    case 'FULL_LINE':
+      return lineText;
 
-  // Extract amount if present (e.g., from account references)
-  const amountMatch = lineText.match(/\$?([\d,]+\.\d{2})/);
-  if (amountMatch) metadata.amount = amountMatch[1];
+    case 'TAG_VALUES':
+      // Lines without the expected tags fall back to the full line
+      return composeSearchText(tokenizeTags(lineText), rule.extractFields) || lineText;
 
-  // Extract date if present
-  const dateMatch = lineText.match(/\d{8}/);
-  if (dateMatch) metadata.date = dateMatch[0];
+    case 'AFTER_MATCH': {
+      const match = rule.regex.exec(lineText);
+      return lineText.substring(match.index + match[0].length).trim() || null;
+    }
 
-  return metadata;
+    default:
+      return null;
+  }
 }
 
 /**
@@ -180,12 +391,9 @@ function extractMetadata(lineText) {
  * Some lines are metadata only and shouldn't be matched
  */
 function shouldMatchLine(parsedLine) {
+  // Metadata lines (TRID, ENDT, FR, ...) have no search text - their rules are not searchable
   if (!parsedLine.searchText) return false;
 
-  // Skip transaction metadata lines
-  const skipTypes = ['TRID', 'ENDT', 'FR', 'TO', 'BI', 'CR', 'RF'];
-  if (skipTypes.includes(parsedLine.lineType)) return false;
-
   // Skip very short lines (likely not useful)
   if (parsedLine.searchText.length < 5) return false;
 
@@ -193,8 +401,15 @@ function shouldMatchLine(parsedLine) {
 }
 
 module.exports = {
+  DEFAULT_LINE_TYPE_RULES,
+  EXTRACTION_MODES,
+  compileRules,
+  compileRule,
   parsePaymentNotes,
   identifyLineType,
+  mergeWrappedLines,
+  tokenizeTags,
+  composeSearchText,
   extractSearchText,
   shouldMatchLine
 };
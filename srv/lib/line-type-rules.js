@@ -0,0 +1,119 @@
+/**
+ * Line Type Rules - Parser Configuration as Data
+ *
+ * Loads the admin-maintained LineTypeRule entity for line-parser.js, so new
+ * bank formats (a new tag, a new sender line) need a rule, not a redeploy.
+ *
+ * - Active rules are compiled once and cached; the cache is rebuilt when the
+ *   table changes (row count or last modifiedAt), like the local-matcher index
+ * - Without rules in the table (or without the table), the parser defaults apply
+ * - testRules() previews how a sample Vwezw parses, optionally with an unsaved rule
+ *
+ * USAGE:
+ * const lineTypeRules = require('./lib/line-type-rules');
+ * const rules = await lineTypeRules.getRules(db);
+ * const lines = lineParser.parsePaymentNotes(Vwezw, { rules });
+ */
+
+const lineParser = require('./line-parser');
+
+const RULE = 'reconciliation.LineTypeRule';
+
+// Cached compiled rules { version, ready } (rebuilt when the table changes)
+let rulesCache = null;
+
+/**
+ * Active line type rules, compiled for the parser
+ *
+ * @param {Object} db - CDS database service
+ * @returns {Promise<Array>} Compiled rules sorted by priority
+ */
+async function getRules(db) {
+  let stats;
+  try {
+    stats = await db.run(SELECT.one.from(RULE).columns('count(1) as total', 'max(modifiedAt) as lastModified'));
+  } catch (error) {
+    console.warn(`[lineTypeRules] ⚠️  Rules not readable, using defaults: ${error.message}`);
+    return lineParser.compileRules(lineParser.DEFAULT_LINE_TYPE_RULES);
+  }
+  const version = `${stats?.total || 0}|${stats?.lastModified || ''}`;
+
+  if (!rulesCache || rulesCache.version !== version) {
+    rulesCache = { version, ready: loadRules(db) };
+    rulesCache.ready.catch(() => { rulesCache = null; });
+  }
+
+  return rulesCache.ready;
+}
+
+/**
+ * Load and compile the active rules (defaults if there are none)
+ */
+async function loadRules(db) {
+  const records = await db.run(SELECT.from(RULE).where({ isActive: true }).orderBy('priority'));
+
+  if (records.length === 0) {
+    console.log('[lineTypeRules] No active rules in LineTypeRule - using parser defaults');
+    return lineParser.compileRules(lineParser.DEFAULT_LINE_TYPE_RULES);
+  }
+
+  const rules = lineParser.compileRules(records);
+  console.log(`[lineTypeRules] Loaded ${rules.length} line type rule(s)`);
+  return rules;
+}
+
+/**
+ * Clear the cached rules (e.g. after bulk-loading rules)
+ */
+function resetRules() {
+  rulesCache = null;
+}
+
+/**
+ * Validate a rule before it is saved
+ * Throws with the reason if the rule cannot be compiled
+ *
+ * @param {Object} rule - LineTypeRule data
+ */
+function validateRule(rule) {
+  lineParser.compileRule(rule);
+}
+
+/**
+ * Parse a sample Vwezw with the active rules, optionally plus one candidate rule
+ * The candidate replaces an active rule with the same code and is not saved
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} vwezw - Sample payment notes
+ * @param {Object} [candidate] - Unsaved rule { code, pattern, flags, priority, isSearchable, extraction, extractFields }
+ * @returns {Promise<Array>} Parsed lines { lineNo, lineText, lineType, searchable, searchText, matchedByCandidate }
+ */
+async function testRules(db, vwezw, candidate) {
+  if (!vwezw) throw new Error('Vwezw sample text is required');
+
+  let rules = await getRules(db);
+  let candidateCode = null;
+  if (candidate?.pattern) {
+    const compiled = lineParser.compileRule(candidate);
+    candidateCode = compiled.code;
+    rules = [...rules.filter(rule => rule.code !== compiled.code), compiled]
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  return lineParser.parsePaymentNotes(vwezw, { rules }).map(line => ({
+    lineNo: line.lineNo,
+    lineText: line.lineText,
+    lineType: line.lineType,
+    searchable: line.searchable,
+    searchText: line.searchText,
+    willMatch: lineParser.shouldMatchLine(line),
+    matchedByCandidate: candidateCode !== null && line.lineType === candidateCode
+  }));
+}
+
+module.exports = {
+  getRules,
+  resetRules,
+  validateRule,
+  testRules
+};
@@ -0,0 +1,520 @@
+/**
+ * Local Graph - Microsoft Graph Stand-In Serving Fixture Messages
+ *
+ * Answers the Graph mail requests of email-search and email-sync from a
+ * directory of saved messages, so sync, search and matching can be developed
+ * and demoed without a tenant, a destination or app credentials.
+ * Selected by mail-transport.js when the profile's MicrosoftGraphAPI kind is local-graph.
+ *
+ * Fixture layout (one directory per mailbox, one per mail folder):
+ *   fixtures/mail/ar@example.com/inbox/remittance-4711.eml   - saved email (eml-parser.js)
+ *   fixtures/mail/ar@example.com/inbox/payment-advice.json   - Graph message JSON, plus
+ *       "attachments": [{ "name", "contentType", "contentBytes" (base64) | "text" | "file" (path next to the JSON) }]
+ * The file name (without extension) is the message ID - moving a file to another
+ * folder keeps its ID (like Graph's immutable IDs); lastModifiedDateTime is the
+ * file's modification time unless the JSON sets it. A message without receivedDateTime
+ * (JSON) or Date header (.eml) counts as received then too, so it stays inside the sync
+ * window. Files are read on every request - editing, adding or deleting a fixture shows
+ * up in the next delta round.
+ *
+ * Supported (all under /v1.0/users/{mailbox}):
+ * - /messages, /mailFolders/{folder}/messages - $search (KQL: "phrases", words, subject:/from:/to:/body:/attachment:,
+ *   AND, OR, NOT), $filter (field eq|ne|gt|ge|lt|le value [and ...]), $select, $orderby, $top, $skip
+ * - /mailFolders/{folder}/messages/delta - $filter/$select on the first request, Prefer: odata.maxpagesize,
+ *   @odata.nextLink / @odata.deltaLink, @removed (deleted, or changed = moved to another folder);
+ *   an unreadable delta token answers 410 syncStateNotFound
+ * - /messages/{id}, /messages/{id}/attachments ($select), /messages/{id}/attachments/{attachmentId}
+ * Errors are thrown like HTTP client errors: error.response = { status, data: { error: { code, message } } }
+ *
+ * USAGE:
+ * const localGraph = require('./lib/local-graph');
+ * const page = await localGraph.request('/v1.0/users/ar%40example.com/mailFolders/inbox/messages/delta', {
+ *   fixtures: '/project/fixtures/mail', headers: { Prefer: 'odata.maxpagesize=100' }
+ * });
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const emlParser = require('./eml-parser');
+const emailBodyNormalizer = require('./email-body-normalizer');
+
+// Host of the absolute paging and delta links (as returned by Graph)
+const GRAPH_HOST = 'https://graph.microsoft.com';
+
+// Page size when neither $top nor Prefer: odata.maxpagesize is given (Graph's default)
+const DEFAULT_PAGE_SIZE = 10;
+
+const PREVIEW_LENGTH = 255;
+
+const FILTER_CLAUSE = /^\s*([\w/]+)\s+(eq|ne|gt|ge|lt|le)\s+('(?:[^']|'')*'|[^\s)]+)\s*(?:and\s+|$)/i;
+const SEARCH_TOKEN = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T/;
+
+/**
+ * Answer a Graph GET request
+ *
+ * @param {String} url - Graph path ('/v1.0/users/{mailbox}/...') or absolute link
+ * @param {Object} options - { fixtures } fixture directory, { headers } request headers
+ * @returns {Promise<Object>} Response data as Graph returns it
+ */
+async function request(url, options = {}) {
+  const target = new URL(url, GRAPH_HOST);
+  const query = target.searchParams;
+  const segments = target.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+  if (segments[0] !== 'v1.0' || segments[1] !== 'users' || !segments[2]) {
+    throw graphError(400, 'BadRequest', `Local Graph serves /v1.0/users/{mailbox}/... only, not ${target.pathname}`);
+  }
+
+  const mailbox = openMailbox(options.fixtures, segments[2]);
+  const [resource, ...rest] = segments.slice(3);
+  const pageSize = maxPageSize(options.headers);
+
+  if (resource === 'messages' && rest.length === 0) {
+    return listMessages(mailbox.messages(), query, target.pathname, pageSize);
+  }
+
+  if (resource === 'messages') {
+    const message = mailbox.message(rest[0]);
+    if (rest.length === 1) return selectFields(message.resource, query.get('$select'));
+    if (rest[1] === 'attachments' && rest.length === 2) {
+      return { value: message.attachments.map(attachment => selectFields(attachmentResource(attachment), query.get('$select'))) };
+    }
+    if (rest[1] === 'attachments' && rest.length === 3) {
+      const attachment = message.attachments.find(a => a.id === rest[2]);
+      if (!attachment) throw graphError(404, 'ErrorItemNotFound', 'The specified attachment could not be found.');
+      return attachmentResource(attachment);
+    }
+  }
+
+  if (resource === 'mailFolders' && rest[1] === 'messages') {
+    const folder = mailbox.folder(rest[0]);
+    if (rest.length === 2) return listMessages(mailbox.messages(folder), query, target.pathname, pageSize);
+    if (rest.length === 3 && rest[2] === 'delta') return deltaPage(mailbox, folder, query, target.pathname, pageSize);
+  }
+
+  throw graphError(400, 'BadRequest', `Resource not supported by local Graph: ${target.pathname}`);
+}
+
+/**
+ * Fixture directory of a mailbox, read lazily
+ */
+function openMailbox(fixtures, address) {
+  const directory = path.join(fixtures || '', address.toLowerCase());
+  if (!fixtures || !fs.existsSync(directory)) {
+    throw graphError(404, 'ErrorInvalidUser', `Mailbox ${address} not found in fixtures (${directory})`);
+  }
+
+  const folders = fs.readdirSync(directory, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+
+  let loaded = null;
+  const all = () => {
+    if (!loaded) loaded = folders.flatMap(folder => loadFolder(path.join(directory, folder), folder));
+    return loaded;
+  };
+
+  return {
+    folder(name) {
+      const folder = folders.find(f => f.toLowerCase() === name.toLowerCase());
+      if (!folder) throw graphError(404, 'ErrorItemNotFound', `The specified folder "${name}" could not be found in the store.`);
+      return folder;
+    },
+    messages(folder) {
+      return folder ? all().filter(message => message.folder === folder) : all();
+    },
+    message(id) {
+      const message = all().find(m => m.resource.id === id);
+      if (!message) throw graphError(404, 'ErrorItemNotFound', 'The specified object was not found in the store.');
+      return message;
+    }
+  };
+}
+
+/**
+ * All .eml and .json messages of a folder directory
+ */
+function loadFolder(directory, folder) {
+  return fs.readdirSync(directory)
+    .filter(file => /\.(eml|json)$/i.test(file))
+    .sort()
+    .map(file => {
+      const filePath = path.join(directory, file);
+      try {
+        const message = /\.eml$/i.test(file) ? fromEml(filePath) : fromJson(filePath);
+        return { ...message, folder };
+      } catch (error) {
+        console.warn(`[localGraph] ⚠️  Skipping fixture ${filePath}: ${error.message}`);
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * .eml file → Graph message (HTML body preferred, like Outlook)
+ */
+function fromEml(filePath) {
+  const email = emlParser.parseEml(fs.readFileSync(filePath));
+  const modified = fs.statSync(filePath).mtime.toISOString();
+  const body = email.html !== null
+    ? { contentType: 'html', content: email.html }
+    : { contentType: 'text', content: email.text || '' };
+
+  const attachments = email.attachments.map((attachment, index) => ({
+    id: attachmentId(index),
+    name: attachment.name,
+    contentType: attachment.contentType,
+    isInline: attachment.isInline,
+    content: attachment.content
+  }));
+
+  return {
+    resource: {
+      id: messageId(filePath),
+      conversationId: conversationId(email.references[0] || email.inReplyTo || email.messageId || messageId(filePath)),
+      internetMessageId: email.messageId ? `<${email.messageId}>` : null,
+      subject: email.subject,
+      from: email.from ? { emailAddress: email.from } : null,
+      toRecipients: email.to.map(address => ({ emailAddress: address })),
+      ccRecipients: email.cc.map(address => ({ emailAddress: address })),
+      receivedDateTime: email.date || modified,
+      sentDateTime: email.date || modified,
+      lastModifiedDateTime: modified,
+      bodyPreview: preview(body),
+      body,
+      hasAttachments: attachments.some(attachment => !attachment.isInline)
+    },
+    attachments
+  };
+}
+
+/**
+ * JSON file → Graph message (Graph fields as written, gaps filled in)
+ */
+function fromJson(filePath) {
+  const { attachments = [], ...fields } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const modified = fs.statSync(filePath).mtime.toISOString();
+  const body = fields.body || { contentType: 'text', content: fields.bodyPreview || '' };
+
+  const files = attachments.map((attachment, index) => ({
+    id: attachment.id || attachmentId(index),
+    name: attachment.name || `attachment-${index + 1}`,
+    contentType: attachment.contentType || 'application/octet-stream',
+    isInline: !!attachment.isInline,
+    content: attachmentContent(attachment, path.dirname(filePath))
+  }));
+
+  const id = messageId(filePath);
+  return {
+    resource: {
+      ...fields,
+      id,
+      conversationId: fields.conversationId || conversationId(fields.internetMessageId || id),
+      subject: fields.subject || '',
+      receivedDateTime: fields.receivedDateTime || modified,
+      lastModifiedDateTime: fields.lastModifiedDateTime || modified,
+      bodyPreview: fields.bodyPreview || preview(body),
+      body,
+      hasAttachments: fields.hasAttachments ?? files.some(file => !file.isInline)
+    },
+    attachments: files
+  };
+}
+
+function attachmentContent(attachment, directory) {
+  if (attachment.contentBytes) return Buffer.from(attachment.contentBytes, 'base64');
+  if (attachment.file) return fs.readFileSync(path.resolve(directory, attachment.file));
+  return Buffer.from(attachment.text || '', 'utf8');
+}
+
+function attachmentResource(attachment) {
+  return {
+    '@odata.type': '#microsoft.graph.fileAttachment',
+    id: attachment.id,
+    name: attachment.name,
+    contentType: attachment.contentType,
+    size: attachment.content.length,
+    isInline: attachment.isInline,
+    contentBytes: attachment.content.toString('base64')
+  };
+}
+
+/**
+ * Message list with $search or $filter, $orderby and paging by $top / $skip
+ */
+function listMessages(messages, query, pathname, pageSize) {
+  const search = query.get('$search');
+  const filter = query.get('$filter');
+  if (search && filter) {
+    throw graphError(400, 'BadRequest', 'Query options $search and $filter cannot be combined on messages.');
+  }
+
+  let matches = messages.map(message => message.resource);
+  if (search) matches = matches.filter(matchesSearch(search, messages));
+  if (filter) matches = matches.filter(matchesFilter(filter));
+  matches.sort(orderBy(query.get('$orderby')));
+
+  const top = Number(query.get('$top')) || pageSize || DEFAULT_PAGE_SIZE;
+  const skip = Number(query.get('$skip')) || 0;
+  const page = { value: matches.slice(skip, skip + top).map(message => selectFields(message, query.get('$select'))) };
+
+  if (skip + top < matches.length) {
+    const next = new URLSearchParams(query);
+    next.set('$skip', String(skip + top));
+    page['@odata.nextLink'] = `${GRAPH_HOST}${pathname}?${next.toString()}`;
+  }
+  return page;
+}
+
+/**
+ * One page of a delta round
+ *
+ * Tokens carry the round's state (base64url JSON): the $filter/$select of the first
+ * request and the lastModifiedDateTime of every message already delivered. A round
+ * reports what differs from that state: new and modified messages, and @removed for
+ * delivered ones that are gone - 'changed' if they now live in another folder, else 'deleted'.
+ */
+function deltaPage(mailbox, folder, query, pathname, pageSize) {
+  let state;
+  let offset = 0;
+
+  if (query.get('$deltatoken') || query.get('$skiptoken')) {
+    const token = decodeToken(query.get('$deltatoken') || query.get('$skiptoken'));
+    if (!token) throw graphError(410, 'syncStateNotFound', 'The sync state generation is not found. Please resync.');
+    state = token;
+    offset = token.offset || 0;
+  } else {
+    state = { filter: query.get('$filter'), select: query.get('$select'), seen: {} };
+  }
+
+  const current = mailbox.messages(folder)
+    .map(message => message.resource)
+    .filter(state.filter ? matchesFilter(state.filter) : () => true)
+    .sort(orderBy());
+
+  const currentIds = new Set(current.map(message => message.id));
+  const elsewhere = new Set(mailbox.messages().map(message => message.resource.id));
+
+  const changes = [
+    ...current
+      .filter(message => state.seen[message.id] !== message.lastModifiedDateTime)
+      .map(message => selectFields(message, state.select)),
+    ...Object.keys(state.seen)
+      .filter(id => !currentIds.has(id))
+      .map(id => ({
+        '@odata.type': '#microsoft.graph.message',
+        id,
+        '@removed': { reason: elsewhere.has(id) ? 'changed' : 'deleted' }
+      }))
+  ];
+
+  const size = pageSize || DEFAULT_PAGE_SIZE;
+  const page = { value: changes.slice(offset, offset + size) };
+  const link = `${GRAPH_HOST}${pathname}`;
+
+  if (offset + size < changes.length) {
+    page['@odata.nextLink'] = `${link}?$skiptoken=${encodeToken({ ...state, offset: offset + size })}`;
+  } else {
+    const seen = Object.fromEntries(current.map(message => [message.id, message.lastModifiedDateTime]));
+    page['@odata.deltaLink'] = `${link}?$deltatoken=${encodeToken({ filter: state.filter, select: state.select, seen })}`;
+  }
+  return page;
+}
+
+/**
+ * KQL subset → predicate on Graph messages
+ * Terms are ANDed (explicitly or by juxtaposition); OR separates alternatives; NOT negates the next term
+ */
+function matchesSearch(search, messages) {
+  const byId = new Map(messages.map(message => [message.resource.id, message]));
+  const alternatives = [[]];
+  let negate = false;
+
+  for (const match of search.matchAll(SEARCH_TOKEN)) {
+    const [, quotedProperty, quotedValue, property, value, phrase, word] = match;
+    if (word === 'AND') continue;
+    if (word === 'OR') {
+      alternatives.push([]);
+      continue;
+    }
+    if (word === 'NOT') {
+      negate = true;
+      continue;
+    }
+
+    alternatives[alternatives.length - 1].push({
+      property: (quotedProperty || property || '').toLowerCase() || null,
+      text: (quotedValue ?? value ?? phrase ?? word).toLowerCase(),
+      negate
+    });
+    negate = false;
+  }
+
+  return (resource) => alternatives.some(terms => terms.length > 0 && terms.every(term => {
+    const found = searchText(byId.get(resource.id), term.property).includes(term.text);
+    return term.negate ? !found : found;
+  }));
+}
+
+/**
+ * Lowercased text a KQL property searches (no property: everything)
+ */
+function searchText(message, property) {
+  const resource = message.resource;
+  const addresses = (recipients) => (recipients || [])
+    .map(r => `${r.emailAddress?.name || ''} ${r.emailAddress?.address || ''}`)
+    .join(' ');
+
+  const parts = {
+    subject: resource.subject || '',
+    from: addresses(resource.from ? [resource.from] : []),
+    to: addresses(resource.toRecipients),
+    body: `${resource.bodyPreview || ''} ${plainText(resource.body)}`,
+    attachment: message.attachments.map(attachment => attachment.name).join(' ')
+  };
+  parts.attachments = parts.attachment;
+
+  const text = property && property in parts ? parts[property] : Object.values(parts).join(' ');
+  return text.toLowerCase();
+}
+
+/**
+ * OData $filter subset → predicate: "field op value" clauses joined with "and"
+ * Fields may be paths (from/emailAddress/address); dates compare as instants, strings case-insensitively
+ */
+function matchesFilter(filter) {
+  const clauses = [];
+  let rest = filter.trim();
+
+  while (rest) {
+    const match = rest.match(FILTER_CLAUSE);
+    if (!match) throw graphError(400, 'BadRequest', `Invalid filter clause (local Graph supports "field op value [and ...]"): ${filter}`);
+    clauses.push({ field: match[1], operator: match[2].toLowerCase(), value: filterValue(match[3]) });
+    rest = rest.substring(match[0].length).trim();
+  }
+
+  return (resource) => clauses.every(({ field, operator, value }) => {
+    const actual = field.split('/').reduce((node, key) => node?.[key], resource);
+    const difference = compare(actual, value);
+    if (difference === null) return operator === 'ne';
+
+    switch (operator) {
+      case 'eq': return difference === 0;
+      case 'ne': return difference !== 0;
+      case 'gt': return difference > 0;
+      case 'ge': return difference >= 0;
+      case 'lt': return difference < 0;
+      default: return difference <= 0;
+    }
+  });
+}
+
+function filterValue(text) {
+  if (text.startsWith("'")) return text.slice(1, -1).replace(/''/g, "'");
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === 'null') return null;
+  if (!ISO_DATE.test(text) && Number.isFinite(Number(text))) return Number(text);
+  return text;
+}
+
+/**
+ * Compare a message value with a filter value (null if not comparable)
+ */
+function compare(actual, expected) {
+  if (actual === undefined || actual === null || expected === null) {
+    return (actual ?? null) === expected ? 0 : null;
+  }
+  if (typeof expected === 'string' && ISO_DATE.test(expected) && ISO_DATE.test(String(actual))) {
+    return Date.parse(actual) - Date.parse(expected);
+  }
+  if (typeof expected === 'number') return Number(actual) - expected;
+  if (typeof expected === 'boolean') return actual === expected ? 0 : 1;
+  return String(actual).toLowerCase().localeCompare(String(expected).toLowerCase());
+}
+
+/**
+ * $orderby "field [asc|desc]" (default: newest received first, like Outlook)
+ */
+function orderBy(orderby) {
+  const [field, direction] = (orderby || 'receivedDateTime desc').trim().split(/\s+/);
+  const factor = (direction || 'asc').toLowerCase() === 'desc' ? -1 : 1;
+  return (a, b) => factor * (compare(a[field], b[field]) || 0);
+}
+
+/**
+ * $select "a,b,c" → only those fields (and id, which Graph always returns)
+ */
+function selectFields(resource, select) {
+  if (!select) return resource;
+
+  const fields = select.split(',').map(field => field.trim()).filter(Boolean);
+  const selected = { id: resource.id };
+  for (const field of fields) {
+    if (field in resource) selected[field] = resource[field];
+  }
+  if (resource['@odata.type']) selected['@odata.type'] = resource['@odata.type'];
+  return selected;
+}
+
+/**
+ * Prefer: odata.maxpagesize=N
+ */
+function maxPageSize(headers = {}) {
+  const prefer = Object.entries(headers || {}).find(([name]) => name.toLowerCase() === 'prefer')?.[1] || '';
+  const match = String(prefer).match(/odata\.maxpagesize=(\d+)/i);
+  return match ? Number(match[1]) : null;
+}
+
+function preview(body) {
+  return plainText(body).replace(/\s+/g, ' ').trim().substring(0, PREVIEW_LENGTH);
+}
+
+function plainText(body) {
+  if (!body?.content) return '';
+  if (body.contentType !== 'html') return body.content;
+  return emailBodyNormalizer.htmlToText(body.content);
+}
+
+function messageId(filePath) {
+  return path.basename(filePath).replace(/\.(eml|json)$/i, '');
+}
+
+function attachmentId(index) {
+  return `att${index + 1}`;
+}
+
+/**
+ * Stable conversation ID from the thread's first Message-ID
+ */
+function conversationId(rootMessageId) {
+  return crypto.createHash('sha1').update(String(rootMessageId)).digest('base64url');
+}
+
+function encodeToken(state) {
+  return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+}
+
+function decodeToken(token) {
+  try {
+    const state = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    return state && typeof state.seen === 'object' ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Error shaped like an HTTP client error for a Graph error response
+ */
+function graphError(status, code, message) {
+  const error = new Error(`Local Graph ${status} ${code}: ${message}`);
+  error.response = { status, data: { error: { code, message } } };
+  return error;
+}
+
+module.exports = {
+  request
+};
@@ -0,0 +1,425 @@
+/**
+ * Local Matching Engine (SQLite / development profile)
+ *
+ * Pure-JavaScript replacement for the HANA-only SQL used by line-matcher.js
+ * (CONTAINS ... FUZZY, VECTOR_EMBEDDING, COSINE_SIMILARITY).
+ * LineMatcher switches to this engine automatically when the db kind is not HANA.
+ *
+ * 1. Fuzzy: token-level Levenshtein (like FUZZY(0.8)) weighted by IDF + trigram similarity
+ * 2. Vector: hashed TF-IDF embeddings (words + character trigrams) with cosine similarity
+ *
+ * Both return scores on the same 0-1 scale as HANA SCORE() / COSINE_SIMILARITY(),
+ * so the confidence mapping (60-95%) and MIN_CONFIDENCE threshold apply unchanged.
+ *
+ * Historical records are indexed in memory and re-indexed whenever the
+ * table changes (row count or last modifiedAt).
+ */
+
+const companyNormalizer = require('./company-normalizer');
+
+const FUZZY_THRESHOLD = 0.8;  // Same as FUZZY(0.8) in the HANA query
+const EMBEDDING_DIMENSIONS = 512;
+const RESULT_LIMIT = 10;
+
+const HISTORICAL_COLUMNS = [
+  'ID',
+  'wireText',
+  'postingKey',
+  'glAccount',
+  'customerNo',
+  'companyCode',
+  'costCentre',
+  'profitCentre',
+  'febanDescription',
+  'usageCount',
+  'successCount',
+  'lastUsedDate',
+  'typicalAmountMin',
+  'typicalAmountMax',
+  'typicalCurrency',
+  'amountSampleCount'
+];
+
+// Cached index build of Historical records { version, ready } (rebuilt when the table changes)
+let indexCache = null;
+
+/**
+ * Fuzzy Text Search (local replacement for CONTAINS ... FUZZY(0.8))
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} lineText - Search text
+ * @param {Number} [fuzzyLevel] - Token similarity threshold 0-1 (default FUZZY_THRESHOLD)
+ * @returns {Promise<Array>} Matches in the same shape as LineMatcher.fuzzySearch
+ */
+async function fuzzySearch(db, lineText, fuzzyLevel = FUZZY_THRESHOLD) {
+  const startTime = Date.now();
+  const index = await getIndex(db);
+  const queryTokens = [...new Set(tokenize(lineText))];
+
+  console.log(`         📝 Local fuzzy: ${queryTokens.length} tokens vs ${index.records.length} records (threshold ${fuzzyLevel})`);
+
+  if (queryTokens.length === 0) return [];
+
+  const queryTrigrams = trigrams(queryTokens.join(' '));
+
+  const scored = [];
+  for (const record of index.records) {
+    const queryCoverage = weightedCoverage(queryTokens, record.tokens, index.idf, fuzzyLevel);
+    if (queryCoverage === 0) continue;  // No token matched - CONTAINS would not return it
+
+    const recordCoverage = weightedCoverage(record.tokens, queryTokens, index.idf, fuzzyLevel);
+    const dice = diceCoefficient(queryTrigrams, record.trigrams);
+    const score = 0.6 * queryCoverage + 0.2 * recordCoverage + 0.2 * dice;
+
+    scored.push({ record, score });
+  }
+
+  scored.sort((a, b) => b.score - a.score);
+  const results = scored.slice(0, RESULT_LIMIT);
+
+  console.log(`         ⏱️  Local fuzzy search took ${Date.now() - startTime}ms`);
+  console.log(`         📊 Found ${results.length} fuzzy matches`);
+
+  return results.map(({ record, score }, idx) => {
+    const confidence = toConfidence(score);
+
+    if (idx < 3) {
+      console.log(`         ${idx + 1}. ${record.wireText?.substring(0, 50)}... (score: ${score.toFixed(3)}, conf: ${confidence}%)`);
+    }
+
+    return {
+      ...toMatch(record),
+      confidence,
+      matchStrategy: 'FUZZY_TEXT',
+      score
+    };
+  });
+}
+
+/**
+ * Vector Similarity Search (local replacement for VECTOR_EMBEDDING + COSINE_SIMILARITY)
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} lineText - Search text
+ * @returns {Promise<Array>} Matches in the same shape as LineMatcher.vectorSearch
+ */
+async function vectorSearch(db, lineText) {
+  const startTime = Date.now();
+  const index = await getIndex(db);
+  const queryEmbedding = embed(lineText, index.idf);
+
+  console.log(`         📝 Local vector: ${EMBEDDING_DIMENSIONS}-dim hashed TF-IDF vs ${index.records.length} records`);
+
+  if (!queryEmbedding) return [];
+
+  const scored = index.records
+    .filter(record => record.embedding)
+    .map(record => ({ record, similarity: cosineSimilarity(queryEmbedding, record.embedding) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, RESULT_LIMIT);
+
+  console.log(`         ⏱️  Local vector search took ${Date.now() - startTime}ms`);
+  console.log(`         📊 Found ${scored.length} vector matches`);
+
+  return scored.map(({ record, similarity }, idx) => {
+    const confidence = toConfidence(similarity);
+
+    if (idx < 3) {
+      console.log(`         ${idx + 1}. ${record.wireText?.substring(0, 50)}... (sim: ${similarity.toFixed(3)}, conf: ${confidence}%)`);
+    }
+
+    return {
+      ...toMatch(record),
+      confidence,
+      matchStrategy: 'VECTOR_SEMANTIC',
+      similarity
+    };
+  });
+}
+
+/**
+ * Load (or reuse) the in-memory index of Historical records
+ *
+ * @param {Object} db - CDS database service
+ * @returns {Promise<Object>} { version, records, idf }
+ */
+async function getIndex(db) {
+  const stats = await db.run(
+    SELECT.one.from('reconciliation.Historical').columns('count(1) as total', 'max(modifiedAt) as lastModified')
+  );
+  const version = `${stats?.total || 0}|${stats?.lastModified || ''}`;
+
+  // Cache the pending build so parallel fuzzy + vector searches share one index
+  if (!indexCache || indexCache.version !== version) {
+    indexCache = { version, ready: buildIndex(db, version) };
+    indexCache.ready.catch(() => { indexCache = null; });
+  }
+
+  return indexCache.ready;
+}
+
+/**
+ * Build the in-memory index: tokens, trigrams, IDF weights and embeddings
+ */
+async function buildIndex(db, version) {
+  const startTime = Date.now();
+  const rows = await db.run(
+    SELECT.from('reconciliation.Historical').columns(...HISTORICAL_COLUMNS).where('wireText is not null')
+  );
+
+  const records = rows.map(row => {
+    const tokens = [...new Set(tokenize(row.wireText))];
+    return { ...row, tokens, trigrams: trigrams(tokens.join(' ')) };
+  });
+
+  const idf = buildIdf(records);
+  for (const record of records) {
+    record.embedding = embed(record.wireText, idf);
+  }
+
+  console.log(`         🗂️  Local index built: ${records.length} Historical records in ${Date.now() - startTime}ms`);
+
+  return { version, records, idf };
+}
+
+/**
+ * Clear the cached index (e.g. after bulk-loading Historical data)
+ */
+function resetIndex() {
+  indexCache = null;
+}
+
+/**
+ * Normalize and split text into search tokens
+ * Strips field labels (BO:, BO1:, ORDER:, ...), folds accents and punctuation,
+ * expands abbreviations (company-normalizer.js)
+ *
+ * @param {String} text - Raw line or wire text
+ * @returns {Array<String>} Uppercase tokens (2+ chars)
+ */
+function tokenize(text) {
+  if (!text) return [];
+
+  // Accents, punctuation and abbreviations (CORP = CORPORATION) as in company-normalizer.js
+  return companyNormalizer.normalizeTokens(
+    text.toUpperCase().replace(/\b[A-Z]{1,5}\d?\s*:/g, ' ')  // Field labels like BO1: or ORDER:
+  ).filter(token => token.length >= 2);
+}
+
+/**
+ * Character trigrams of a string (padded with spaces)
+ */
+function trigrams(text) {
+  const grams = new Set();
+  const padded = `  ${text} `;
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.add(padded.substring(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Dice coefficient of two trigram sets (0-1)
+ */
+function diceCoefficient(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+/**
+ * Levenshtein edit distance (two-row dynamic programming)
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  let current = new Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    current[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Levenshtein similarity normalized to 0-1
+ * Returns 0 early when the lengths alone rule out reaching threshold
+ */
+function levenshteinSimilarity(a, b, threshold = FUZZY_THRESHOLD) {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+
+  // Cheap length check first: too different to ever reach the threshold
+  if (Math.abs(a.length - b.length) / maxLength > 1 - threshold) return 0;
+
+  return 1 - levenshtein(a, b) / maxLength;
+}
+
+/**
+ * IDF-weighted share of source tokens that fuzzy-match a token in target
+ * Tokens below the fuzzy level count as not found (same as HANA FUZZY)
+ */
+function weightedCoverage(sourceTokens, targetTokens, idf, fuzzyLevel) {
+  let matchedWeight = 0;
+  let totalWeight = 0;
+
+  for (const token of sourceTokens) {
+    const weight = idf.get(token) || idf.maxIdf;
+    totalWeight += weight;
+
+    let best = 0;
+    for (const candidate of targetTokens) {
+      const similarity = token === candidate ? 1 : levenshteinSimilarity(token, candidate, fuzzyLevel);
+      if (similarity > best) best = similarity;
+      if (best === 1) break;
+    }
+
+    if (best >= fuzzyLevel) {
+      matchedWeight += weight * best;
+    }
+  }
+
+  return totalWeight > 0 ? matchedWeight / totalWeight : 0;
+}
+
+/**
+ * Inverse document frequency of every token in the Historical corpus
+ * Boilerplate like SENDING / PERSON / CO gets a low weight
+ */
+function buildIdf(records) {
+  const documentFrequency = new Map();
+  for (const record of records) {
+    for (const token of record.tokens) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  const total = records.length;
+  for (const [token, count] of documentFrequency) {
+    idf.set(token, Math.log((total + 1) / (count + 1)) + 1);
+  }
+  idf.maxIdf = Math.log(total + 1) + 1;  // Weight for tokens never seen in Historical
+
+  return idf;
+}
+
+/**
+ * Compute a hashed TF-IDF embedding (words + in-word character trigrams)
+ *
+ * @param {String} text - Text to embed
+ * @param {Map} idf - Token IDF weights from buildIdf
+ * @returns {Float32Array|null} L2-normalized vector, or null for empty text
+ */
+function embed(text, idf) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return null;
+
+  const vector = new Float32Array(EMBEDDING_DIMENSIONS);
+
+  for (const token of tokens) {
+    const weight = idf.get(token) || idf.maxIdf;
+    addFeature(vector, `W:${token}`, weight);
+
+    // Trigrams make the vector tolerant to typos and truncated words ("CNIMLLNGTN")
+    for (const gram of trigrams(token)) {
+      addFeature(vector, `G:${gram}`, weight * 0.5);
+    }
+  }
+
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return null;
+
+  for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  return vector;
+}
+
+/**
+ * Add a feature to a vector using the hashing trick (signed to reduce collisions)
+ */
+function addFeature(vector, feature, weight) {
+  const hash = fnv1a(feature);
+  const sign = (hash & 0x80000000) ? -1 : 1;
+  vector[hash % EMBEDDING_DIMENSIONS] += sign * weight;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Cosine similarity of two L2-normalized vectors (clamped to 0-1 like HANA results)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return Math.max(0, Math.min(1, dot));
+}
+
+/**
+ * Convert a 0-1 score to confidence (60-95%), same mapping as LineMatcher
+ */
+function toConfidence(score) {
+  return Math.round((60 + (score * 35)) * 10) / 10;
+}
+
+/**
+ * Strip index-only fields from a record
+ */
+function toMatch(record) {
+  return {
+    ID: record.ID,
+    wireText: record.wireText,
+    postingKey: record.postingKey,
+    glAccount: record.glAccount,
+    customerNo: record.customerNo,
+    companyCode: record.companyCode,
+    costCentre: record.costCentre,
+    profitCentre: record.profitCentre,
+    febanDescription: record.febanDescription,
+    usageCount: record.usageCount || 0,
+    successCount: record.successCount || 0,
+    lastUsedDate: record.lastUsedDate,
+    typicalAmountMin: record.typicalAmountMin,
+    typicalAmountMax: record.typicalAmountMax,
+    typicalCurrency: record.typicalCurrency,
+    amountSampleCount: record.amountSampleCount || 0
+  };
+}
+
+module.exports = {
+  FUZZY_THRESHOLD,
+  HISTORICAL_COLUMNS,
+  fuzzySearch,
+  vectorSearch,
+  resetIndex,
+  tokenize,
+  levenshtein,
+  levenshteinSimilarity,
+  embed,
+  cosineSimilarity,
+  toMatch
+};
@@ -0,0 +1,83 @@
+/**
+ * Mail Transport - Where Graph Requests Go
+ *
+ * email-search and email-sync talk Graph; this module decides who answers,
+ * based on the kind of the MicrosoftGraphAPI service in the CDS profile:
+ * - rest (default): Microsoft Graph via the MicrosoftGraphAPI destination (SAP Cloud SDK)
+ * - local-graph: the local Graph stand-in (local-graph.js) serving .eml/JSON
+ *   messages from a fixture directory - sync and inbox search work offline
+ *
+ * package.json:
+ *   "[development]": { "requires": { "MicrosoftGraphAPI": { "kind": "local-graph", "fixtures": "fixtures/mail" } } }
+ *
+ * USAGE:
+ * const mailTransport = require('./lib/mail-transport');
+ * const data = await mailTransport.get('/v1.0/users/ar%40example.com/messages?$top=10', { headers });
+ */
+
+const path = require('path');
+const cds = require('@sap/cds');
+const { executeHttpRequest } = require('@sap-cloud-sdk/http-client');
+
+const DESTINATION = 'MicrosoftGraphAPI';
+
+// Request timeout of the Graph destination
+const REQUEST_TIMEOUT = 30000;
+
+/**
+ * GET a Graph path
+ *
+ * @param {String} url - Path relative to the Graph host ('/v1.0/users/{mailbox}/...')
+ * @param {Object} [options] - { headers } request headers (e.g. Prefer: odata.maxpagesize=100)
+ * @returns {Promise<Object>} Response data
+ */
+async function get(url, options = {}) {
+  const config = getConfig();
+
+  if (config.kind === 'local-graph') {
+    // Required lazily - production never loads the fixture reader
+    const localGraph = require('./local-graph');
+    return localGraph.request(url, { headers: options.headers, fixtures: fixturesDirectory(config) });
+  }
+
+  const response = await executeHttpRequest(
+    {
+      destinationName: DESTINATION,
+      timeout: REQUEST_TIMEOUT
+    },
+    {
+      method: 'GET',
+      url,
+      headers: options.headers,
+      timeout: REQUEST_TIMEOUT
+    }
+  );
+
+  return response.data;
+}
+
+/**
+ * Transport kind of the active profile ('rest' or 'local-graph')
+ *
+ * @returns {String}
+ */
+function getKind() {
+  return getConfig().kind;
+}
+
+function getConfig() {
+  const config = cds.env.requires?.[DESTINATION] || {};
+  return { ...config, kind: config.kind || 'rest' };
+}
+
+/**
+ * Fixture directory of the local stand-in, relative to the project root
+ */
+function fixturesDirectory(config) {
+  return path.resolve(cds.root, config.fixtures || 'fixtures/mail');
+}
+
+module.exports = {
+  get,
+  getKind
+};
@@ -0,0 +1,172 @@
+/**
+ * Mailbox Config - Shared Inboxes as Data
+ *
+ * Loads the admin-maintained Mailbox entity for email sync and inbox search,
+ * so a new AR team's shared inbox needs a record, not a redeploy.
+ *
+ * - Active mailboxes are cached; the cache is rebuilt when the table changes
+ *   (row count or last modifiedAt), like the line type rules
+ * - Without mailboxes in the table, GRAPH_MAILBOX_EMAIL (if set) is used
+ * - Each mailbox lists its folders, optional subject/sender filters, the
+ *   company codes it serves (empty = all) and whether stored bodies are redacted
+ *
+ * USAGE:
+ * const mailboxConfig = require('./lib/mailbox-config');
+ * const mailboxes = await mailboxConfig.getMailboxes(db, { companyCode: '1000' });
+ * if (mailboxConfig.matchesFilters(mailbox, message)) { ... }
+ */
+
+const MAILBOX = 'reconciliation.Mailbox';
+
+// Folder synced when a mailbox lists none
+const DEFAULT_FOLDER = 'inbox';
+
+const ADDRESS_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Cached active mailboxes { version, ready } (rebuilt when the table changes)
+let mailboxCache = null;
+
+/**
+ * Active mailboxes, optionally scoped
+ *
+ * @param {Object} db - CDS database service
+ * @param {Object} [scope] - { address } one mailbox, { companyCode } mailboxes serving the company code
+ * @returns {Promise<Array>} [{ ID, address, description, folders, subjectFilter, senderFilters, companyCodes, redactBodies }]
+ */
+async function getMailboxes(db, scope = {}) {
+  let stats;
+  try {
+    stats = await db.run(SELECT.one.from(MAILBOX).columns('count(1) as total', 'max(modifiedAt) as lastModified'));
+  } catch (error) {
+    console.warn(`[mailboxConfig] ⚠️  Mailboxes not readable, using GRAPH_MAILBOX_EMAIL: ${error.message}`);
+    return applyScope(environmentMailboxes(), scope);
+  }
+  const version = `${stats?.total || 0}|${stats?.lastModified || ''}`;
+
+  if (!mailboxCache || mailboxCache.version !== version) {
+    mailboxCache = { version, ready: loadMailboxes(db) };
+    mailboxCache.ready.catch(() => { mailboxCache = null; });
+  }
+
+  return applyScope(await mailboxCache.ready, scope);
+}
+
+/**
+ * Load the active mailboxes (environment fallback if there are none)
+ */
+async function loadMailboxes(db) {
+  const records = await db.run(SELECT.from(MAILBOX).where({ isActive: true }).orderBy('address'));
+
+  if (records.length === 0) {
+    console.log('[mailboxConfig] No active mailboxes in Mailbox - using GRAPH_MAILBOX_EMAIL');
+    return environmentMailboxes();
+  }
+
+  console.log(`[mailboxConfig] Loaded ${records.length} mailbox(es)`);
+  return records.map(toMailbox);
+}
+
+/**
+ * Mailbox from the GRAPH_MAILBOX_EMAIL environment variable (none if unset)
+ */
+function environmentMailboxes() {
+  const address = process.env.GRAPH_MAILBOX_EMAIL;
+  return address ? [toMailbox({ address, description: 'GRAPH_MAILBOX_EMAIL' })] : [];
+}
+
+/**
+ * Mailbox record → normalized config (lists split, filters lowercased)
+ */
+function toMailbox(record) {
+  const folders = splitList(record.folders);
+
+  return {
+    ID: record.ID || null,
+    address: record.address.trim().toLowerCase(),
+    description: record.description || null,
+    folders: folders.length > 0 ? folders : [DEFAULT_FOLDER],
+    subjectFilter: record.subjectFilter?.trim() || null,
+    senderFilters: splitList(record.senderFilter).map(sender => sender.toLowerCase()),
+    companyCodes: splitList(record.companyCodes).map(code => code.toUpperCase()),
+    redactBodies: !!record.redactBodies
+  };
+}
+
+function applyScope(mailboxes, scope) {
+  return mailboxes.filter(mailbox =>
+    (!scope.address || mailbox.address === scope.address.trim().toLowerCase()) &&
+    (!scope.companyCode || servesCompanyCode(mailbox, scope.companyCode))
+  );
+}
+
+/**
+ * Does the mailbox serve the company code? (no company codes = all)
+ *
+ * @param {Object} mailbox - Result of getMailboxes
+ * @param {String} companyCode - Bukrs
+ * @returns {Boolean}
+ */
+function servesCompanyCode(mailbox, companyCode) {
+  return mailbox.companyCodes.length === 0 || mailbox.companyCodes.includes(String(companyCode).toUpperCase());
+}
+
+/**
+ * Does a Graph message pass the mailbox's subject and sender filters?
+ * Subject: contains the filter text (case-insensitive); sender: address equal to an
+ * entry, or in an "@domain" entry's domain
+ *
+ * @param {Object} mailbox - Result of getMailboxes
+ * @param {Object} message - Graph message (subject, from)
+ * @returns {Boolean}
+ */
+function matchesFilters(mailbox, message) {
+  if (mailbox.subjectFilter && !(message.subject || '').toLowerCase().includes(mailbox.subjectFilter.toLowerCase())) {
+    return false;
+  }
+
+  if (mailbox.senderFilters.length > 0) {
+    const sender = (message.from?.emailAddress?.address || '').toLowerCase();
+    return mailbox.senderFilters.some(filter =>
+      filter.startsWith('@') ? sender.endsWith(filter) : sender === filter
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Clear the cached mailboxes (e.g. after bulk-loading)
+ */
+function resetMailboxes() {
+  mailboxCache = null;
+}
+
+/**
+ * Validate a mailbox before it is saved
+ * Throws with the reason if the mailbox is not usable
+ *
+ * @param {Object} mailbox - Mailbox data
+ */
+function validateMailbox(mailbox) {
+  if (!mailbox.address || !ADDRESS_PATTERN.test(mailbox.address.trim())) {
+    throw new Error(`"${mailbox.address || ''}" is not an email address`);
+  }
+
+  const invalidSender = splitList(mailbox.senderFilter)
+    .find(sender => !(sender.startsWith('@') ? sender.length > 1 && !sender.includes(' ') : ADDRESS_PATTERN.test(sender)));
+  if (invalidSender) {
+    throw new Error(`Sender filter "${invalidSender}" is neither an email address nor an @domain`);
+  }
+}
+
+function splitList(value) {
+  return value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+module.exports = {
+  getMailboxes,
+  servesCompanyCode,
+  matchesFilters,
+  resetMailboxes,
+  validateMailbox
+};
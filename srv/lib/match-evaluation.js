@@ -0,0 +1,387 @@
+/**
+ * Match Evaluation - Offline Harness for Matching Strategies
+ *
+ * Replays a labelled set of payment-note lines through every search strategy
+ * (exact reference lookup, LineMatcher.searchLineComparison) and through the
+ * merged pipeline (exact references + fusion + amount proximity, as in
+ * searchLine) and reports per strategy,
+ * FUZZY level and confidence threshold:
+ * - precisionAt1: answered lines whose top candidate is correct
+ * - precisionAt3: answered lines with a correct candidate in the top 3
+ * - recall:       all lines with a correct candidate in the top 3 (what addStatement stores)
+ * - coverage:     lines with at least one candidate at or above the threshold
+ * - latency:      average / p95 search time per line (ms)
+ *
+ * A candidate is correct when it is the expected Historical record, or when it
+ * posts to the expected GL account / customer (different Historical records
+ * often share one posting).
+ *
+ * Labelled case: { lineText, expectedHistoricalID?, expectedGlAccount?, expectedCustomerNo?, amount?, currency? }
+ * With searchFields (e.g. ['BO1']), lines are searched on those tag values only
+ * (line-parser.js composeSearchText) - compare field choices like thresholds.
+ * Without explicit cases, clerk-confirmed statement lines are replayed
+ * (selected LineMatch = expected answer). Their own statement's confirmation
+ * is left out of everything it fed: the reference lookup, the clerk feedback
+ * (usageCount / successCount of its reviewed LineMatch rows) and the typical
+ * amount profile (its HistoricalAmountSample) - otherwise the report would
+ * grade the pipeline on answers it has already been told.
+ *
+ * The reference index and the search caches are built before the first case,
+ * so one-off loading time does not show up in the latency figures.
+ *
+ * USAGE:
+ * const matchEvaluation = require('./lib/match-evaluation');
+ * const report = await matchEvaluation.evaluateMatching(db, { cases, thresholds: [80, 85, 90] });
+ */
+
+const lineMatcher = require('./line-matcher');
+const lineParser = require('./line-parser');
+const referenceExtractor = require('./reference-extractor');
+const referenceIndex = require('./reference-index');
+const matchReview = require('./match-review');
+
+const DEFAULT_THRESHOLDS = [60, 70, 75, 80, 85, 90, 95];
+const TOP_K = 3;
+
+// Strategy name → key in searchLineComparison results
+const STRATEGIES = {
+  FUZZY_TEXT: 'fuzzy',
+  VECTOR_SEMANTIC: 'vector',
+  OPENAI_EMBEDDING: 'openaiEmbedding'
+};
+const EXACT = 'EXACT_REFERENCE';
+const MERGED = 'MERGED';
+
+/**
+ * Evaluate all strategies against a labelled set of lines
+ *
+ * @param {Object} db - CDS database service
+ * @param {Object} [options]
+ * @param {Array} [options.cases] - Labelled cases (default: clerk-confirmed lines from the db)
+ * @param {Array<Number>} [options.thresholds] - Confidence thresholds to report
+ * @param {Array<Number>} [options.fuzzyLevels] - FUZZY levels to compare (default: current level)
+ * @param {Array<String>} [options.searchFields] - Search on these tags only (default: whole line)
+ * @param {Number} [options.limit] - Max. cases to replay
+ * @returns {Promise<Object>} Report { source, casesEvaluated, minConfidence, results: [...] }
+ */
+async function evaluateMatching(db, options = {}) {
+  const thresholds = normalizeNumbers(options.thresholds, DEFAULT_THRESHOLDS, 'threshold', 0, 100);
+  const fuzzyLevels = normalizeNumbers(options.fuzzyLevels, [lineMatcher.fuzzyLevel], 'fuzzy level', 0.01, 1);
+
+  const source = options.cases ? 'INPUT' : 'CONFIRMED_LINES';
+  let cases = options.cases
+    ? normalizeCases(options.cases)
+    : await loadConfirmedCases(db);
+  if (options.limit > 0) cases = cases.slice(0, options.limit);
+
+  if (cases.length === 0) {
+    throw new Error('No labelled cases to evaluate (provide cases or confirm some statement lines first)');
+  }
+
+  const searchFields = options.searchFields?.length > 0 ? options.searchFields : null;
+
+  console.log(`📏 Evaluating ${cases.length} labelled line(s) from ${source} - thresholds ${thresholds.join(', ')}, fuzzy levels ${fuzzyLevels.join(', ')}${searchFields ? `, fields ${searchFields.join(', ')}` : ''}`);
+
+  // Untimed warm-up: reference index, fuzzy and vector caches
+  await referenceIndex.getIndex(db);
+  await lineMatcher.searchLineComparison(searchTextOf(cases[0], searchFields), { fuzzyLevel: fuzzyLevels[0] });
+
+  // Statement ID → Historical ID → usage/success/amount profile without that statement
+  const holdOuts = new Map();
+
+  const results = [];
+  for (const fuzzyLevel of fuzzyLevels) {
+    // Outcomes per strategy: one { candidates: [{ confidence, correct }], elapsed } per case
+    const outcomes = Object.fromEntries([EXACT, ...Object.keys(STRATEGIES), MERGED].map(s => [s, []]));
+
+    for (const testCase of cases) {
+      const exact = await findExactMatches(db, testCase);
+      outcomes[EXACT].push(scoreCandidates(exact.results, testCase, exact.elapsed));
+
+      const comparison = await lineMatcher.searchLineComparison(searchTextOf(testCase, searchFields), { fuzzyLevel });
+
+      for (const [strategy, key] of Object.entries(STRATEGIES)) {
+        outcomes[strategy].push(scoreCandidates(comparison[key], testCase, comparison.timings[key]));
+      }
+
+      if (testCase.headerID && !holdOuts.has(testCase.headerID)) {
+        holdOuts.set(testCase.headerID, await loadHoldOut(db, testCase.headerID));
+      }
+      const holdOut = holdOuts.get(testCase.headerID);
+
+      // Merged pipeline as in searchLine (reference lookup first, then the text
+      // searches in parallel, so the slowest one counts)
+      const startTime = Date.now();
+      const merged = lineMatcher.applyAmountProximity(lineMatcher.fuseMatches({
+        EXACT_REFERENCE: withoutStatement(exact.results, holdOut),
+        FUZZY_TEXT: withoutStatement(comparison.fuzzy, holdOut),
+        VECTOR_SEMANTIC: withoutStatement(comparison.vector, holdOut),
+        OPENAI_EMBEDDING: withoutStatement(comparison.openaiEmbedding, holdOut)
+      }), { amount: testCase.amount, currency: testCase.currency });
+      const searchTime = exact.elapsed + Math.max(comparison.timings.fuzzy, comparison.timings.vector, comparison.timings.openaiEmbedding);
+      outcomes[MERGED].push(scoreCandidates(merged, testCase, searchTime + Date.now() - startTime));
+    }
+
+    for (const [strategy, strategyOutcomes] of Object.entries(outcomes)) {
+      // Only fuzzy and merged results depend on the FUZZY level
+      const dependsOnFuzzy = strategy === 'FUZZY_TEXT' || strategy === MERGED;
+      if (!dependsOnFuzzy && fuzzyLevel !== fuzzyLevels[0]) continue;
+
+      results.push(...summarize(strategy, dependsOnFuzzy ? fuzzyLevel : null, strategyOutcomes, thresholds));
+    }
+  }
+
+  const current = results.find(r => r.strategy === MERGED && r.fuzzyLevel === lineMatcher.fuzzyLevel && r.threshold === lineMatcher.minConfidence);
+  if (current) {
+    console.log(`📏 Merged @ ${current.threshold}% (FUZZY ${current.fuzzyLevel}): P@1 ${current.precisionAt1}, P@3 ${current.precisionAt3}, recall ${current.recall}, coverage ${current.coverage}`);
+  }
+
+  return {
+    source,
+    casesEvaluated: cases.length,
+    minConfidence: lineMatcher.minConfidence,
+    fuzzyLevel: lineMatcher.fuzzyLevel,
+    searchFields,
+    results
+  };
+}
+
+/**
+ * Labelled cases from clerk-confirmed statement lines
+ * Lines resolved by promotion (CLERK_PROMOTED) are skipped - their Historical
+ * record is a copy of the line and would always match
+ *
+ * @param {Object} db - CDS database service
+ * @returns {Promise<Array>} Labelled cases
+ */
+async function loadConfirmedCases(db) {
+  const lines = await db.run(
+    SELECT.from('reconciliation.BankStatementLine')
+      .columns('ID', 'header_ID', 'lineText', 'searchText', 'selectedMatch_ID')
+      .where('selectedMatch_ID is not null')
+  );
+  if (lines.length === 0) return [];
+
+  const matches = await db.run(
+    SELECT.from('reconciliation.LineMatch')
+      .columns('ID', 'historical_ID', 'glAccount', 'customerNo', 'strategy')
+      .where({ ID: { in: lines.map(l => l.selectedMatch_ID) } })
+  );
+  const headers = await db.run(
+    SELECT.from('reconciliation.BankStatementHeader')
+      .columns('ID', 'Kwbtr', 'Waers')
+      .where({ ID: { in: [...new Set(lines.map(l => l.header_ID))] } })
+  );
+
+  const cases = [];
+  for (const line of lines) {
+    const match = matches.find(m => m.ID === line.selectedMatch_ID);
+    if (!match || match.strategy === 'CLERK_PROMOTED') continue;
+
+    const header = headers.find(h => h.ID === line.header_ID);
+    cases.push({
+      headerID: line.header_ID,
+      lineText: line.lineText,
+      searchText: line.searchText,
+      expectedHistoricalID: match.historical_ID,
+      expectedGlAccount: match.glAccount,
+      expectedCustomerNo: match.customerNo,
+      amount: header?.Kwbtr,
+      currency: header?.Waers
+    });
+  }
+
+  return cases;
+}
+
+/**
+ * Clerk feedback and amount profile of the Historical records a statement's review
+ * touched, as they were without that statement
+ * Every reviewed LineMatch counted one usage (and one success if selected);
+ * the statement's amount sample is dropped and the profile recomputed
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} headerID - BankStatementHeader ID of the replayed statement
+ * @returns {Promise<Map>} Historical ID → { usageCount, successCount, typicalAmount*, amountSampleCount }
+ */
+async function loadHoldOut(db, headerID) {
+  const reviewed = await db.run(
+    SELECT.from('reconciliation.LineMatch')
+      .columns('historical_ID', 'isSelected')
+      .where({ 'line.header_ID': headerID, isReviewed: true, historical_ID: { '!=': null } })
+  );
+  const sampled = await db.run(
+    SELECT.from('reconciliation.HistoricalAmountSample').columns('historical_ID').where({ statement_ID: headerID })
+  );
+
+  const historicalIDs = [...new Set([...reviewed, ...sampled].map(row => row.historical_ID))];
+  if (historicalIDs.length === 0) return new Map();
+
+  const records = await db.run(
+    SELECT.from('reconciliation.Historical').columns('ID', 'usageCount', 'successCount').where({ ID: { in: historicalIDs } })
+  );
+  const samples = await db.run(
+    SELECT.from('reconciliation.HistoricalAmountSample')
+      .columns('historical_ID', 'amount', 'currency')
+      .where({ historical_ID: { in: sampled.map(row => row.historical_ID) }, statement_ID: { '!=': headerID } })
+      .orderBy('createdAt')
+  );
+
+  const holdOut = new Map();
+  for (const record of records) {
+    const ownReviews = reviewed.filter(row => row.historical_ID === record.ID);
+    const stats = {
+      usageCount: Math.max(0, (Number(record.usageCount) || 0) - ownReviews.length),
+      successCount: Math.max(0, (Number(record.successCount) || 0) - ownReviews.filter(row => row.isSelected).length)
+    };
+    if (sampled.some(row => row.historical_ID === record.ID)) {
+      Object.assign(stats, matchReview.amountProfile(samples.filter(sample => sample.historical_ID === record.ID)));
+    }
+    holdOut.set(record.ID, stats);
+  }
+
+  return holdOut;
+}
+
+/**
+ * Candidates with the replayed statement's feedback and amount taken out
+ */
+function withoutStatement(matches, holdOut) {
+  if (!holdOut || holdOut.size === 0) return matches || [];
+  return (matches || []).map(match => holdOut.has(match.ID) ? { ...match, ...holdOut.get(match.ID) } : match);
+}
+
+/**
+ * Exact reference lookup for a case, as searchLine runs it before the text searches
+ * References come from the whole line (like line-parser.js), whatever searchFields say
+ */
+async function findExactMatches(db, testCase) {
+  const startTime = Date.now();
+  const references = referenceExtractor.extractReferences(testCase.lineText, lineParser.tokenizeTags(testCase.lineText));
+  const results = await referenceIndex.findExactMatches(db, references, { excludeHeaderID: testCase.headerID }).catch(err => {
+    console.log(`         ⚠️  Reference lookup error: ${err.message}`);
+    return [];
+  });
+  return { results, elapsed: Date.now() - startTime };
+}
+
+/**
+ * Text to search for a case: chosen tag values, else the stored search text, else the whole line
+ */
+function searchTextOf(testCase, searchFields) {
+  if (searchFields) {
+    const fieldText = lineParser.composeSearchText(lineParser.tokenizeTags(testCase.lineText), searchFields);
+    if (fieldText) return fieldText;
+  }
+  return testCase.searchText || testCase.lineText;
+}
+
+/**
+ * Validate input cases
+ */
+function normalizeCases(cases) {
+  if (!Array.isArray(cases)) throw new Error('cases must be an array of labelled lines');
+
+  return cases.map((testCase, index) => {
+    if (!testCase?.lineText) throw new Error(`Case ${index + 1}: lineText is required`);
+    if (!testCase.expectedHistoricalID && !testCase.expectedGlAccount && !testCase.expectedCustomerNo) {
+      throw new Error(`Case ${index + 1}: expectedHistoricalID, expectedGlAccount or expectedCustomerNo is required`);
+    }
+    return testCase;
+  });
+}
+
+/**
+ * Validate a list of numbers (thresholds, fuzzy levels), sorted ascending
+ */
+function normalizeNumbers(values, defaults, label, min, max) {
+  if (!values || values.length === 0) return defaults;
+
+  return [...new Set(values.map(value => {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+      throw new Error(`Invalid ${label}: ${value} (expected ${min}-${max})`);
+    }
+    return number;
+  }))].sort((a, b) => a - b);
+}
+
+/**
+ * Reduce one search result list to what the metrics need
+ */
+function scoreCandidates(matches, testCase, elapsed) {
+  return {
+    candidates: [...(matches || [])]
+      .sort((a, b) => b.confidence - a.confidence)
+      .map(match => ({ confidence: match.confidence, correct: isCorrect(match, testCase) })),
+    elapsed
+  };
+}
+
+/**
+ * Is the candidate the expected Historical record or the expected posting?
+ */
+function isCorrect(match, testCase) {
+  if (testCase.expectedHistoricalID && match.ID === testCase.expectedHistoricalID) return true;
+  if (testCase.expectedGlAccount && sameAccount(match.glAccount, testCase.expectedGlAccount)) return true;
+  if (testCase.expectedCustomerNo && sameAccount(match.customerNo, testCase.expectedCustomerNo)) return true;
+  return false;
+}
+
+/**
+ * Compare account numbers ignoring Excel artefacts ("1230055.0" = "1230055")
+ */
+function sameAccount(actual, expected) {
+  if (actual == null || expected == null) return false;
+  const normalize = value => String(value).trim().replace(/\.0+$/, '');
+  return normalize(actual) === normalize(expected);
+}
+
+/**
+ * Metrics of one strategy at every threshold
+ */
+function summarize(strategy, fuzzyLevel, outcomes, thresholds) {
+  const total = outcomes.length;
+  const elapsed = outcomes.map(o => o.elapsed).sort((a, b) => a - b);
+  const avgLatencyMs = Math.round(elapsed.reduce((sum, ms) => sum + ms, 0) / total);
+  const p95LatencyMs = elapsed[Math.min(total - 1, Math.ceil(total * 0.95) - 1)];
+
+  return thresholds.map(threshold => {
+    let answered = 0;
+    let correctAt1 = 0;
+    let correctAt3 = 0;
+
+    for (const { candidates } of outcomes) {
+      const above = candidates.filter(c => c.confidence >= threshold);
+      if (above.length === 0) continue;
+
+      answered++;
+      if (above[0].correct) correctAt1++;
+      if (above.slice(0, TOP_K).some(c => c.correct)) correctAt3++;
+    }
+
+    return {
+      strategy,
+      fuzzyLevel,
+      threshold,
+      cases: total,
+      answered,
+      precisionAt1: ratio(correctAt1, answered),
+      precisionAt3: ratio(correctAt3, answered),
+      recall: ratio(correctAt3, total),
+      coverage: ratio(answered, total),
+      avgLatencyMs,
+      p95LatencyMs
+    };
+  });
+}
+
+function ratio(count, total) {
+  return total > 0 ? Math.round((count / total) * 10000) / 10000 : null;
+}
+
+module.exports = {
+  evaluateMatching,
+  loadConfirmedCases,
+  DEFAULT_THRESHOLDS
+};
@@ -0,0 +1,181 @@
+/**
+ * Match Explainer - Why Did This Line Match?
+ *
+ * Builds a structured explanation for every LineMatch so clerks can see more
+ * than a confidence number:
+ * - Token overlap between the searched line and the Historical wireText
+ *   (exact and fuzzy token pairs, plus highlight spans in both texts)
+ * - Raw per-strategy scores and ranks (fuzzy SCORE, cosine similarity)
+ * - Reference numbers that matched exactly (invoice, PO, account, ... - reference-index.js)
+ * - How the final confidence was built (base + agreement bonus + clerk feedback + amount adjustment)
+ *
+ * Stored as JSON in LineMatch.explanation, e.g.
+ * {
+ *   summary: "FUZZY_TEXT + VECTOR_SEMANTIC; 2 of 2 words match (1 fuzzy)",
+ *   tokens: { exact: [...], fuzzy: [{ line, wire, similarity }], lineOnly: [...], wireOnly: [...] },
+ *   highlights: { line: [{ start, end, text }], wire: [...] },
+ *   strategies: { FUZZY_TEXT: { rank, score, confidence }, ... },
+ *   references: [{ refType, value, source }],
+ *   confidence: { base, boosts: [{ type, points, reason }], final }
+ * }
+ */
+
+const { tokenize, levenshteinSimilarity, FUZZY_THRESHOLD } = require('./local-matcher');
+const { normalizeTokens } = require('./company-normalizer');
+
+/**
+ * Explain one match of a line
+ *
+ * @param {String} lineText - Searched text (line searchText)
+ * @param {Object} match - Match from LineMatcher.searchLine (fused, amount-adjusted)
+ * @returns {Object} Explanation
+ */
+function explainMatch(lineText, match) {
+  const tokens = compareTokens(lineText, match.wireText);
+
+  const boosts = [];
+  if (match.agreementBonus) {
+    boosts.push({
+      type: 'AGREEMENT',
+      points: match.agreementBonus,
+      reason: `Also found by ${(match.strategies || []).filter(s => s !== match.matchStrategy).join(', ')}`
+    });
+  }
+  if (match.feedbackAdjustment) {
+    boosts.push({
+      type: match.feedbackAdjustment > 0 ? 'FEEDBACK_BOOST' : 'FEEDBACK_PENALTY',
+      points: match.feedbackAdjustment,
+      reason: match.feedbackReason
+    });
+  }
+  if (match.amountAdjustment) {
+    boosts.push({
+      type: match.amountAdjustment > 0 ? 'AMOUNT_BOOST' : 'AMOUNT_PENALTY',
+      points: match.amountAdjustment,
+      reason: match.amountReason
+    });
+  }
+
+  return {
+    summary: buildSummary(match, tokens),
+    tokens: {
+      exact: tokens.exact,
+      fuzzy: tokens.fuzzy,
+      lineOnly: tokens.lineOnly,
+      wireOnly: tokens.wireOnly
+    },
+    highlights: {
+      line: findSpans(lineText, tokens.lineMatched),
+      wire: findSpans(match.wireText, tokens.wireMatched)
+    },
+    strategies: explainStrategies(match),
+    references: match.matchedReferences || [],
+    confidence: {
+      base: match.baseConfidence ?? match.confidence,
+      boosts,
+      final: match.confidence
+    }
+  };
+}
+
+/**
+ * Compare the word tokens of both texts (same tokenizer as the local fuzzy search)
+ * A line token matches exactly, fuzzily (Levenshtein ≥ FUZZY_THRESHOLD) or not at all
+ */
+function compareTokens(lineText, wireText) {
+  const lineTokens = [...new Set(tokenize(lineText))];
+  const wireTokens = [...new Set(tokenize(wireText))];
+  const wireSet = new Set(wireTokens);
+
+  const exact = [];
+  const fuzzy = [];
+  const lineOnly = [];
+  const lineMatched = new Set();
+  const wireMatched = new Set();
+
+  for (const token of lineTokens) {
+    if (wireSet.has(token)) {
+      exact.push(token);
+      lineMatched.add(token);
+      wireMatched.add(token);
+      continue;
+    }
+
+    let best = null;
+    for (const candidate of wireTokens) {
+      const similarity = levenshteinSimilarity(token, candidate);
+      if (similarity >= FUZZY_THRESHOLD && (!best || similarity > best.similarity)) {
+        best = { line: token, wire: candidate, similarity: Math.round(similarity * 1000) / 1000 };
+      }
+    }
+
+    if (best) {
+      fuzzy.push(best);
+      lineMatched.add(token);
+      wireMatched.add(best.wire);
+    } else {
+      lineOnly.push(token);
+    }
+  }
+
+  const wireOnly = wireTokens.filter(token => !wireMatched.has(token));
+
+  return { exact, fuzzy, lineOnly, wireOnly, lineMatched, wireMatched, lineTokenCount: lineTokens.length };
+}
+
+/**
+ * Character spans of matched tokens in the original (unnormalized) text
+ */
+function findSpans(text, matchedTokens) {
+  if (!text || matchedTokens.size === 0) return [];
+
+  const spans = [];
+  const wordPattern = /[\p{L}0-9&]+/gu;
+  let word;
+  while ((word = wordPattern.exec(text)) !== null) {
+    // Same folding as the tokens ("Corp" → CORPORATION, "Café" → CAFE)
+    if (matchedTokens.has(normalizeTokens(word[0])[0])) {
+      spans.push({ start: word.index, end: word.index + word[0].length, text: word[0] });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Raw score, rank and confidence per strategy that found the record
+ */
+function explainStrategies(match) {
+  const scores = match.strategyScores || {
+    [match.matchStrategy]: { rank: null, score: match.score ?? match.similarity ?? null, confidence: match.confidence }
+  };
+
+  return Object.fromEntries(Object.entries(scores).map(([strategy, entry]) => [strategy, {
+    rank: entry.rank,
+    score: entry.score == null ? null : Math.round(entry.score * 10000) / 10000,
+    confidence: entry.confidence
+  }]));
+}
+
+/**
+ * One-line summary for list views
+ */
+function buildSummary(match, tokens) {
+  const strategies = (match.strategies || [match.matchStrategy]).join(' + ');
+  const matchedCount = tokens.exact.length + tokens.fuzzy.length;
+
+  let summary = `${strategies}; ${matchedCount} of ${tokens.lineTokenCount} words match`;
+  if (tokens.fuzzy.length > 0) summary += ` (${tokens.fuzzy.length} fuzzy)`;
+  if (match.matchedReferences?.length > 0) {
+    summary += `; ${match.matchedReferences.map(r => `${r.refType} ${r.value}`).join(', ')} matched exactly`;
+  } else if (matchedCount === 0) {
+    summary += ' - semantic similarity only';
+  }
+  if (match.amountAdjustment) summary += `; amount ${match.amountAdjustment > 0 ? '+' : ''}${match.amountAdjustment}`;
+
+  return summary;
+}
+
+module.exports = {
+  explainMatch,
+  compareTokens
+};
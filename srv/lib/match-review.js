@@ -0,0 +1,363 @@
+/**
+ * Match Review - Clerk Decisions on Line Matches
+ *
+ * Records the clerk's selection or rejection of a LineMatch and feeds
+ * the decision back into Historical usage statistics:
+ * - usageCount:   +1 the first time a clerk selects or rejects the record as a candidate
+ *                 of a line (LineMatch.isReviewed) - changing one's mind is no new review
+ * - successCount: +1 when the clerk selects it (-1 if the selection is later changed)
+ * - lastUsedDate: timestamp of the latest review
+ * - typicalAmount*: amount range/currency learned from the statements it is selected for
+ *                   (HistoricalAmountSample, one per record and statement - dropped again
+ *                   when the selection is reverted)
+ *
+ * The decision is then rolled up into BankStatementHeader.matchStatus and the
+ * statement-level proposal is re-resolved (selected/rejected matches change it).
+ *
+ * USAGE:
+ * const matchReview = require('./lib/match-review');
+ * const result = await matchReview.selectMatch(db, lineID, matchID, req.user.id);
+ */
+
+const statementResolver = require('./statement-resolver');
+
+const LINE = 'reconciliation.BankStatementLine';
+const MATCH = 'reconciliation.LineMatch';
+const HEADER = 'reconciliation.BankStatementHeader';
+const HISTORICAL = 'reconciliation.Historical';
+const AMOUNT_SAMPLE = 'reconciliation.HistoricalAmountSample';
+
+/**
+ * Select a match for a statement line
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} lineID - BankStatementLine ID
+ * @param {String} matchID - LineMatch ID (must belong to the line)
+ * @param {String} user - Clerk user ID
+ * @returns {Promise<Object>} Review result
+ */
+async function selectMatch(db, lineID, matchID, user) {
+  const { line, match } = await loadLineAndMatch(db, lineID, matchID);
+  const now = new Date().toISOString();
+
+  if (line.selectedMatch_ID === matchID) {
+    return buildResult(line, match, await rollUpStatementStatus(db, line.header_ID, user), 'Match already selected');
+  }
+
+  // Previous selection no longer counts as a success
+  let previousHistoricalID = null;
+  if (line.selectedMatch_ID) {
+    const previous = await db.run(SELECT.one.from(MATCH).columns('historical_ID').where({ ID: line.selectedMatch_ID }));
+    if (previous?.historical_ID) {
+      previousHistoricalID = previous.historical_ID;
+      await db.run(UPDATE(HISTORICAL).with({ successCount: { '-=': 1 } }).where({ ID: previous.historical_ID, successCount: { '>': 0 } }));
+    }
+  }
+
+  // Only one selected match per line
+  await db.run(UPDATE(MATCH).set({ isSelected: false, selectedAt: null, selectedBy: null }).where({ line_ID: lineID }));
+  await db.run(UPDATE(MATCH).set({
+    isSelected: true,
+    selectedAt: now,
+    selectedBy: user,
+    isRejected: false,
+    rejectedAt: null,
+    rejectedBy: null,
+    isReviewed: true
+  }).where({ ID: matchID }));
+
+  await db.run(UPDATE(LINE).set({
+    selectedMatch_ID: matchID,
+    reviewedBy: user,
+    reviewedAt: now,
+    matched: true,
+    matchedHistorical_ID: match.historical_ID,
+    matchConfidence: match.confidence,
+    matchStrategy: match.strategy
+  }).where({ ID: lineID }));
+
+  if (match.historical_ID) {
+    await db.run(UPDATE(HISTORICAL).with({
+      ...(!match.isReviewed && { usageCount: { '+=': 1 } }),
+      successCount: { '+=': 1 },
+      lastUsedDate: now
+    }).where({ ID: match.historical_ID }));
+
+    await learnAmount(db, match.historical_ID, line.header_ID);
+  }
+  if (previousHistoricalID && previousHistoricalID !== match.historical_ID) {
+    await learnAmount(db, previousHistoricalID, line.header_ID);
+  }
+
+  console.log(`✅ Line ${line.crn}: match ${match.rank} selected by ${user} (${match.wireText?.substring(0, 50)})`);
+
+  const statementStatus = await rollUpStatementStatus(db, line.header_ID, user);
+  return buildResult(line, match, statementStatus, 'Match selected');
+}
+
+/**
+ * Reject a match for a statement line
+ * Without matchID, all remaining candidates of the line are rejected
+ * (clerk found none of them correct)
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} lineID - BankStatementLine ID
+ * @param {String} [matchID] - LineMatch ID (optional)
+ * @param {String} user - Clerk user ID
+ * @returns {Promise<Object>} Review result
+ */
+async function rejectMatch(db, lineID, matchID, user) {
+  const now = new Date().toISOString();
+
+  let line;
+  let rejected;
+  if (matchID) {
+    const loaded = await loadLineAndMatch(db, lineID, matchID);
+    line = loaded.line;
+    rejected = loaded.match.isRejected ? [] : [loaded.match];
+  } else {
+    line = await loadLine(db, lineID);
+    rejected = await db.run(SELECT.from(MATCH).where({ line_ID: lineID, isRejected: false }));
+  }
+
+  for (const match of rejected) {
+    await db.run(UPDATE(MATCH).set({
+      isRejected: true,
+      rejectedAt: now,
+      rejectedBy: user,
+      isSelected: false,
+      selectedAt: null,
+      selectedBy: null,
+      isReviewed: true
+    }).where({ ID: match.ID }));
+
+    if (match.historical_ID) {
+      // Reviewed but not used - lowers the success rate of this record
+      const successCorrection = match.ID === line.selectedMatch_ID ? { successCount: { '-=': 1 } } : {};
+      await db.run(UPDATE(HISTORICAL).with({
+        ...(!match.isReviewed && { usageCount: { '+=': 1 } }),
+        ...successCorrection,
+        lastUsedDate: now
+      }).where({ ID: match.historical_ID }));
+    }
+  }
+
+  // Clear the line's selection if the selected match was rejected
+  const lineUpdate = { reviewedBy: user, reviewedAt: now };
+  if (line.selectedMatch_ID && rejected.some(m => m.ID === line.selectedMatch_ID)) {
+    Object.assign(lineUpdate, {
+      selectedMatch_ID: null,
+      matched: false,
+      matchedHistorical_ID: null,
+      matchConfidence: null,
+      matchStrategy: null
+    });
+  }
+  await db.run(UPDATE(LINE).set(lineUpdate).where({ ID: lineID }));
+
+  // A rejected selection takes its amount sample out again
+  const unselected = rejected.find(m => m.ID === line.selectedMatch_ID);
+  if (unselected?.historical_ID) {
+    await learnAmount(db, unselected.historical_ID, line.header_ID);
+  }
+
+  console.log(`🚫 Line ${line.crn}: ${rejected.length} match(es) rejected by ${user}`);
+
+  const statementStatus = await rollUpStatementStatus(db, line.header_ID, user);
+  return {
+    success: true,
+    message: `${rejected.length} match(es) rejected`,
+    lineID,
+    matchID: matchID || null,
+    historicalID: null,
+    matchesRejected: rejected.length,
+    statementID: line.header_ID,
+    statementStatus,
+    error: null
+  };
+}
+
+/**
+ * Roll up line decisions into BankStatementHeader.matchStatus
+ *
+ * - CONFIRMED: at least one line has a clerk-selected match
+ * - NO_MATCH:  every line with candidates was reviewed and all were rejected
+ * - MATCHED:   candidates exist but are not (fully) reviewed yet
+ * - POSTED:    never changed here
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} headerID - BankStatementHeader ID
+ * @param {String} user - Clerk user ID
+ * @returns {Promise<String>} New match status
+ */
+async function rollUpStatementStatus(db, headerID, user) {
+  const header = await db.run(SELECT.one.from(HEADER).columns('ID', 'matchStatus').where({ ID: headerID }));
+  if (!header) return null;
+  if (header.matchStatus === 'POSTED') return header.matchStatus;
+
+  const lines = await db.run(
+    SELECT.from(LINE).columns('ID', 'crn', 'selectedMatch_ID').where({ header_ID: headerID }).orderBy('crn')
+  );
+  const lineIDs = lines.map(l => l.ID);
+  const matches = lineIDs.length > 0
+    ? await db.run(SELECT.from(MATCH).columns('line_ID', 'isRejected').where({ line_ID: { in: lineIDs } }))
+    : [];
+
+  const selectedLine = lines.find(l => l.selectedMatch_ID);
+  const linesWithCandidates = lines.filter(l => matches.some(m => m.line_ID === l.ID));
+  const openCandidates = matches.filter(m => !m.isRejected);
+
+  // Re-resolve the statement-level proposal without rejected candidates
+  const { proposal } = await statementResolver.resolveStatement(db, headerID);
+
+  let matchStatus;
+  if (selectedLine) {
+    matchStatus = 'CONFIRMED';
+  } else if (linesWithCandidates.length > 0 && openCandidates.length === 0) {
+    matchStatus = 'NO_MATCH';
+  } else {
+    matchStatus = linesWithCandidates.length > 0 ? 'MATCHED' : 'NO_MATCH';
+  }
+
+  await db.run(UPDATE(HEADER).set({
+    matchStatus,
+    processedBy: user,
+    bestMatchedLineNo: proposal?.lineNo ?? null
+  }).where({ ID: headerID }));
+
+  return matchStatus;
+}
+
+/**
+ * Keep the amount sample of one Historical record and statement in step with the
+ * clerk's selections, then recompute the record's typical amount profile
+ * One sample per record and statement - however many of its lines select the record;
+ * the sample goes again when no line of the statement selects the record any more
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} historicalID - Historical ID
+ * @param {String} headerID - BankStatementHeader ID
+ * @returns {Promise<Object>} Recomputed profile (see amountProfile)
+ */
+async function learnAmount(db, historicalID, headerID) {
+  const selectedIDs = (await db.run(
+    SELECT.from(LINE).columns('selectedMatch_ID').where({ header_ID: headerID, selectedMatch_ID: { '!=': null } })
+  )).map(line => line.selectedMatch_ID);
+  const stillSelected = selectedIDs.length > 0 && !!(await db.run(
+    SELECT.one.from(MATCH).columns('ID').where({ ID: { in: selectedIDs }, historical_ID: historicalID })
+  ));
+
+  const sample = await db.run(SELECT.one.from(AMOUNT_SAMPLE).columns('ID').where({ historical_ID: historicalID, statement_ID: headerID }));
+
+  if (stillSelected && !sample) {
+    const header = await db.run(SELECT.one.from(HEADER).columns('Kwbtr', 'Waers').where({ ID: headerID }));
+    const value = Math.abs(Number(header?.Kwbtr));
+    if (header?.Kwbtr != null && Number.isFinite(value) && value !== 0) {
+      await db.run(INSERT.into(AMOUNT_SAMPLE).entries({
+        historical_ID: historicalID,
+        statement_ID: headerID,
+        amount: value,
+        currency: header.Waers || null
+      }));
+    }
+  } else if (!stillSelected && sample) {
+    await db.run(DELETE.from(AMOUNT_SAMPLE).where({ ID: sample.ID }));
+  }
+
+  return refreshAmountProfile(db, historicalID);
+}
+
+/**
+ * Recompute typicalAmount* / amountSampleCount of a Historical record from its samples
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} historicalID - Historical ID
+ * @returns {Promise<Object>} Profile written to Historical
+ */
+async function refreshAmountProfile(db, historicalID) {
+  const samples = await db.run(
+    SELECT.from(AMOUNT_SAMPLE).columns('amount', 'currency').where({ historical_ID: historicalID }).orderBy('createdAt')
+  );
+  const profile = amountProfile(samples);
+  await db.run(UPDATE(HISTORICAL).set(profile).where({ ID: historicalID }));
+  return profile;
+}
+
+/**
+ * Typical amount profile of a set of samples (oldest first)
+ * The first sample's currency is the learned one; amounts in other currencies are ignored
+ *
+ * @param {Array} samples - [{ amount, currency }]
+ * @returns {Object} { typicalAmountMin, typicalAmountMax, typicalAmountAvg, typicalCurrency, amountSampleCount }
+ */
+function amountProfile(samples) {
+  const currency = samples.find(sample => sample.currency)?.currency || null;
+  const values = samples
+    .filter(sample => !currency || !sample.currency || sample.currency === currency)
+    .map(sample => Math.abs(Number(sample.amount)))
+    .filter(value => Number.isFinite(value) && value !== 0);
+
+  if (values.length === 0) {
+    return { typicalAmountMin: null, typicalAmountMax: null, typicalAmountAvg: null, typicalCurrency: null, amountSampleCount: 0 };
+  }
+
+  return {
+    typicalAmountMin: Math.min(...values),
+    typicalAmountMax: Math.max(...values),
+    typicalAmountAvg: Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 1000) / 1000,
+    typicalCurrency: currency,
+    amountSampleCount: values.length
+  };
+}
+
+/**
+ * Load a statement line or fail
+ */
+async function loadLine(db, lineID) {
+  if (!lineID) throw new Error('lineID is required');
+
+  const line = await db.run(SELECT.one.from(LINE).where({ ID: lineID }));
+  if (!line) throw new Error(`Statement line not found: ${lineID}`);
+
+  return line;
+}
+
+/**
+ * Load a statement line and one of its matches or fail
+ */
+async function loadLineAndMatch(db, lineID, matchID) {
+  const line = await loadLine(db, lineID);
+
+  if (!matchID) throw new Error('matchID is required');
+  const match = await db.run(SELECT.one.from(MATCH).where({ ID: matchID }));
+  if (!match) throw new Error(`Line match not found: ${matchID}`);
+  if (match.line_ID !== lineID) throw new Error(`Match ${matchID} does not belong to line ${lineID}`);
+
+  return { line, match };
+}
+
+/**
+ * Build the action result for a selection
+ */
+function buildResult(line, match, statementStatus, message) {
+  return {
+    success: true,
+    message,
+    lineID: line.ID,
+    matchID: match.ID,
+    historicalID: match.historical_ID,
+    matchesRejected: 0,
+    statementID: line.header_ID,
+    statementStatus,
+    error: null
+  };
+}
+
+module.exports = {
+  selectMatch,
+  rejectMatch,
+  rollUpStatementStatus,
+  learnAmount,
+  refreshAmountProfile,
+  amountProfile
+};
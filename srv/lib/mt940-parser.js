@@ -0,0 +1,244 @@
+/**
+ * MT940 Parser - SWIFT Customer Statement Messages
+ *
+ * Turns an MT940 file (one or more statements) into statement entries for
+ * statement-processor.js importEntries():
+ * - :20: / :25: / :28C:  statement reference, account, statement number
+ * - :60F: / :60M:        opening balance (currency of the statement)
+ * - :61:                 one entry per statement line (value/entry date, D/C mark,
+ *                        amount, customer and bank reference, supplementary details)
+ * - :86:                 information to account owner → payment-note (Vwezw) lines
+ *
+ * Field 86 is free text in most files - its lines are passed on as they are, so
+ * tagged text like "BO1:" or "ORDER:" is recognised by line-parser.js exactly as
+ * in SAP's Vwezw (wrapped 65-character lines are rejoined there). German
+ * structured field 86 (?20-?29 remittance, ?31 account, ?32/?33 name) is
+ * mapped onto BO: / BO1: / DETAILS: lines.
+ *
+ * Only the bank reference (//...) identifies an entry for re-imports; the
+ * customer reference is free text that often repeats (one invoice number on
+ * several instalments) and becomes an RF: payment-note line instead.
+ *
+ * USAGE:
+ * const mt940Parser = require('./lib/mt940-parser');
+ * const { statements } = mt940Parser.parseMt940(content);
+ */
+
+// :61: value date, entry date, D/C mark, funds code, amount, type, customer ref, //bank ref
+const STATEMENT_LINE_PATTERN = /^(\d{6})(\d{4})?(R?[CD])([A-Z])?(\d+,\d*)([A-Z][A-Z0-9]{3})(.*?)(?:\/\/(.*))?$/;
+const BALANCE_PATTERN = /^[CD](\d{6})([A-Z]{3})/;
+const FIELD_PATTERN = /^:(\d{2}[A-Z]?):(.*)$/;
+const STRUCTURED_86_PATTERN = /^\d{3}\?/;
+
+const NO_REFERENCE = 'NONREF';
+const SUBFIELD_WIDTH = 27;
+
+/**
+ * Parse an MT940 file
+ *
+ * @param {String} content - MT940 file content (SWIFT blocks {1:...}{4: ... -} are optional)
+ * @returns {Object} { format: 'MT940', fileId, statements: [{ statementId, accountIdentifier, entries: [{ header, paymentNotes }] }] }
+ */
+function parseMt940(content) {
+  if (!content || !content.trim()) throw new Error('MT940 content is required');
+
+  const statements = [];
+  let statement = null;
+  let entry = null;
+
+  for (const { tag, value } of readFields(content)) {
+    switch (tag) {
+      case '20':
+        statement = { statementId: value.trim(), accountIdentifier: null, number: null, currency: null, entries: [] };
+        statements.push(statement);
+        entry = null;
+        break;
+      case '25':
+        requireStatement(statement, tag).accountIdentifier = value.trim();
+        break;
+      case '28C':
+        requireStatement(statement, tag).number = value.trim().split('/')[0];
+        break;
+      case '60F':
+      case '60M': {
+        const balance = BALANCE_PATTERN.exec(value.trim());
+        if (balance) requireStatement(statement, tag).currency = balance[2];
+        break;
+      }
+      case '61':
+        entry = parseStatementLine(value, requireStatement(statement, tag));
+        statement.entries.push(entry);
+        break;
+      case '86':
+        // Field 86 after :61: belongs to that entry; a closing 86 (after :62:) is ignored
+        if (entry) entry.information = value;
+        break;
+      case '62F':
+      case '62M':
+        entry = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (statements.length === 0) throw new Error('Not an MT940 file (no :20: statement found)');
+
+  return {
+    format: 'MT940',
+    fileId: statements[0].statementId,
+    statements: statements.map(({ statementId, accountIdentifier, number, currency, entries }) => ({
+      statementId,
+      accountIdentifier,
+      entries: entries.map((parsed, index) => ({
+        header: {
+          Aznum: (number || statementId).slice(0, 18),
+          Azdat: parsed.entryDate || parsed.valueDate,
+          Waers: currency,
+          Esnum: String(index + 1),
+          Kwbtr: parsed.creditDebit === 'DBIT' ? -parsed.amount : parsed.amount,
+          statementId: statementId.slice(0, 35),
+          accountIdentifier: accountIdentifier?.slice(0, 34) || null,
+          entryReference: parsed.reference?.slice(0, 35) || null,
+          valueDate: parsed.valueDate,
+          creditDebit: parsed.creditDebit
+        },
+        paymentNotes: buildPaymentNotes(parsed)
+      }))
+    }))
+  };
+}
+
+/**
+ * Split the file into fields (":61:..." plus its continuation lines)
+ */
+function readFields(content) {
+  const fields = [];
+  let current = null;
+
+  for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+    // SWIFT envelope ({1:...}{2:...}{4:) and the message end marker "-}"
+    const line = rawLine.replace(/^(\{[1-3]:[^}]*\})+/, '').replace(/^\{4:/, '');
+    if (/^-(\}|\s*$)/.test(line)) {
+      current = null;
+      continue;
+    }
+
+    const field = FIELD_PATTERN.exec(line);
+    if (field) {
+      current = { tag: field[1], value: field[2] };
+      fields.push(current);
+    } else if (current && line.trim()) {
+      current.value += '\n' + line;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Parse a :61: statement line
+ */
+function parseStatementLine(value, statement) {
+  const [firstLine, ...details] = value.split('\n');
+  const match = STATEMENT_LINE_PATTERN.exec(firstLine.trim());
+  if (!match) {
+    throw new Error(`Statement ${statement.statementId}: invalid :61: line "${firstLine.trim()}"`);
+  }
+
+  const [, valueDate, entryDate, mark, , amount, , customerReference, bankReference] = match;
+  const customer = customerReference.trim();
+
+  return {
+    valueDate: toDate(valueDate),
+    entryDate: entryDate ? toEntryDate(valueDate, entryDate) : null,
+    // C = credit, D = debit, RC = reversal of a credit (debit), RD = reversal of a debit (credit)
+    creditDebit: mark === 'C' || mark === 'RD' ? 'CRDT' : 'DBIT',
+    amount: Number(amount.replace(',', '.')),
+    reference: bankReference?.trim() || null,
+    customerReference: customer && customer !== NO_REFERENCE ? customer : null,
+    supplementary: details.join(' ').trim() || null,
+    information: null
+  };
+}
+
+/**
+ * Payment-note lines from field 86 (and the :61: supplementary details)
+ */
+function buildPaymentNotes(parsed) {
+  const lines = [];
+  const information = parsed.information?.trim();
+
+  if (information && STRUCTURED_86_PATTERN.test(information)) {
+    lines.push(...structuredLines(information));
+  } else if (information) {
+    lines.push(...information.split('\n').map(line => line.trimEnd()).filter(Boolean));
+  }
+
+  if (parsed.supplementary) lines.push(`DETAILS:${parsed.supplementary}`);
+  if (parsed.customerReference) lines.push(`RF:${parsed.customerReference}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * German structured field 86: "166?00GUTSCHRIFT?20INV 4711?32ACME CORP?31DE89..."
+ */
+function structuredLines(information) {
+  const subfields = {};
+  for (const part of information.replace(/\n/g, '').split('?').slice(1)) {
+    const code = part.slice(0, 2);
+    subfields[code] = (subfields[code] || '') + part.slice(2);
+  }
+
+  // Remittance subfields are 27-character pieces of one text - a full piece may end mid-word
+  const pieces = Object.keys(subfields)
+    .filter(code => (code >= '20' && code <= '29') || (code >= '60' && code <= '63'))
+    .sort()
+    .map(code => subfields[code]);
+  let remittance = '';
+  pieces.forEach((piece, index) => {
+    const previous = pieces[index - 1];
+    remittance += previous !== undefined && previous.length < SUBFIELD_WIDTH ? ` ${piece}` : piece;
+  });
+  remittance = remittance.replace(/\s+/g, ' ').trim();
+
+  const name = [subfields['32'], subfields['33']].filter(Boolean).join('').trim();
+  const account = subfields['31']?.trim();
+
+  const counterparty = [account && `BO:${account}`, name && `BO1:${name}`].filter(Boolean);
+  const lines = [];
+  if (counterparty.length > 0) lines.push(counterparty.join(' '));
+  if (remittance) lines.push(`DETAILS:${remittance}`);
+  return lines;
+}
+
+function requireStatement(statement, tag) {
+  if (!statement) throw new Error(`Field :${tag}: before the first :20: statement reference`);
+  return statement;
+}
+
+/**
+ * YYMMDD → YYYY-MM-DD (SWIFT years 00-79 are 20xx)
+ */
+function toDate(yymmdd) {
+  const year = Number(yymmdd.slice(0, 2));
+  return `${year < 80 ? 2000 + year : 1900 + year}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`;
+}
+
+/**
+ * MMDD entry date in the year of the value date (booked across the year end if needed)
+ */
+function toEntryDate(valueDate, mmdd) {
+  const value = toDate(valueDate);
+  let year = Number(value.slice(0, 4));
+  const month = Number(mmdd.slice(0, 2));
+  const valueMonth = Number(value.slice(5, 7));
+  if (valueMonth === 12 && month === 1) year++;
+  if (valueMonth === 1 && month === 12) year--;
+  return `${year}-${mmdd.slice(0, 2)}-${mmdd.slice(2, 4)}`;
+}
+
+module.exports = {
+  parseMt940
+};
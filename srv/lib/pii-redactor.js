@@ -0,0 +1,155 @@
+/**
+ * PII Redactor - Account, Card and Contact Data in Email Text
+ *
+ * Masks personal and banking data in the stored bodies of mailboxes that ask
+ * for it (Mailbox.redactBodies), so the cache and its embeddings do not keep
+ * a readable copy:
+ * - IBANs (ISO 13616 checksum) → [IBAN]
+ * - Card numbers, 13-19 digits with Luhn check digit → [CARD]
+ * - Bank account, routing and sort code numbers after a label
+ *   ("Account No. 123456789", "ABA: 021000021") → label kept, number [ACCOUNT]
+ * - Email addresses → [EMAIL]; phone numbers in international or North American
+ *   notation, or after a label ("Tel", "Phone", "Fax") → [PHONE]
+ *
+ * Amounts, references and company names are extracted before redaction
+ * (email-sync.js), so matching works on the same data as without it.
+ *
+ * USAGE:
+ * const piiRedactor = require('./lib/pii-redactor');
+ * const { text, redactions } = piiRedactor.redactText('Pay to IBAN DE89 3704 0044 0532 0130 00');
+ * // text: 'Pay to IBAN [IBAN]', redactions: { IBAN: 1 }
+ * const record = piiRedactor.redactEmail(emailRecord);  // bodies masked, isRedacted set
+ */
+
+// Stored email fields with body content
+const EMAIL_TEXT_FIELDS = ['bodyPreview', 'bodyText', 'bodyHtml', 'newMessageText', 'quotedText', 'signatureText', 'attachmentText'];
+
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g;
+
+const CARD_PATTERN = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+
+// Label (kept) + number; the number needs 6+ digits
+const ACCOUNT_PATTERN = /\b((?:bank\s+)?(?:account|acct|a\/c|routing|aba|sort\s+code|bsb|konto(?:nummer)?)\b\.?\s*(?:no\.?|nr\.?|number|#)?\s*[:#.]?\s*)(\d[\d -]{3,30}\d)/gi;
+
+const EMAIL_PATTERN = /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi;
+
+// International (+49 30 1234 5678) or North American ((555) 123-4567, 555.123.4567) numbers
+const PHONE_PATTERN = /(?<![\w+])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}|(?:\(\d{3}\) ?|\d{3}[ .-])\d{3}[ .-]\d{4})(?![\w-])/g;
+
+// Label (kept) + number in any grouping ("Tel 030 1234 5678")
+const LABELED_PHONE_PATTERN = /\b((?:tel|phone|fax|mobile|mob|cell)\b\.?\s*[:.]?\s*)(\+?[\d(][\d ()./-]{5,20}\d)/gi;
+
+/**
+ * Redact account, card and contact data in a text
+ *
+ * @param {String} text - Plain text or HTML
+ * @returns {Object} { text, redactions: { IBAN, CARD, ACCOUNT, EMAIL, PHONE } (types found only) }
+ */
+function redactText(text) {
+  const redactions = {};
+  if (!text) return { text, redactions };
+
+  const count = type => { redactions[type] = (redactions[type] || 0) + 1; };
+
+  const redacted = String(text)
+    .replace(IBAN_PATTERN, match => {
+      if (!isValidIban(match)) return match;
+      count('IBAN');
+      return '[IBAN]';
+    })
+    .replace(CARD_PATTERN, match => {
+      if (!isValidCardNumber(match.replace(/\D/g, ''))) return match;
+      count('CARD');
+      return '[CARD]';
+    })
+    .replace(ACCOUNT_PATTERN, (match, label, number) => {
+      if (number.replace(/\D/g, '').length < 6) return match;
+      count('ACCOUNT');
+      return `${label}[ACCOUNT]`;
+    })
+    .replace(EMAIL_PATTERN, () => {
+      count('EMAIL');
+      return '[EMAIL]';
+    })
+    .replace(LABELED_PHONE_PATTERN, (match, label, number) => {
+      if (number.replace(/\D/g, '').length < 7) return match;
+      count('PHONE');
+      return `${label}[PHONE]`;
+    })
+    .replace(PHONE_PATTERN, match => {
+      if (match.replace(/\D/g, '').length < 10) return match;
+      count('PHONE');
+      return '[PHONE]';
+    });
+
+  return { text: redacted, redactions };
+}
+
+/**
+ * Redact the body fields of an EmailCache record
+ *
+ * @param {Object} email - Email record (EMAIL_TEXT_FIELDS)
+ * @returns {Object} Record with redacted bodies, isRedacted and redactedAt set
+ */
+function redactEmail(email) {
+  const redacted = { ...email, isRedacted: true, redactedAt: new Date().toISOString() };
+
+  for (const field of EMAIL_TEXT_FIELDS) {
+    if (email[field]) redacted[field] = redactText(email[field]).text;
+  }
+
+  return redacted;
+}
+
+/**
+ * Redact the extracted text of an EmailAttachment record
+ *
+ * @param {Object} attachment - Attachment record (extractedText)
+ * @returns {Object} Record with redacted extractedText
+ */
+function redactAttachment(attachment) {
+  if (!attachment.extractedText) return attachment;
+  return { ...attachment, extractedText: redactText(attachment.extractedText).text };
+}
+
+/**
+ * ISO 13616: move the first four characters to the end, letters → numbers, mod 97 = 1
+ */
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const digits = `${iban.substring(4)}${iban.substring(0, 4)}`
+    .replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+/**
+ * Luhn check digit of a card number
+ */
+function isValidCardNumber(digits) {
+  if (digits.length < 13 || digits.length > 19 || /^(\d)\1+$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+module.exports = {
+  EMAIL_TEXT_FIELDS,
+  redactText,
+  redactEmail,
+  redactAttachment
+};
@@ -0,0 +1,138 @@
+/**
+ * Reference Extractor - Invoice, PO, Remittance, Check and Account Numbers
+ *
+ * Pulls structured reference numbers out of payment notes, Historical wire
+ * texts and cached emails, so an exact reference match can be found before
+ * any text similarity is computed (reference-index.js):
+ * - Tagged fields: BO (payer account number / IBAN), RF (remittance reference), TRID (transaction ID)
+ * - Keywords in free text: "INV 4711", "INVOICE NO. A-100", "PO#55012", "CHECK 1042", "REF: 889911"
+ * - ACH addenda: RMR*IV*4711 (invoice), RMR*PO*55012 (PO)
+ * - ISO 11649 creditor references: RF18539007547034
+ *
+ * Values are kept as written; normalizedValue (uppercase, letters and digits
+ * only, leading zeros of numbers removed) is what lookups compare.
+ *
+ * USAGE:
+ * const referenceExtractor = require('./lib/reference-extractor');
+ * const tags = lineParser.tokenizeTags(lineText);
+ * const references = referenceExtractor.extractReferences(lineText, tags);
+ * // "INV 0004711" → [{ refType: 'INVOICE', value: '0004711', normalizedValue: '4711' }]
+ */
+
+const REFERENCE_TYPES = ['INVOICE', 'PO', 'REMITTANCE', 'CHECK', 'ACCOUNT', 'TRANSACTION'];
+
+// Tagged fields whose value is a reference (tags from line-parser.js tokenizeTags)
+const TAG_TYPES = {
+  BO: 'ACCOUNT',
+  RF: 'REMITTANCE',
+  TRID: 'TRANSACTION'
+};
+
+// "NO.", "NUMBER", "#" and separators between keyword and value
+const NUMBER_LABEL = '\\s*(?:NOS?\\.?|NUMBERS?|NBR|NUM|#)?\\s*[:#.-]?\\s*';
+
+// A reference value: letters, digits, dashes and slashes (must contain a digit, checked below)
+const VALUE = '[A-Z0-9][A-Z0-9/-]{1,29}';
+
+// Value not followed by more reference characters or a tag colon ("INV BO1:" is no invoice)
+const VALUE_END = '(?![A-Z0-9/:-])';
+
+// Keywords in free text → reference type (longest alternatives first)
+const KEYWORD_PATTERNS = [
+  { refType: 'INVOICE', keywords: 'INVOICES|INVOICE|INVC|INVS|INV|BILL' },
+  { refType: 'PO', keywords: 'PURCHASE\\s+ORDER|P\\.\\s?O\\.|PO' },
+  { refType: 'CHECK', keywords: 'CHEQUE|CHECK|CHK|CK' },
+  { refType: 'REMITTANCE', keywords: 'REMITTANCE|REMIT|RMT|REFERENCE|REF' }
+].map(({ refType, keywords }) => ({
+  refType,
+  // Keyword (not the start of a longer word - "INVESTMENT"), label, first value,
+  // then further values of a list ("INV 4711, 4712 AND 4713")
+  regex: new RegExp(`(?<![A-Z0-9])(?:${keywords})(?![A-Z])${NUMBER_LABEL}(${VALUE}${VALUE_END}(?:(?:\\s*[,;&]\\s*|\\s+AND\\s+)${VALUE}${VALUE_END})*)`, 'gi')
+}));
+
+// ACH addenda remittance segment: RMR*IV*4711*... (IV invoice, PO purchase order, else remittance)
+const RMR_PATTERN = /RMR\*([A-Z0-9]{2})\*([A-Z0-9/-]+)/gi;
+const RMR_TYPES = { IV: 'INVOICE', PO: 'PO' };
+
+// ISO 11649 structured creditor reference
+const CREDITOR_REFERENCE_PATTERN = /(?<![A-Z0-9])RF\d{2}[A-Z0-9]{1,21}(?![A-Z0-9])/gi;
+
+// Account numbers and IBANs in the BO field
+const ACCOUNT_PATTERN = /^(?:[A-Z]{2}\d{2}[A-Z0-9]{10,30}|\d[\d -]{3,33})$/i;
+
+const MIN_LENGTH = { ACCOUNT: 5 };
+const DEFAULT_MIN_LENGTH = 3;
+
+/**
+ * Extract all reference numbers from a text
+ *
+ * @param {String} text - Payment note line, wire text, email subject/body
+ * @param {Array} [tags] - Tagged fields of the text (line-parser.js tokenizeTags)
+ * @returns {Array} Distinct references [{ refType, value, normalizedValue }]
+ */
+function extractReferences(text, tags = []) {
+  if (!text) return [];
+
+  const references = [];
+  const seen = new Set();
+  const add = (refType, value) => {
+    const trimmed = String(value || '').trim();
+    const normalizedValue = normalizeReference(trimmed);
+    if (!isReference(refType, normalizedValue)) return;
+
+    const key = `${refType}|${normalizedValue}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    references.push({ refType, value: trimmed.substring(0, 100), normalizedValue });
+  };
+
+  for (const { tag, value } of tags) {
+    const refType = TAG_TYPES[tag];
+    if (!refType || !value) continue;
+    if (refType === 'ACCOUNT' && !ACCOUNT_PATTERN.test(value)) continue;
+    add(refType, value);
+  }
+
+  for (const match of text.matchAll(RMR_PATTERN)) {
+    add(RMR_TYPES[match[1].toUpperCase()] || 'REMITTANCE', match[2]);
+  }
+
+  for (const match of text.matchAll(CREDITOR_REFERENCE_PATTERN)) {
+    add('REMITTANCE', match[0]);
+  }
+
+  for (const { refType, regex } of KEYWORD_PATTERNS) {
+    for (const match of text.matchAll(regex)) {
+      match[1].split(/\s*[,;&]\s*|\s+AND\s+/i).forEach(value => add(refType, value));
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Canonical form for comparing references
+ * Uppercase letters and digits only; leading zeros of all-digit values removed ("000123" = "123")
+ *
+ * @param {String} value - Reference as written
+ * @returns {String} Normalized reference ('' if none)
+ */
+function normalizeReference(value) {
+  const compact = String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return /^\d+$/.test(compact) ? compact.replace(/^0+(?=\d)/, '') : compact;
+}
+
+/**
+ * Is the normalized value a plausible reference of the type?
+ * Requires a digit (so "PO BOX" or "CHECK PAYMENT" is none) and a minimum length
+ */
+function isReference(refType, normalizedValue) {
+  if (!/\d/.test(normalizedValue)) return false;
+  return normalizedValue.length >= (MIN_LENGTH[refType] || DEFAULT_MIN_LENGTH);
+}
+
+module.exports = {
+  REFERENCE_TYPES,
+  extractReferences,
+  normalizeReference
+};
@@ -0,0 +1,259 @@
+/**
+ * Reference Index - Exact-Match Lookup by Reference Number
+ *
+ * A matching invoice or account number is far stronger evidence than any text
+ * similarity, so LineMatcher.searchLine asks this index before the fuzzy and
+ * vector searches. References (reference-extractor.js) are looked up in:
+ * 1. Historical wire texts - indexed in memory, re-indexed whenever the table
+ *    changes (row count or last modifiedAt), like the local-matcher index
+ * 2. Clerk-confirmed statements - LineReference rows of statements with a
+ *    clerk-selected LineMatch point to the selected Historical record (learned
+ *    payer accounts, invoices paid in instalments, ...)
+ *
+ * Invoice and remittance references are compared with each other (a remittance
+ * reference usually is the invoice number); PO, check and account numbers only
+ * with their own type. Transaction IDs are stored but never looked up.
+ *
+ * USAGE:
+ * const referenceIndex = require('./lib/reference-index');
+ * const matches = await referenceIndex.findExactMatches(db, parsedLine.references);
+ * // [{ ...Historical, confidence: 98, matchStrategy: 'EXACT_REFERENCE', matchedReferences: [...] }]
+ */
+
+const lineParser = require('./line-parser');
+const referenceExtractor = require('./reference-extractor');
+const localMatcher = require('./local-matcher');
+
+const HISTORICAL = 'reconciliation.Historical';
+const LINE_REFERENCE = 'reconciliation.LineReference';
+const LINE = 'reconciliation.BankStatementLine';
+
+/**
+ * Exact Match Configuration
+ * - confidence: Confidence of an exact hit per reference type (above every text strategy)
+ * - groups: Reference types compared with each other (types not listed are never looked up)
+ * - minLength: Shorter normalized values are too common to be evidence ("123")
+ * - ambiguityPenalty: Confidence points off per additional Historical record sharing the reference
+ * - maxCandidates: References shared by more records are ignored (e.g. a bank's clearing account)
+ */
+const EXACT_MATCH_CONFIG = {
+  confidence: {
+    INVOICE: 98,
+    ACCOUNT: 97,
+    REMITTANCE: 96,
+    PO: 96,
+    CHECK: 94
+  },
+  groups: {
+    INVOICE: 'DOCUMENT',
+    REMITTANCE: 'DOCUMENT',
+    PO: 'PO',
+    CHECK: 'CHECK',
+    ACCOUNT: 'ACCOUNT'
+  },
+  minLength: 4,
+  ambiguityPenalty: 4,
+  maxCandidates: 5
+};
+
+// Cached wire-text index { version, ready } (rebuilt when the table changes)
+let indexCache = null;
+
+/**
+ * Historical records whose wire text or confirmed lines share a reference with the line
+ *
+ * @param {Object} db - CDS database service
+ * @param {Array} references - References of the line [{ refType, value, normalizedValue }]
+ * @param {Object} [options] - { excludeHeaderID } ignore this statement's own confirmation
+ *                             (evaluation replays of confirmed lines)
+ * @returns {Promise<Array>} Matches in the LineMatcher shape, best first, with matchedReferences
+ */
+async function findExactMatches(db, references, options = {}) {
+  const lookups = (references || []).filter(isLookupReference);
+  if (lookups.length === 0) return [];
+
+  const startTime = Date.now();
+  const index = await getIndex(db);
+  const confirmed = await findConfirmedHistoricals(db, lookups, options.excludeHeaderID);
+
+  // Historical ID → { confidence, matchedReferences }
+  const hits = new Map();
+  for (const reference of lookups) {
+    const key = lookupKey(reference.refType, reference.normalizedValue);
+    const sources = [
+      ...[...(index.byKey.get(key) || [])].map(historicalID => ({ historicalID, source: 'WIRE_TEXT' })),
+      ...[...(confirmed.get(key) || [])].map(historicalID => ({ historicalID, source: 'CONFIRMED_STATEMENT' }))
+    ];
+
+    const candidateIDs = new Set(sources.map(s => s.historicalID));
+    if (candidateIDs.size === 0) continue;
+    if (candidateIDs.size > EXACT_MATCH_CONFIG.maxCandidates) {
+      console.log(`         🔖 Reference ${reference.refType} ${reference.value} shared by ${candidateIDs.size} records - ignored`);
+      continue;
+    }
+
+    const confidence = EXACT_MATCH_CONFIG.confidence[reference.refType] -
+      EXACT_MATCH_CONFIG.ambiguityPenalty * (candidateIDs.size - 1);
+
+    for (const { historicalID, source } of sources) {
+      if (!hits.has(historicalID)) hits.set(historicalID, { confidence: 0, matchedReferences: [] });
+      const hit = hits.get(historicalID);
+      hit.confidence = Math.max(hit.confidence, confidence);
+      hit.matchedReferences.push({ refType: reference.refType, value: reference.value, source });
+    }
+  }
+
+  if (hits.size === 0) return [];
+
+  const records = await db.run(
+    SELECT.from(HISTORICAL).columns(...localMatcher.HISTORICAL_COLUMNS).where({ ID: { in: [...hits.keys()] } })
+  );
+
+  const matches = records
+    .map(record => ({
+      ...localMatcher.toMatch(record),
+      confidence: hits.get(record.ID).confidence,
+      matchStrategy: 'EXACT_REFERENCE',
+      score: 1,
+      matchedReferences: hits.get(record.ID).matchedReferences
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  console.log(`         🔖 Exact reference lookup: ${lookups.length} reference(s), ${matches.length} match(es) in ${Date.now() - startTime}ms`);
+
+  return matches;
+}
+
+/**
+ * Lookup keys of confirmed statements: key → Set of Historical IDs the clerk selected
+ * A reference counts for every selection of its statement - the invoice number on a
+ * DETAILS line confirms the posting the clerk selected on the BO line
+ */
+async function findConfirmedHistoricals(db, lookups, excludeHeaderID = null) {
+  const confirmed = new Map();
+
+  const rows = await db.run(
+    SELECT.from(LINE_REFERENCE)
+      .columns('line_ID', 'refType', 'normalizedValue')
+      .where({ normalizedValue: { in: [...new Set(lookups.map(r => r.normalizedValue))] } })
+  );
+  const lineRefs = rows.filter(isLookupReference);
+  if (lineRefs.length === 0) return confirmed;
+
+  const lines = await db.run(
+    SELECT.from(LINE).columns('ID', 'header_ID').where({ ID: { in: [...new Set(lineRefs.map(r => r.line_ID))] } })
+  );
+  const headerByLine = new Map(lines
+    .filter(line => line.header_ID !== excludeHeaderID)
+    .map(line => [line.ID, line.header_ID]));
+  if (headerByLine.size === 0) return confirmed;
+
+  const selected = await db.run(
+    SELECT.from(LINE)
+      .columns('header_ID', 'selectedMatch.historical_ID as historicalID')
+      .where({ header_ID: { in: [...new Set(headerByLine.values())] }, selectedMatch_ID: { '!=': null } })
+  );
+  const historicalsByHeader = new Map();
+  for (const { header_ID, historicalID } of selected) {
+    if (!historicalID) continue;
+    if (!historicalsByHeader.has(header_ID)) historicalsByHeader.set(header_ID, new Set());
+    historicalsByHeader.get(header_ID).add(historicalID);
+  }
+
+  for (const ref of lineRefs) {
+    const historicalIDs = historicalsByHeader.get(headerByLine.get(ref.line_ID));
+    if (!historicalIDs) continue;
+
+    const key = lookupKey(ref.refType, ref.normalizedValue);
+    if (!confirmed.has(key)) confirmed.set(key, new Set());
+    historicalIDs.forEach(historicalID => confirmed.get(key).add(historicalID));
+  }
+
+  return confirmed;
+}
+
+/**
+ * Get (or build) the wire-text reference index
+ *
+ * @param {Object} db - CDS database service
+ * @returns {Promise<Object>} { version, byKey: Map(lookup key → Set of Historical IDs), references }
+ */
+async function getIndex(db) {
+  const stats = await db.run(
+    SELECT.one.from(HISTORICAL).columns('count(1) as total', 'max(modifiedAt) as lastModified')
+  );
+  const version = `${stats?.total || 0}|${stats?.lastModified || ''}`;
+
+  if (!indexCache || indexCache.version !== version) {
+    indexCache = { version, ready: buildIndex(db, version) };
+    indexCache.ready.catch(() => { indexCache = null; });
+  }
+
+  return indexCache.ready;
+}
+
+/**
+ * Extract the references of every Historical wire text
+ */
+async function buildIndex(db, version) {
+  const startTime = Date.now();
+  const rows = await db.run(SELECT.from(HISTORICAL).columns('ID', 'wireText').where('wireText is not null'));
+
+  const byKey = new Map();
+  let references = 0;
+  for (const { ID, wireText } of rows) {
+    for (const reference of extractWireTextReferences(wireText)) {
+      if (!isLookupReference(reference)) continue;
+
+      const key = lookupKey(reference.refType, reference.normalizedValue);
+      if (!byKey.has(key)) byKey.set(key, new Set());
+      byKey.get(key).add(ID);
+      references++;
+    }
+  }
+
+  console.log(`         🗂️  Reference index built: ${references} reference(s) from ${rows.length} Historical records in ${Date.now() - startTime}ms`);
+
+  return { version, byKey, references };
+}
+
+/**
+ * References of a wire text (promoted lines keep their BO:/RF: tags)
+ *
+ * @param {String} wireText - Historical wire text
+ * @returns {Array} [{ refType, value, normalizedValue }]
+ */
+function extractWireTextReferences(wireText) {
+  return referenceExtractor.extractReferences(wireText, lineParser.tokenizeTags(wireText));
+}
+
+/**
+ * Clear the cached index (e.g. after bulk-loading Historical data)
+ */
+function resetIndex() {
+  indexCache = null;
+}
+
+/**
+ * Is the reference evidence enough to be looked up?
+ */
+function isLookupReference(reference) {
+  return !!EXACT_MATCH_CONFIG.groups[reference.refType] &&
+    (reference.normalizedValue || '').length >= EXACT_MATCH_CONFIG.minLength;
+}
+
+/**
+ * Key under which comparable references meet (type group + normalized value)
+ */
+function lookupKey(refType, normalizedValue) {
+  return `${EXACT_MATCH_CONFIG.groups[refType]}|${normalizedValue}`;
+}
+
+module.exports = {
+  EXACT_MATCH_CONFIG,
+  findExactMatches,
+  getIndex,
+  extractWireTextReferences,
+  isLookupReference,
+  resetIndex
+};
@@ -0,0 +1,339 @@
+/**
+ * Statement Emails - Cached Emails as Evidence for a Statement
+ *
+ * Finds the cached email threads that explain a bank statement and keeps them
+ * as EmailMatch rows, so the email that justified a posting stays on record:
+ * - Payer from the statement's BO1 (company-extractor.js), amount Kwbtr in Waers,
+ *   value date (valueDate, else the statement date Azdat)
+ * - Only emails of the mailboxes serving the company code (mailbox-config.js),
+ *   searched and scored as threads (email-matcher.js searchCachedThreads)
+ * - A new search replaces the open matches; confirmed and rejected ones are kept
+ *   and their threads are not proposed again
+ * - Confirming a match counts for its email (EmailCache.matchedCount, lastMatchedDate);
+ *   rejecting a confirmed match takes that back
+ *
+ * USAGE:
+ * const statementEmails = require('./lib/statement-emails');
+ * const result = await statementEmails.findEmailsForStatement(db, statementID);
+ * await statementEmails.confirmEmailMatch(db, statementID, result.matches[0].matchID, req.user.id);
+ */
+
+const cds = require('@sap/cds');
+const emailMatcher = require('./email-matcher');
+const mailboxConfig = require('./mailbox-config');
+const companyExtractor = require('./company-extractor');
+
+const HEADER = 'reconciliation.BankStatementHeader';
+const LINE = 'reconciliation.BankStatementLine';
+const LINE_TAG = 'reconciliation.LineTag';
+const EMAIL = 'reconciliation.EmailCache';
+const EMAIL_MATCH = 'reconciliation.EmailMatch';
+
+/**
+ * Email Match Configuration
+ * - maxMatches: Threads stored per search
+ * - minScore: Threads scoring lower are not stored
+ * - daysBefore / daysAfter: Search window around the value date
+ */
+const EMAIL_MATCH_CONFIG = {
+  maxMatches: 3,
+  minScore: 30,
+  daysBefore: 7,
+  daysAfter: 7
+};
+
+/**
+ * Search the cached emails for a statement and store the best threads
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} statementID - BankStatementHeader ID
+ * @param {Object} [options] - { companyName } payer to search for (default: BO1 of the statement)
+ * @returns {Promise<Object>} { success, message, statementID, companyName, amount, currency, mailboxes,
+ *                            threadsFound, matches, error }
+ */
+async function findEmailsForStatement(db, statementID, options = {}) {
+  const header = await loadStatement(db, statementID);
+
+  const companyName = options.companyName?.trim() || await statementCompanyName(db, header);
+  if (!companyName) {
+    throw new Error('No payer name (BO1) in the statement - pass companyName');
+  }
+
+  const valueDate = header.valueDate || header.Azdat;
+  if (!valueDate) {
+    throw new Error(`Statement ${header.Aznum || statementID} has no value or statement date`);
+  }
+
+  const amount = header.Kwbtr != null ? Number(header.Kwbtr) : null;
+  const currency = header.Waers || null;
+
+  // Only the inboxes of the AR team serving the company code
+  const mailboxes = (await mailboxConfig.getMailboxes(db, { companyCode: header.Bukrs })).map(mailbox => mailbox.address);
+
+  console.log(`📧 Finding emails for statement ${header.Aznum || statementID}: "${companyName}", ${amount} ${currency || ''}`);
+
+  const threads = await emailMatcher.searchCachedThreads(
+    db, companyName, amount, valueDate,
+    EMAIL_MATCH_CONFIG.daysBefore, EMAIL_MATCH_CONFIG.daysAfter,
+    currency, mailboxes
+  );
+
+  // Reviewed threads stay as they are; open matches are replaced by the new search
+  const reviewed = await db.run(
+    SELECT.from(EMAIL_MATCH)
+      .columns('mailbox', 'conversationId', 'email_ID')
+      .where({ statement_ID: statementID })
+      .and('(isConfirmed = true or isRejected = true)')
+  );
+  const reviewedKeys = new Set(reviewed.map(match => threadKey(match.mailbox, match.conversationId, match.email_ID)));
+
+  await db.run(DELETE.from(EMAIL_MATCH).where({ statement_ID: statementID, isConfirmed: false, isRejected: false }));
+
+  const records = threads
+    .filter(thread => thread.relevanceScore >= EMAIL_MATCH_CONFIG.minScore)
+    .filter(thread => !reviewedKeys.has(threadKey(thread.mailbox, thread.conversationId, bestMessage(thread).ID)))
+    .slice(0, EMAIL_MATCH_CONFIG.maxMatches)
+    .map((thread, index) => toEmailMatch(statementID, thread, index + 1, { companyName, amount, currency }));
+
+  if (records.length > 0) {
+    await db.run(INSERT.into(EMAIL_MATCH).entries(records));
+  }
+
+  console.log(`   ✅ ${records.length} email thread(s) stored (${threads.length} found, ${reviewed.length} already reviewed)`);
+
+  return {
+    success: true,
+    message: mailboxes.length === 0
+      ? `No active mailbox serves company code ${header.Bukrs || '(none)'}`
+      : `${records.length} email thread(s) stored for the statement`,
+    statementID,
+    companyName,
+    amount,
+    currency,
+    mailboxes,
+    threadsFound: threads.length,
+    matches: records.map(toMatchResult),
+    error: null
+  };
+}
+
+/**
+ * Confirm an email match - the clerk says this email justifies the posting
+ * Several matches of a statement can be confirmed (e.g. remittance and correction)
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} statementID - BankStatementHeader ID
+ * @param {String} matchID - EmailMatch ID (must belong to the statement)
+ * @param {String} user - Clerk user ID
+ * @returns {Promise<Object>} Review result
+ */
+async function confirmEmailMatch(db, statementID, matchID, user) {
+  const match = await loadEmailMatch(db, statementID, matchID);
+
+  if (match.isConfirmed) {
+    return buildResult(match, await matchedCount(db, match.email_ID), 0, 'Email match already confirmed');
+  }
+
+  const now = new Date().toISOString();
+  await db.run(UPDATE(EMAIL_MATCH).set({
+    isConfirmed: true,
+    confirmedAt: now,
+    confirmedBy: user,
+    isRejected: false,
+    rejectedAt: null,
+    rejectedBy: null
+  }).where({ ID: matchID }));
+
+  if (match.email_ID) {
+    await db.run(UPDATE(EMAIL).with({ matchedCount: { '+=': 1 }, lastMatchedDate: now }).where({ ID: match.email_ID }));
+  }
+
+  console.log(`✅ Email "${match.subject?.substring(0, 50)}" confirmed for statement ${statementID} by ${user}`);
+
+  return buildResult(match, await matchedCount(db, match.email_ID), 0, 'Email match confirmed');
+}
+
+/**
+ * Reject an email match, or all open and confirmed matches of the statement if matchID is omitted
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} statementID - BankStatementHeader ID
+ * @param {String} [matchID] - EmailMatch ID (optional)
+ * @param {String} user - Clerk user ID
+ * @returns {Promise<Object>} Review result
+ */
+async function rejectEmailMatch(db, statementID, matchID, user) {
+  let rejected;
+  if (matchID) {
+    const match = await loadEmailMatch(db, statementID, matchID);
+    rejected = match.isRejected ? [] : [match];
+  } else {
+    await loadStatement(db, statementID);
+    rejected = await db.run(SELECT.from(EMAIL_MATCH).where({ statement_ID: statementID, isRejected: false }));
+  }
+
+  const now = new Date().toISOString();
+  for (const match of rejected) {
+    await db.run(UPDATE(EMAIL_MATCH).set({
+      isRejected: true,
+      rejectedAt: now,
+      rejectedBy: user,
+      isConfirmed: false,
+      confirmedAt: null,
+      confirmedBy: null
+    }).where({ ID: match.ID }));
+
+    // A confirmation taken back no longer counts for the email
+    if (match.isConfirmed && match.email_ID) {
+      await db.run(UPDATE(EMAIL).with({ matchedCount: { '-=': 1 } }).where({ ID: match.email_ID, matchedCount: { '>': 0 } }));
+    }
+  }
+
+  console.log(`🚫 Statement ${statementID}: ${rejected.length} email match(es) rejected by ${user}`);
+
+  const single = matchID && rejected.length === 1 ? rejected[0] : null;
+  return {
+    success: true,
+    message: `${rejected.length} email match(es) rejected`,
+    statementID,
+    matchID: matchID || null,
+    emailID: single?.email_ID || null,
+    matchedCount: single ? await matchedCount(db, single.email_ID) : null,
+    matchesRejected: rejected.length,
+    error: null
+  };
+}
+
+/**
+ * Payer name of the statement: the first BO1 field of its lines (LineTag),
+ * else the BO line pattern of the company extractor
+ */
+async function statementCompanyName(db, header) {
+  const lines = await db.run(
+    SELECT.from(LINE).columns('ID', 'crn', 'lineType', 'lineText').where({ header_ID: header.ID }).orderBy('crn')
+  );
+  if (lines.length === 0) return null;
+
+  const tags = await db.run(
+    SELECT.from(LINE_TAG).columns('line_ID', 'seq', 'value').where({ line_ID: { in: lines.map(line => line.ID) }, tag: 'BO1' })
+  );
+  const crnByLine = new Map(lines.map(line => [line.ID, line.crn]));
+  const bo1 = tags
+    .filter(tag => tag.value?.trim())
+    .sort((a, b) => crnByLine.get(a.line_ID) - crnByLine.get(b.line_ID) || a.seq - b.seq)[0];
+  if (bo1) return bo1.value.trim();
+
+  return companyExtractor.extractCompanyName(lines, header.Kwbtr)?.companyName || null;
+}
+
+/**
+ * Thread → EmailMatch record (the thread's best-scoring message is the matched email)
+ */
+function toEmailMatch(statementID, thread, rank, search) {
+  const email = bestMessage(thread);
+
+  return {
+    ID: cds.utils.uuid(),
+    statement_ID: statementID,
+    email_ID: email.ID,
+    rank,
+    relevanceScore: Math.round(thread.relevanceScore * 100) / 100,
+    similarity: thread.similarity,
+    evidence: JSON.stringify(thread.evidence),
+    companyName: search.companyName.substring(0, 200),
+    amount: search.amount,
+    currency: search.currency,
+    mailbox: thread.mailbox,
+    conversationId: thread.conversationId,
+    messageCount: thread.messageCount,
+    subject: email.subject,
+    fromAddress: email.fromAddress,
+    receivedDateTime: email.receivedDateTime
+  };
+}
+
+/**
+ * Highest-scoring message of a thread (the latest one on a tie)
+ */
+function bestMessage(thread) {
+  return thread.messages.reduce((best, email) => (email.relevanceScore >= best.relevanceScore ? email : best));
+}
+
+/**
+ * Key of a thread across searches (emails without conversation are a thread of their own)
+ */
+function threadKey(mailbox, conversationId, emailID) {
+  return conversationId ? `${mailbox}|${conversationId}` : `ID|${emailID}`;
+}
+
+function toMatchResult(record) {
+  return {
+    matchID: record.ID,
+    emailID: record.email_ID,
+    rank: record.rank,
+    relevanceScore: record.relevanceScore,
+    similarity: record.similarity,
+    mailbox: record.mailbox,
+    conversationId: record.conversationId,
+    messageCount: record.messageCount,
+    subject: record.subject,
+    fromAddress: record.fromAddress,
+    receivedDateTime: record.receivedDateTime,
+    evidence: record.evidence
+  };
+}
+
+async function matchedCount(db, emailID) {
+  if (!emailID) return null;
+  const email = await db.run(SELECT.one.from(EMAIL).columns('matchedCount').where({ ID: emailID }));
+  return email?.matchedCount ?? null;
+}
+
+/**
+ * Load a statement or fail
+ */
+async function loadStatement(db, statementID) {
+  if (!statementID) throw new Error('statementID is required');
+
+  const header = await db.run(SELECT.one.from(HEADER).where({ ID: statementID }));
+  if (!header) throw new Error(`Statement not found: ${statementID}`);
+
+  return header;
+}
+
+/**
+ * Load an email match of the statement or fail
+ */
+async function loadEmailMatch(db, statementID, matchID) {
+  if (!statementID) throw new Error('statementID is required');
+  if (!matchID) throw new Error('matchID is required');
+
+  const match = await db.run(SELECT.one.from(EMAIL_MATCH).where({ ID: matchID }));
+  if (!match) throw new Error(`Email match not found: ${matchID}`);
+  if (match.statement_ID !== statementID) throw new Error(`Email match ${matchID} does not belong to statement ${statementID}`);
+
+  return match;
+}
+
+/**
+ * Build the action result for a confirmation
+ */
+function buildResult(match, count, matchesRejected, message) {
+  return {
+    success: true,
+    message,
+    statementID: match.statement_ID,
+    matchID: match.ID,
+    emailID: match.email_ID,
+    matchedCount: count,
+    matchesRejected,
+    error: null
+  };
+}
+
+module.exports = {
+  EMAIL_MATCH_CONFIG,
+  findEmailsForStatement,
+  confirmEmailMatch,
+  rejectEmailMatch
+};
@@ -0,0 +1,341 @@
+/**
+ * Statement Processor - The Matching Pipeline for One Statement
+ *
+ * Shared by every way a statement enters the system (addStatement with SAP
+ * FEBRE fields, importCamt with ISO 20022 entries, ...):
+ * 1. Parse the payment notes (Vwezw) into typed lines (line type rules from the db)
+ * 2. Store header, lines, tagged fields and reference numbers
+ * 3. Search every matchable line (exact references, then fuzzy + vector, amount-aware)
+ *    and store the top 3 matches; lines that are not matchable by text are still
+ *    looked up by their reference numbers
+ * 4. Resolve one posting for the whole statement and set matchStatus
+ *
+ * Bank file imports (camt, MT940, BAI2) hand their entries to importEntries(),
+ * which skips entries already imported and reports the result per entry.
+ * A statement that fails halfway is removed again, so a re-import retries it.
+ *
+ * USAGE:
+ * const statementProcessor = require('./lib/statement-processor');
+ * const result = await statementProcessor.processStatement(db, { Bukrs, Aznum, Kwbtr, ... }, Vwezw);
+ * const report = await statementProcessor.importEntries(db, entries, { importSource: 'MT940', companyCode: '1001' });
+ */
+
+const cds = require('@sap/cds');
+const lineParser = require('./line-parser');
+const lineTypeRules = require('./line-type-rules');
+const lineMatcher = require('./line-matcher');
+const statementResolver = require('./statement-resolver');
+const matchExplainer = require('./match-explainer');
+const referenceIndex = require('./reference-index');
+
+const HEADER = 'reconciliation.BankStatementHeader';
+const LINE = 'reconciliation.BankStatementLine';
+const TAG = 'reconciliation.LineTag';
+const LINE_REFERENCE = 'reconciliation.LineReference';
+const MATCH = 'reconciliation.LineMatch';
+
+const MATCHES_PER_LINE = 3;
+
+/**
+ * Store a statement and run the matching pipeline on its payment notes
+ *
+ * @param {Object} db - CDS database service
+ * @param {Object} header - BankStatementHeader fields (Bukrs, Aznum, Kwbtr, Waers, ...)
+ * @param {String} paymentNotes - Vwezw text (parsed into lines, not stored)
+ * @param {Object} [options] - { searchFields: ['BO1', ...] } search only these tag values
+ * @returns {Promise<Object>} { headerID, matchStatus, linesProcessed, matchesFound, bestMatch, hasConflict, conflictDetails }
+ */
+async function processStatement(db, header, paymentNotes, options = {}) {
+  // Step 1: Parse payment notes (Vwezw) into typed lines (line type rules maintained as data)
+  const rules = await lineTypeRules.getRules(db);
+  const lines = lineParser.parsePaymentNotes(paymentNotes, { searchFields: options.searchFields, rules, currency: header.Waers });
+  console.log(`[processStatement] Parsed ${lines.length} lines from Vwezw`);
+
+  // Step 2: Create statement header (Vwezw is NOT stored, only parsed into lines)
+  // IDs are generated up front - INSERT results do not carry the generated keys
+  const headerID = cds.utils.uuid();
+  await db.run(INSERT.into(HEADER).entries({
+    ...header,
+    ID: headerID,
+    matchStatus: 'PENDING'
+  }));
+
+  console.log(`[processStatement] Created header with ID: ${headerID}`);
+
+  try {
+    return await matchStatement(db, headerID, header, lines);
+  } catch (error) {
+    // Do not leave a half-processed statement behind (importEntries would skip it on re-import)
+    await deleteStatement(db, headerID).catch(cleanupError => {
+      console.error(`[processStatement] Cleanup of ${headerID} failed:`, cleanupError.message);
+    });
+    throw error;
+  }
+}
+
+/**
+ * Steps 3-4 of processStatement: store and match every line, resolve the statement
+ */
+async function matchStatement(db, headerID, header, lines) {
+  // Step 3: Process each line and find matches
+  let totalMatches = 0;
+
+  for (const parsedLine of lines) {
+    const { lineNo: crn, lineText, rawText, lineType, searchText, tags, references } = parsedLine;
+
+    // Insert line with association to header
+    const lineID = cds.utils.uuid();
+    await db.run(INSERT.into(LINE).entries({
+      ID: lineID,
+      header_ID: headerID,
+      crn,
+      lineText,
+      rawText,
+      lineType,
+      searchText,
+      matched: false
+    }));
+
+    if (tags.length > 0) {
+      await db.run(INSERT.into(TAG).entries(tags.map(({ seq, tag, value }) => ({ line_ID: lineID, seq, tag, value }))));
+    }
+
+    if (references.length > 0) {
+      await db.run(INSERT.into(LINE_REFERENCE).entries(references.map(({ refType, value, normalizedValue }) => ({
+        line_ID: lineID, refType, value, normalizedValue
+      }))));
+    }
+
+    // Skip metadata lines (TRID, ENDT, FR, ...) - stored for reference only,
+    // unless they carry a reference number (RF:, DETAILS: INV 4711, ...)
+    const matchable = lineParser.shouldMatchLine(parsedLine);
+    if (!matchable && !references.some(referenceIndex.isLookupReference)) {
+      console.log(`[processStatement] Line ${crn} (${lineType}) not matchable - skipped`);
+      continue;
+    }
+
+    // Search for matches: exact references, then hybrid fuzzy + vector search (amount-aware)
+    const matches = await lineMatcher.searchLine(matchable ? searchText : null, {
+      amount: header.Kwbtr,
+      currency: header.Waers,
+      references
+    });
+
+    if (matches && matches.length > 0) {
+      totalMatches += matches.length;
+
+      // Save top 3 matches
+      for (let i = 0; i < Math.min(MATCHES_PER_LINE, matches.length); i++) {
+        const match = matches[i];
+        await db.run(INSERT.into(MATCH).entries({
+          line_ID: lineID,
+          rank: i + 1,
+          historical_ID: match.ID,
+          confidence: match.confidence,
+          strategy: match.matchStrategy,
+          ...toFusionFields(match),
+          explanation: JSON.stringify(matchExplainer.explainMatch((matchable && searchText) || lineText, match)),
+          wireText: match.wireText,
+          postingKey: match.postingKey,
+          glAccount: match.glAccount,
+          customerNo: match.customerNo,
+          companyCode: match.companyCode,
+          costCentre: match.costCentre,
+          profitCentre: match.profitCentre,
+          febanDescription: match.febanDescription,
+          isSelected: false
+        }));
+      }
+
+      // Update line with best match
+      const topMatch = matches[0];
+      await db.run(UPDATE(LINE).set({
+        matched: true,
+        matchedHistorical_ID: topMatch.ID,
+        matchConfidence: topMatch.confidence,
+        matchStrategy: topMatch.matchStrategy
+      }).where({ ID: lineID }));
+    }
+  }
+
+  // Step 4: Resolve one posting for the whole statement (weighted by line type)
+  const { proposal, hasConflict, conflictDetails } = await statementResolver.resolveStatement(db, headerID);
+
+  let bestMatch = null;
+  let matchStatus;
+  if (proposal) {
+    bestMatch = {
+      lineNo: proposal.lineNo,
+      lineText: proposal.lineText,
+      wireText: proposal.wireText,
+      confidence: proposal.confidence,
+      glAccount: proposal.glAccount,
+      postingKey: proposal.postingKey,
+      supportingLines: proposal.supportingLines
+    };
+    matchStatus = 'MATCHED';
+    await db.run(UPDATE(HEADER).set({
+      matchStatus,
+      bestMatchedLineNo: proposal.lineNo
+    }).where({ ID: headerID }));
+  } else {
+    matchStatus = 'NO_MATCH';
+    await db.run(UPDATE(HEADER).set({ matchStatus }).where({ ID: headerID }));
+  }
+
+  return {
+    headerID,
+    matchStatus,
+    linesProcessed: lines.length,
+    matchesFound: totalMatches,
+    bestMatch,
+    hasConflict,
+    conflictDetails
+  };
+}
+
+/**
+ * Process the entries of an imported bank file, one statement per entry
+ * A failing entry is reported (matchStatus ERROR) and does not stop the file
+ *
+ * @param {Object} db - CDS database service
+ * @param {Array} entries - Parsed entries [{ header, paymentNotes }]
+ * @param {Object} options - { importSource, companyCode, houseBank, accountId, searchFields }
+ * @returns {Promise<Object>} { entriesImported, entriesSkipped, entriesFailed, matchesFound, imported: [...] }
+ */
+async function importEntries(db, entries, options = {}) {
+  const imported = [];
+  let entriesSkipped = 0;
+  let entriesFailed = 0;
+  let matchesFound = 0;
+
+  for (const { header, paymentNotes } of entries) {
+    if (await isImported(db, header)) {
+      console.log(`⏭️  Entry ${header.entryReference || `${header.Aznum}/${header.Esnum}`} already imported - skipped`);
+      entriesSkipped++;
+      continue;
+    }
+
+    const report = {
+      statementID: null,
+      Aznum: header.Aznum,
+      entryReference: header.entryReference,
+      Kwbtr: header.Kwbtr,
+      Waers: header.Waers,
+      linesProcessed: 0,
+      matchStatus: null,
+      confidence: null,
+      glAccount: null,
+      hasConflict: false,
+      error: null
+    };
+
+    try {
+      const result = await processStatement(db, {
+        ...header,
+        Bukrs: options.companyCode,
+        Hbkid: options.houseBank,
+        Hktid: options.accountId,
+        importSource: options.importSource
+      }, paymentNotes, { searchFields: options.searchFields });
+
+      matchesFound += result.matchesFound;
+      Object.assign(report, {
+        statementID: result.headerID,
+        linesProcessed: result.linesProcessed,
+        matchStatus: result.matchStatus,
+        confidence: result.bestMatch?.confidence ?? null,
+        glAccount: result.bestMatch?.glAccount ?? null,
+        hasConflict: result.hasConflict
+      });
+    } catch (error) {
+      console.error(`❌ Entry ${header.entryReference || header.Esnum} failed:`, error.message);
+      entriesFailed++;
+      Object.assign(report, { matchStatus: 'ERROR', error: error.message });
+    }
+
+    imported.push(report);
+  }
+
+  return {
+    entriesImported: imported.length - entriesFailed,
+    entriesSkipped,
+    entriesFailed,
+    matchesFound,
+    imported
+  };
+}
+
+/**
+ * Delete a statement with its lines, tags, references and matches
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} headerID - BankStatementHeader ID
+ */
+async function deleteStatement(db, headerID) {
+  const lineIDs = (await db.run(SELECT.from(LINE).columns('ID').where({ header_ID: headerID }))).map(l => l.ID);
+
+  if (lineIDs.length > 0) {
+    await db.run(DELETE.from(MATCH).where({ line_ID: { in: lineIDs } }));
+    await db.run(DELETE.from(TAG).where({ line_ID: { in: lineIDs } }));
+    await db.run(DELETE.from(LINE_REFERENCE).where({ line_ID: { in: lineIDs } }));
+    await db.run(DELETE.from(LINE).where({ ID: { in: lineIDs } }));
+  }
+  await db.run(DELETE.from(HEADER).where({ ID: headerID }));
+}
+
+/**
+ * Has this entry already been imported for this account?
+ * Entries with a bank reference are recognised by it; entries without one
+ * (MT940 NONREF, empty BAI2 reference) by statement number, position, amount and date
+ */
+async function isImported(db, header) {
+  const key = header.entryReference
+    ? { entryReference: header.entryReference }
+    : {
+      entryReference: null,
+      Aznum: header.Aznum ?? null,
+      Esnum: header.Esnum ?? null,
+      Azdat: header.Azdat ?? null,
+      Kwbtr: header.Kwbtr ?? null
+    };
+
+  const existing = await db.run(
+    SELECT.one.from(HEADER).columns('ID').where({
+      ...key,
+      accountIdentifier: header.accountIdentifier ?? null
+    })
+  );
+  return !!existing;
+}
+
+/**
+ * Map LineMatcher fusion details onto LineMatch columns
+ */
+function toFusionFields(match) {
+  const scores = match.strategyScores || {};
+  return {
+    strategies: (match.strategies || [match.matchStrategy]).join(','),
+    strategyCount: (match.strategies || [match.matchStrategy]).length,
+    fusionScore: match.fusionScore,
+    fuzzyScore: roundScore(scores.FUZZY_TEXT?.score),
+    fuzzyRank: scores.FUZZY_TEXT?.rank,
+    vectorSimilarity: roundScore(scores.VECTOR_SEMANTIC?.score),
+    vectorRank: scores.VECTOR_SEMANTIC?.rank,
+    openaiSimilarity: roundScore(scores.OPENAI_EMBEDDING?.score),
+    openaiRank: scores.OPENAI_EMBEDDING?.rank,
+    amountAdjustment: match.amountAdjustment || 0
+  };
+}
+
+/**
+ * Round a 0-1 score to the 4 decimals stored on LineMatch
+ */
+function roundScore(score) {
+  return score == null ? null : Math.round(score * 10000) / 10000;
+}
+
+module.exports = {
+  processStatement,
+  importEntries
+};
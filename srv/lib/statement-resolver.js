@@ -0,0 +1,203 @@
+/**
+ * Statement Resolver - Header-Level Decision Across All Lines
+ *
+ * Clerks review statements, not lines. BO, ORDER and SENDING lines of the
+ * same statement may point to different postings, so instead of taking the
+ * single highest-confidence line match this module:
+ * 1. Groups every line's candidates by posting (GL/customer/cost objects)
+ * 2. Scores each posting: sum over lines of line-type weight × best confidence
+ * 3. Proposes the posting with the highest score
+ * 4. Flags a conflict when lines disagree on their top posting
+ *
+ * A clerk-selected match replaces all other candidates of its line and its
+ * posting becomes the proposal, whatever the other lines score; they can only
+ * raise a conflict against it. Rejected matches are ignored.
+ *
+ * USAGE:
+ * const statementResolver = require('./lib/statement-resolver');
+ * const decision = await statementResolver.resolveStatement(db, headerID);
+ */
+
+/**
+ * Line Type Weights
+ * How much a line type's evidence counts (types from line-parser.js)
+ */
+const LINE_TYPE_WEIGHTS = {
+  BO: 1.0,       // Beneficiary/buyer order - what clerks paste into Excel
+  BO1: 1.0,
+  BO2: 0.9,
+  ORDER: 0.9,    // Ordering party - strong alternative key
+  SENDING: 0.8   // ACH sending person/company
+};
+const DEFAULT_LINE_WEIGHT = 0.6;
+
+const POSTING_FIELDS = ['postingKey', 'glAccount', 'customerNo', 'companyCode', 'costCentre', 'profitCentre'];
+
+/**
+ * Resolve a stored statement and persist the proposal on BankStatementHeader
+ *
+ * @param {Object} db - CDS database service
+ * @param {String} headerID - BankStatementHeader ID
+ * @returns {Promise<Object>} Decision (see resolveCandidates)
+ */
+async function resolveStatement(db, headerID) {
+  const lines = await db.run(
+    SELECT.from('reconciliation.BankStatementLine')
+      .columns('ID', 'crn', 'lineText', 'lineType', 'selectedMatch_ID')
+      .where({ header_ID: headerID })
+      .orderBy('crn')
+  );
+
+  const lineIDs = lines.map(l => l.ID);
+  const matches = lineIDs.length > 0
+    ? await db.run(SELECT.from('reconciliation.LineMatch').where({ line_ID: { in: lineIDs } }))
+    : [];
+
+  const decision = resolveCandidates(lines.map(line => {
+    const lineMatches = matches.filter(m => m.line_ID === line.ID && !m.isRejected);
+    return {
+      lineNo: line.crn,
+      lineText: line.lineText,
+      lineType: line.lineType,
+      isSelected: Boolean(line.selectedMatch_ID),
+      matches: line.selectedMatch_ID
+        ? lineMatches.filter(m => m.ID === line.selectedMatch_ID)
+        : lineMatches
+    };
+  }));
+
+  const proposal = decision.proposal;
+  await db.run(UPDATE('reconciliation.BankStatementHeader').set({
+    proposedHistorical_ID: proposal?.historicalID || null,
+    proposedPostingKey: proposal?.postingKey || null,
+    proposedGlAccount: proposal?.glAccount || null,
+    proposedCustomerNo: proposal?.customerNo || null,
+    proposedCompanyCode: proposal?.companyCode || null,
+    proposedCostCentre: proposal?.costCentre || null,
+    proposedProfitCentre: proposal?.profitCentre || null,
+    proposedConfidence: proposal?.confidence ?? null,
+    supportingLines: proposal?.supportingLines || 0,
+    hasConflict: decision.hasConflict,
+    conflictDetails: decision.conflictDetails
+  }).where({ ID: headerID }));
+
+  if (proposal) {
+    console.log(`[resolveStatement] Proposed ${describePosting(proposal)} from ${proposal.supportingLines} line(s) (${proposal.confidence}%)${decision.hasConflict ? ' ⚠️  CONFLICT' : ''}`);
+  }
+
+  return decision;
+}
+
+/**
+ * Aggregate line candidates into one statement-level proposal
+ *
+ * @param {Array} lines - [{ lineNo, lineText, lineType, isSelected, matches: [LineMatch] }]
+ *                         (isSelected: matches holds only the clerk's selection)
+ * @returns {Object} { proposal, candidates, hasConflict, conflictDetails }
+ */
+function resolveCandidates(lines) {
+  const postings = new Map();
+  const lineTops = [];
+
+  for (const line of lines) {
+    if (!line.matches || line.matches.length === 0) continue;
+
+    const weight = LINE_TYPE_WEIGHTS[line.lineType] ?? DEFAULT_LINE_WEIGHT;
+
+    // Best candidate per posting within this line
+    const bestPerPosting = new Map();
+    for (const match of line.matches) {
+      const key = postingKey(match);
+      const current = bestPerPosting.get(key);
+      if (!current || Number(match.confidence) > Number(current.confidence)) {
+        bestPerPosting.set(key, match);
+      }
+    }
+
+    let lineTop = null;
+    for (const [key, match] of bestPerPosting) {
+      const confidence = Number(match.confidence) || 0;
+
+      if (!postings.has(key)) {
+        postings.set(key, { key, score: 0, confidence: 0, supportingLines: 0, lines: [], best: null, bestLine: null, selected: null });
+      }
+      const posting = postings.get(key);
+      posting.score += weight * confidence / 100;
+      posting.supportingLines++;
+      posting.lines.push(line.lineNo);
+      if (confidence > posting.confidence) {
+        posting.confidence = confidence;
+        posting.best = match;
+        posting.bestLine = line;
+      }
+      if (line.isSelected && (!posting.selected || confidence > Number(posting.selected.match.confidence))) {
+        posting.selected = { match, line };
+      }
+
+      if (!lineTop || confidence > lineTop.confidence) {
+        lineTop = { key, confidence, line, match };
+      }
+    }
+    lineTops.push(lineTop);
+  }
+
+  const candidates = [...postings.values()]
+    .sort((a, b) => (b.score - a.score) || (b.confidence - a.confidence));
+
+  if (candidates.length === 0) {
+    return { proposal: null, candidates: [], hasConflict: false, conflictDetails: null };
+  }
+
+  // The clerk's selection wins over the weighted vote (best-scoring one if several lines were selected)
+  const winner = candidates.find(posting => posting.selected) || candidates[0];
+  const { match: best, line: bestLine } = winner.selected || { match: winner.best, line: winner.bestLine };
+  const proposal = {
+    historicalID: best.historical_ID,
+    ...Object.fromEntries(POSTING_FIELDS.map(field => [field, best[field] || null])),
+    wireText: best.wireText,
+    confidence: Number(best.confidence) || 0,
+    score: Math.round(winner.score * 10000) / 10000,
+    supportingLines: winner.supportingLines,
+    lineNo: bestLine.lineNo,
+    lineText: bestLine.lineText,
+    lines: winner.lines,
+    isClerkSelected: Boolean(winner.selected)
+  };
+
+  // Conflict: a line whose own top candidate is a different posting
+  const dissenting = lineTops.filter(top => top.key !== winner.key);
+  const hasConflict = dissenting.length > 0;
+  const conflictDetails = hasConflict
+    ? dissenting
+      .map(top => `Line ${top.line.lineNo} (${top.line.lineType}) → ${describePosting(top.match)} (${top.confidence}%)`)
+      .join('; ')
+      .substring(0, 1000)
+    : null;
+
+  return { proposal, candidates, hasConflict, conflictDetails };
+}
+
+/**
+ * Grouping key for a posting (two Historical records with identical posting fields agree)
+ */
+function postingKey(match) {
+  return POSTING_FIELDS.map(field => match[field] ?? '').join('|');
+}
+
+/**
+ * Short human-readable posting description for logs and conflict details
+ */
+function describePosting(posting) {
+  const parts = [];
+  if (posting.glAccount) parts.push(`GL ${posting.glAccount}`);
+  if (posting.customerNo) parts.push(`Customer ${posting.customerNo}`);
+  if (posting.costCentre) parts.push(`CC ${posting.costCentre}`);
+  if (posting.companyCode) parts.push(`CoCd ${posting.companyCode}`);
+  return parts.join(' / ') || 'posting without account';
+}
+
+module.exports = {
+  resolveStatement,
+  resolveCandidates,
+  LINE_TYPE_WEIGHTS
+};
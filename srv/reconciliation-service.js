@@ -1,120 +1,45 @@
 const cds = require('@sap/cds');
 const emailSync = require('./lib/email-sync');
 const emailSearch = require('./lib/email-search');
+const mailboxConfig = require('./lib/mailbox-config');
+const emailRetention = require('./lib/email-retention');
+const lineTypeRules = require('./lib/line-type-rules');
+const matchReview = require('./lib/match-review');
+const statementEmails = require('./lib/statement-emails');
+const historicalPromotion = require('./lib/historical-promotion');
+const statementProcessor = require('./lib/statement-processor');
+const camtImport = require('./lib/camt-import');
+const bankFileImport = require('./lib/bank-file-import');
+const matchEvaluation = require('./lib/match-evaluation');
 // Lazy load generate-embeddings to avoid deployment issues if scripts folder not present
 // const { generateEmbeddings } = require('../scripts/generate-embeddings');
 
 module.exports = async function() {
   // Get DB entities from CDS model
-  const { BankStatementHeader, BankStatementLine, Historical, LineMatch, EmailCache } = cds.entities('reconciliation');
+  const { BankStatementHeader, BankStatementLine, LineTag, LineReference, LineMatch, EmailMatch, Historical, HistoricalAmountSample } = cds.entities('reconciliation');
 
   /**
    * Add Statement Action Handler
    */
   this.on('addStatement', async (req) => {
-    const { Bukrs, Hbkid, Hktid, Aznum, Azdat, Astat, Waers, Esnum, Kwbtr, Vb1ok, Vb2ok, Vwezw } = req.data;
+    const { Bukrs, Hbkid, Hktid, Aznum, Azdat, Astat, Waers, Esnum, Kwbtr, Vb1ok, Vb2ok, Vwezw, searchFields } = req.data;
 
     try {
-      // Step 1: Parse payment notes (Vwezw) into lines
-      const lines = parsePaymentNotes(Vwezw);
-      console.log(`[addStatement] Parsed ${lines.length} lines from Vwezw`);
-
-      // Step 2: Create statement header (Vwezw is NOT stored, only parsed into lines)
-      const header = await INSERT.into(BankStatementHeader).entries({
-        Bukrs, Hbkid, Hktid, Aznum, Azdat, Astat, Waers, Esnum, Kwbtr, Vb1ok, Vb2ok,
-        matchStatus: 'PENDING'
-      });
-
-      const headerID = header.ID;
-      console.log(`[addStatement] Created header with ID: ${headerID}`);
-
-      // Step 3: Process each line and find matches
-      let totalMatches = 0;
-      let bestMatch = null;
-      let bestConfidence = 0;
-
-      for (const [index, lineText] of lines.entries()) {
-        const crn = index + 1;
-
-        // Insert line with association to header
-        const line = await INSERT.into(BankStatementLine).entries({
-          header_ID: headerID,
-          crn,
-          lineText,
-          matched: false
-        });
-
-        const lineID = line.ID;
-
-        // Search for matches using fuzzy text search
-        const matches = await fuzzyTextSearch(lineText);
-
-        if (matches && matches.length > 0) {
-          totalMatches += matches.length;
-
-          // Save top 3 matches
-          for (let i = 0; i < Math.min(3, matches.length); i++) {
-            const match = matches[i];
-            await INSERT.into(LineMatch).entries({
-              line_ID: lineID,
-              rank: i + 1,
-              historical_ID: match.ID,
-              confidence: match.confidence,
-              strategy: match.strategy,
-              wireText: match.wireText,
-              postingKey: match.postingKey,
-              glAccount: match.glAccount,
-              customerNo: match.customerNo,
-              companyCode: match.companyCode,
-              costCentre: match.costCentre,
-              profitCentre: match.profitCentre,
-              febanDescription: match.febanDescription,
-              isSelected: false
-            });
-
-            // Track best match across all lines
-            if (match.confidence > bestConfidence) {
-              bestConfidence = match.confidence;
-              bestMatch = {
-                lineNo: crn,
-                lineText,
-                wireText: match.wireText,
-                confidence: match.confidence,
-                glAccount: match.glAccount,
-                postingKey: match.postingKey
-              };
-            }
-          }
-
-          // Update line with best match
-          const topMatch = matches[0];
-          await UPDATE(BankStatementLine).set({
-            matched: true,
-            matchedHistorical_ID: topMatch.ID,
-            matchConfidence: topMatch.confidence,
-            matchStrategy: topMatch.strategy
-          }).where({ ID: lineID });
-        }
-      }
-
-      // Step 4: Update header with best match info
-      if (bestMatch) {
-        await UPDATE(BankStatementHeader).set({
-          matchStatus: 'MATCHED',
-          bestMatchedLineNo: bestMatch.lineNo
-        }).where({ ID: headerID });
-      } else {
-        await UPDATE(BankStatementHeader).set({
-          matchStatus: 'NO_MATCH'
-        }).where({ ID: headerID });
-      }
+      const db = await cds.connect.to('db');
+      const result = await statementProcessor.processStatement(db, {
+        Bukrs, Hbkid, Hktid, Aznum, Azdat, Astat, Waers, Esnum, Kwbtr, Vb1ok, Vb2ok
+      }, Vwezw, { searchFields: splitList(searchFields) });
 
       return {
         Bukrs, Hbkid, Hktid, Aznum,
-        message: `Statement processed successfully`,
-        linesProcessed: lines.length,
-        matchesFound: totalMatches,
-        bestMatch
+        message: result.hasConflict
+          ? `Statement processed - lines point to different postings, review required`
+          : `Statement processed successfully`,
+        linesProcessed: result.linesProcessed,
+        matchesFound: result.matchesFound,
+        bestMatch: result.bestMatch,
+        hasConflict: result.hasConflict,
+        conflictDetails: result.conflictDetails
       };
 
     } catch (error) {
@@ -123,6 +48,349 @@ module.exports = async function() {
     }
   });
 
+  /**
+   * Import camt Action Handler
+   * ISO 20022 camt.053 / camt.054 import (see srv/lib/camt-import.js)
+   */
+  this.on('importCamt', async (req) => {
+    const { xml, companyCode, houseBank, accountId, searchFields } = req.data;
+    console.log('\n🏦 Importing camt message...');
+
+    try {
+      const db = await cds.connect.to('db');
+      const result = await camtImport.importCamt(db, xml, {
+        companyCode,
+        houseBank,
+        accountId,
+        searchFields: splitList(searchFields)
+      });
+
+      return {
+        success: true,
+        message: `Imported ${result.entriesImported} of ${result.entriesFound} entries (${result.entriesSkipped} already imported, ${result.entriesFailed} failed)`,
+        ...result,
+        error: null
+      };
+
+    } catch (error) {
+      console.error('❌ Import camt action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to import camt message',
+        messageType: null,
+        messageId: null,
+        statementsFound: 0,
+        entriesFound: 0,
+        entriesImported: 0,
+        entriesSkipped: 0,
+        entriesFailed: 0,
+        matchesFound: 0,
+        imported: [],
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Import Bank File Action Handler
+   * MT940 / BAI2 / camt file upload (see srv/lib/bank-file-import.js)
+   */
+  this.on('importBankFile', async (req) => {
+    const { content, format, companyCode, houseBank, accountId, searchFields } = req.data;
+    console.log('\n🏦 Importing bank file...');
+
+    try {
+      const db = await cds.connect.to('db');
+      const result = await bankFileImport.importBankFile(db, content, {
+        format,
+        companyCode,
+        houseBank,
+        accountId,
+        searchFields: splitList(searchFields)
+      });
+
+      return {
+        success: true,
+        message: `Imported ${result.entriesImported} of ${result.entriesFound} transactions (${result.entriesSkipped} already imported, ${result.entriesFailed} failed)`,
+        ...result,
+        error: null
+      };
+
+    } catch (error) {
+      console.error('❌ Import bank file action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to import bank file',
+        format: null,
+        fileId: null,
+        statementsFound: 0,
+        entriesFound: 0,
+        entriesImported: 0,
+        entriesSkipped: 0,
+        entriesFailed: 0,
+        matchesFound: 0,
+        imported: [],
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Select Match Action Handler
+   * Records the clerk's chosen match and feeds it back into Historical
+   */
+  this.on('selectMatch', async (req) => {
+    const { lineID, matchID } = req.data;
+
+    try {
+      const db = await cds.connect.to('db');
+      return await matchReview.selectMatch(db, lineID, matchID, req.user.id);
+
+    } catch (error) {
+      console.error('❌ Select match action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to select match',
+        lineID,
+        matchID,
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Reject Match Action Handler
+   * Records the clerk's rejection of one match (or all matches of a line)
+   */
+  this.on('rejectMatch', async (req) => {
+    const { lineID, matchID } = req.data;
+
+    try {
+      const db = await cds.connect.to('db');
+      return await matchReview.rejectMatch(db, lineID, matchID, req.user.id);
+
+    } catch (error) {
+      console.error('❌ Reject match action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to reject match',
+        lineID,
+        matchID,
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Find Emails For Statement Action Handler
+   * Stores the cached email threads that best explain the statement
+   */
+  this.on('findEmailsForStatement', async (req) => {
+    const { statementID, companyName } = req.data;
+
+    try {
+      const db = await cds.connect.to('db');
+      return await statementEmails.findEmailsForStatement(db, statementID, { companyName });
+
+    } catch (error) {
+      console.error('❌ Find emails for statement action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to find emails for statement',
+        statementID,
+        companyName: companyName || null,
+        amount: null,
+        currency: null,
+        mailboxes: [],
+        threadsFound: 0,
+        matches: [],
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Confirm Email Match Action Handler
+   * Records the email that justified the posting and counts it for the email
+   */
+  this.on('confirmEmailMatch', async (req) => {
+    const { statementID, matchID } = req.data;
+
+    try {
+      const db = await cds.connect.to('db');
+      return await statementEmails.confirmEmailMatch(db, statementID, matchID, req.user.id);
+
+    } catch (error) {
+      console.error('❌ Confirm email match action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to confirm email match',
+        statementID,
+        matchID,
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Reject Email Match Action Handler
+   * Records the clerk's rejection of one email match (or all of the statement)
+   */
+  this.on('rejectEmailMatch', async (req) => {
+    const { statementID, matchID } = req.data;
+
+    try {
+      const db = await cds.connect.to('db');
+      return await statementEmails.rejectEmailMatch(db, statementID, matchID, req.user.id);
+
+    } catch (error) {
+      console.error('❌ Reject email match action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to reject email match',
+        statementID,
+        matchID,
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Promote To Historical Action Handler
+   * Feeds a clerk-resolved line back into Historical for future matching
+   */
+  this.on('promoteToHistorical', async (req) => {
+    const { lineID, ...input } = req.data;
+
+    try {
+      const db = await cds.connect.to('db');
+      return await historicalPromotion.promoteLineToHistorical(db, lineID, input, req.user.id);
+
+    } catch (error) {
+      console.error('❌ Promote to Historical action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to promote statement line',
+        historicalID: null,
+        lineMatchID: null,
+        embeddingGenerated: false,
+        statementStatus: null,
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Line Type Rules: validate pattern/extraction before saving
+   */
+  this.before(['CREATE', 'UPDATE'], 'LineTypeRules', async (req) => {
+    // PATCH carries only the changed fields - validate the rule as it will be saved
+    const existing = req.event === 'UPDATE' ? await SELECT.one.from(req.subject) : {};
+
+    try {
+      lineTypeRules.validateRule({ ...existing, ...req.data });
+    } catch (error) {
+      req.reject(400, `Invalid line type rule: ${error.message}`);
+    }
+  });
+
+  /**
+   * Mailboxes: validate address and sender filter before saving
+   */
+  this.before(['CREATE', 'UPDATE'], 'Mailboxes', async (req) => {
+    // PATCH carries only the changed fields - validate the mailbox as it will be saved
+    const existing = req.event === 'UPDATE' ? await SELECT.one.from(req.subject) : {};
+
+    try {
+      mailboxConfig.validateMailbox({ ...existing, ...req.data });
+    } catch (error) {
+      req.reject(400, `Invalid mailbox: ${error.message}`);
+    }
+  });
+
+  /**
+   * Email Retention Rules: validate retention, match status, action and mailbox before saving
+   */
+  this.before(['CREATE', 'UPDATE'], 'EmailRetentionRules', async (req) => {
+    // PATCH carries only the changed fields - validate the rule as it will be saved
+    const existing = req.event === 'UPDATE' ? await SELECT.one.from(req.subject) : {};
+
+    try {
+      emailRetention.validateRetentionRule({ ...existing, ...req.data });
+    } catch (error) {
+      req.reject(400, `Invalid retention rule: ${error.message}`);
+    }
+  });
+
+  /**
+   * Test Line Type Rules Action Handler
+   */
+  this.on('testLineTypeRules', async (req) => {
+    const { Vwezw, ...candidate } = req.data;
+
+    try {
+      const db = await cds.connect.to('db');
+      const lines = await lineTypeRules.testRules(db, Vwezw, candidate);
+
+      return {
+        success: true,
+        message: `Parsed ${lines.length} line(s), ${lines.filter(l => l.willMatch).length} matchable`,
+        lines,
+        error: null
+      };
+
+    } catch (error) {
+      console.error('❌ Test line type rules action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to test line type rules',
+        lines: [],
+        error: error.message
+      };
+    }
+  });
+
+  /**
+   * Evaluate Matching Action Handler
+   * Offline evaluation of the matching strategies (see srv/lib/match-evaluation.js)
+   */
+  this.on('evaluateMatching', async (req) => {
+    const { cases, thresholds, fuzzyLevels, searchFields, limit } = req.data;
+    console.log('\n📏 Evaluating matching strategies...');
+
+    try {
+      const db = await cds.connect.to('db');
+      const report = await matchEvaluation.evaluateMatching(db, {
+        cases: cases ? JSON.parse(cases) : null,
+        thresholds: splitList(thresholds),
+        fuzzyLevels: splitList(fuzzyLevels),
+        searchFields: splitList(searchFields),
+        limit
+      });
+
+      return {
+        success: true,
+        message: `Evaluated ${report.casesEvaluated} labelled line(s)`,
+        ...report,
+        error: null
+      };
+
+    } catch (error) {
+      console.error('❌ Evaluate matching action failed:', error.message);
+      return {
+        success: false,
+        message: 'Failed to evaluate matching strategies',
+        source: null,
+        casesEvaluated: 0,
+        minConfidence: null,
+        fuzzyLevel: null,
+        searchFields: null,
+        results: [],
+        error: error.message
+      };
+    }
+  });
+
   /**
    * Generate Embeddings Action Handler
    * Generates embeddings for both Historical records and EmailCache
@@ -146,12 +414,12 @@ module.exports = async function() {
    * Fetches emails from Outlook and caches them locally with embeddings
    */
   this.on('syncEmails', async (req) => {
-    const { daysBack } = req.data;
+    const { daysBack, mailbox, folder, fullResync } = req.data;
     const days = daysBack || 2;
 
     try {
       const db = await cds.connect.to('db');
-      const result = await emailSync.syncEmails(db, days);
+      const result = await emailSync.syncEmails(db, days, { mailbox, folder, fullResync: !!fullResync });
 
       return result;
 
@@ -160,9 +428,18 @@ module.exports = async function() {
       return {
         success: false,
         message: 'Email sync failed',
+        mailboxesSynced: 0,
+        runs: [],
+        pagesFetched: 0,
         emailsFetched: 0,
         emailsStored: 0,
+        emailsUpdated: 0,
+        emailsRemoved: 0,
         emailsSkipped: 0,
+        emailsFiltered: 0,
+        emailsPurged: 0,
+        attachmentsStored: 0,
+        attachmentsExtracted: 0,
         syncBatchId: null,
         startDate: null,
         endDate: null,
@@ -177,7 +454,16 @@ module.exports = async function() {
    */
   this.on('deleteAllStatements', async (req) => {
     try {
+      // Clerk-promoted Historical records stay, but must not point at deleted statements
+      const historicalUnlinked = await UPDATE(Historical)
+        .set({ sourceStatement_ID: null, sourceLine_ID: null })
+        .where('sourceStatement_ID is not null or sourceLine_ID is not null');
+      // Learned amounts stay in the typical amount profile
+      await UPDATE(HistoricalAmountSample).set({ statement_ID: null }).where('statement_ID is not null');
+      const emailMatchesDeleted = await DELETE.from(EmailMatch);
       const matchesDeleted = await DELETE.from(LineMatch);
+      const tagsDeleted = await DELETE.from(LineTag);
+      const referencesDeleted = await DELETE.from(LineReference);
       const linesDeleted = await DELETE.from(BankStatementLine);
       const statementsDeleted = await DELETE.from(BankStatementHeader);
 
@@ -185,7 +471,11 @@ module.exports = async function() {
         message: 'All statements deleted successfully',
         statementsDeleted,
         linesDeleted,
-        matchesDeleted
+        tagsDeleted,
+        referencesDeleted,
+        matchesDeleted,
+        emailMatchesDeleted,
+        historicalUnlinked
       };
     } catch (error) {
       console.error('[deleteAllStatements] Error:', error);
@@ -216,12 +506,41 @@ module.exports = async function() {
     }
   });
 
+  /**
+   * Purge Emails Action Handler
+   * Applies the retention rules and redacts what the mailboxes require
+   */
+  this.on('purgeEmails', async (req) => {
+    try {
+      const db = await cds.connect.to('db');
+      return await emailRetention.purgeEmails(db, { dryRun: !!req.data.dryRun });
+
+    } catch (error) {
+      console.error('❌ Purge emails action failed:', error.message);
+      return {
+        success: false,
+        message: 'Email purge failed',
+        purgeRunID: null,
+        dryRun: !!req.data.dryRun,
+        rulesApplied: 0,
+        emailsDeleted: 0,
+        emailsStripped: 0,
+        emailsRedacted: 0,
+        attachmentsDeleted: 0,
+        emailMatchesDeleted: 0,
+        rules: [],
+        duration: 0,
+        error: error.message
+      };
+    }
+  });
+
   /**
    * Search Inbox Action Handler
    */
   this.on('searchInbox', async (req) => {
     try {
-      const { companyName, amount, valueDate, daysBefore = 3, daysAfter = 3 } = req.data;
+      const { companyName, amount, currency, valueDate, daysBefore = 3, daysAfter = 3, companyCode, mailbox } = req.data;
 
       // Validate required parameters
       if (!companyName) {
@@ -246,7 +565,11 @@ module.exports = async function() {
         };
       }
 
-      console.log(`📧 Searching inbox for: ${companyName}, amount: ${amount}, date: ${valueDate}`);
+      console.log(`📧 Searching inbox for: ${companyName}, amount: ${amount}${currency ? ' ' + currency : ''}, date: ${valueDate}`);
+
+      // Configured mailboxes in scope (all active if neither mailbox nor company code is given)
+      const db = await cds.connect.to('db');
+      const mailboxes = await mailboxConfig.getMailboxes(db, { address: mailbox, companyCode });
 
       // Call the email search function
       const results = await emailSearch.searchInbox(
@@ -254,7 +577,9 @@ module.exports = async function() {
         amount,
         new Date(valueDate),
         daysBefore,
-        daysAfter
+        daysAfter,
+        currency,
+        mailboxes
       );
 
       // Format date range for response
@@ -266,7 +591,9 @@ module.exports = async function() {
 
       return {
         success: true,
-        message: `Found ${results.length} emails matching the search criteria`,
+        message: mailboxes.length > 0
+          ? `Found ${results.length} emails matching the search criteria in ${mailboxes.length} mailbox(es)`
+          : 'No active mailbox configured for this scope',
         emailsFound: results.length,
         searchQuery: companyName,
         dateRange: dateRange,
@@ -287,61 +614,9 @@ module.exports = async function() {
   });
 
   /**
-   * Parse payment notes into individual lines
+   * Split a comma-separated action parameter ("80, 85,90" → ['80', '85', '90'])
    */
-  function parsePaymentNotes(vwezw) {
-    if (!vwezw) return [];
-
-    // Split by newlines and filter empty lines
-    const lines = vwezw
-      .split(/[\r\n]+/)
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
-
-    return lines;
-  }
-
-  /**
-   * Fuzzy Text Search using HANA CONTAINS
-   */
-  async function fuzzyTextSearch(lineText) {
-    if (!lineText || lineText.trim().length === 0) {
-      return [];
-    }
-
-    try {
-      // Extract meaningful search terms (remove common prefixes like BO:, BN:, etc.)
-      const searchText = lineText
-        .replace(/^[A-Z]{1,4}:/g, '')  // Remove prefixes like BO:, BN:, etc.
-        .trim();
-
-      if (searchText.length < 3) {
-        return [];
-      }
-
-      // Use HANA fuzzy search with CONTAINS
-      const results = await SELECT.from(Historical)
-        .where(`CONTAINS(wireText, '${searchText}', FUZZY(0.7))`)
-        .limit(3);
-
-      // Calculate confidence scores based on similarity
-      return results.map(record => ({
-        ID: record.ID,
-        wireText: record.wireText,
-        postingKey: record.postingKey,
-        glAccount: record.glAccount,
-        customerNo: record.customerNo,
-        companyCode: record.companyCode,
-        costCentre: record.costCentre,
-        profitCentre: record.profitCentre,
-        febanDescription: record.febanDescription,
-        confidence: 75, // Default confidence for fuzzy matches
-        strategy: 'FUZZY_TEXT'
-      }));
-
-    } catch (error) {
-      console.error('[fuzzyTextSearch] Error:', error);
-      return [];
-    }
+  function splitList(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : null;
   }
 };